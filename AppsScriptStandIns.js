@@ -0,0 +1,477 @@
+/**
+ * Sustitutos en memoria de los servicios de Apps Script, para cargar y ejecutar las clases de la biblioteca en Node
+ * con resultados deterministas: UrlFetchApp responde con fixtures (ver HttpTransport.js) o con una función, las
+ * propiedades, la caché y los bloqueos viven en memoria, Logger acumula los mensajes y `Utilities.sleep` no espera.
+ *
+ * Uso desde Node:
+ *   const { AppsScriptStandIns } = require('./AppsScriptStandIns.js');
+ *   const lib = AppsScriptStandIns.loadInNode(__dirname, { fixtures: require('./tests/fixtures/toolsFlow.json') });
+ *   const chat = new lib.GeminiChatAPI('gemini-2.5-flash', 'clave-de-prueba');
+ *
+ * En Apps Script estas clases no se usan: solo se definen.
+ */
+
+/**
+ * @class InMemoryProperties
+ * @description Sustituto de `Properties` (UserProperties, ScriptProperties, DocumentProperties).
+ */
+class InMemoryProperties {
+
+    /**
+     * @param {Object} [initial={}] - Propiedades iniciales.
+     */
+    constructor(initial = {}) {
+        this.data = {};
+        this.setProperties(initial);
+    }
+
+    getProperty(key) {
+        return Object.prototype.hasOwnProperty.call(this.data, key) ? this.data[key] : null;
+    }
+
+    setProperty(key, value) {
+        this.data[key] = String(value);
+        return this;
+    }
+
+    setProperties(properties, deleteAllOthers = false) {
+        if (deleteAllOthers) {
+            this.data = {};
+        }
+        Object.keys(properties).forEach(key => this.setProperty(key, properties[key]));
+        return this;
+    }
+
+    getProperties() {
+        return Object.assign({}, this.data);
+    }
+
+    getKeys() {
+        return Object.keys(this.data);
+    }
+
+    deleteProperty(key) {
+        delete this.data[key];
+        return this;
+    }
+
+    deleteAllProperties() {
+        this.data = {};
+        return this;
+    }
+}
+
+/**
+ * @class InMemoryPropertiesService
+ * @description Sustituto de PropertiesService, con un almacén independiente por ámbito.
+ */
+class InMemoryPropertiesService {
+
+    constructor() {
+        this.userProperties = new InMemoryProperties();
+        this.scriptProperties = new InMemoryProperties();
+        this.documentProperties = new InMemoryProperties();
+    }
+
+    getUserProperties() {
+        return this.userProperties;
+    }
+
+    getScriptProperties() {
+        return this.scriptProperties;
+    }
+
+    getDocumentProperties() {
+        return this.documentProperties;
+    }
+}
+
+/**
+ * @class InMemoryLogger
+ * @description Sustituto de Logger que guarda los mensajes en `entries`.
+ */
+class InMemoryLogger {
+
+    /**
+     * @param {Object} [options={}] - Opciones.
+     * @param {boolean} [options.echo=false] - Si es true, también escribe cada mensaje en `console.log`.
+     */
+    constructor(options = {}) {
+        this.echo = options.echo || false;
+        this.entries = [];
+    }
+
+    /**
+     * Registra un mensaje. Como en Apps Script, admite una plantilla con `%s` y sus valores.
+     */
+    log(data, ...values) {
+        let message = String(data);
+        values.forEach(value => {
+            message = message.replace('%s', typeof value === 'object' ? JSON.stringify(value) : String(value));
+        });
+        this.entries.push(message);
+        if (this.echo) {
+            console.log(message);
+        }
+        return this;
+    }
+
+    getLog() {
+        return this.entries.join('\n');
+    }
+
+    clear() {
+        this.entries = [];
+    }
+}
+
+/**
+ * @class InMemoryUrlFetchApp
+ * @description Sustituto de UrlFetchApp. Delega en un transporte (normalmente un ReplayTransport) o en una función
+ * `(url, options) => ({ code, headers, body })`, y guarda las solicitudes recibidas en `requests`.
+ * Sin transporte, cualquier llamada lanza un error: los tests nunca salen a la red.
+ */
+class InMemoryUrlFetchApp {
+
+    /**
+     * @param {Object|Function} [transport] - Transporte con `fetch(url, options)` o función que devuelve la respuesta.
+     */
+    constructor(transport = null) {
+        this.transport = transport;
+        this.requests = [];
+    }
+
+    setTransport(transport) {
+        this.transport = transport;
+        return this;
+    }
+
+    fetch(url, options = {}) {
+        this.requests.push(HttpFixtures.describeRequest(url, options));
+        if (!this.transport) {
+            throw new Error(`UrlFetchApp en memoria sin transporte: ${(options.method || 'get').toUpperCase()} ${HttpFixtures.redactUrl(url)}`);
+        }
+        if (typeof this.transport === 'function') {
+            return new FixtureResponse(this.transport(url, options));
+        }
+        return this.transport.fetch(url, options);
+    }
+
+    fetchAll(requests) {
+        return requests.map(request => typeof request === 'string' ? this.fetch(request) : this.fetch(request.url, request));
+    }
+}
+
+/**
+ * @class InMemoryCacheService
+ * @description Sustituto de CacheService. Los tiempos de expiración se ignoran.
+ */
+class InMemoryCacheService {
+
+    constructor() {
+        this.scriptCache = new InMemoryCache();
+        this.userCache = new InMemoryCache();
+        this.documentCache = new InMemoryCache();
+    }
+
+    getScriptCache() {
+        return this.scriptCache;
+    }
+
+    getUserCache() {
+        return this.userCache;
+    }
+
+    getDocumentCache() {
+        return this.documentCache;
+    }
+}
+
+/**
+ * @class InMemoryCache
+ * @description Sustituto de `Cache`.
+ */
+class InMemoryCache {
+
+    constructor() {
+        this.data = {};
+    }
+
+    get(key) {
+        return Object.prototype.hasOwnProperty.call(this.data, key) ? this.data[key] : null;
+    }
+
+    put(key, value) {
+        this.data[key] = String(value);
+    }
+
+    remove(key) {
+        delete this.data[key];
+    }
+
+    getAll(keys) {
+        const values = {};
+        keys.forEach(key => {
+            if (Object.prototype.hasOwnProperty.call(this.data, key)) {
+                values[key] = this.data[key];
+            }
+        });
+        return values;
+    }
+
+    putAll(values) {
+        Object.keys(values).forEach(key => this.put(key, values[key]));
+    }
+
+    removeAll(keys) {
+        keys.forEach(key => this.remove(key));
+    }
+}
+
+/**
+ * @class InMemoryLockService
+ * @description Sustituto de LockService. Node ejecuta una sola ejecución a la vez, así que un bloqueo solo está ocupado
+ * si otro objeto Lock del mismo ámbito lo obtuvo y no lo liberó; así se simula la contención entre ejecuciones.
+ */
+class InMemoryLockService {
+
+    constructor() {
+        this.holders = { script: null, user: null, document: null };
+    }
+
+    getScriptLock() {
+        return new InMemoryLock(this, 'script');
+    }
+
+    getUserLock() {
+        return new InMemoryLock(this, 'user');
+    }
+
+    getDocumentLock() {
+        return new InMemoryLock(this, 'document');
+    }
+}
+
+/**
+ * @class InMemoryLock
+ * @description Sustituto de `Lock`. `tryLock` y `waitLock` no esperan: fallan en el acto si el bloqueo está ocupado.
+ */
+class InMemoryLock {
+
+    constructor(service, scope) {
+        this.service = service;
+        this.scope = scope;
+    }
+
+    tryLock(timeoutInMillis) {
+        const holder = this.service.holders[this.scope];
+        if (holder && holder !== this) {
+            return false;
+        }
+        this.service.holders[this.scope] = this;
+        return true;
+    }
+
+    waitLock(timeoutInMillis) {
+        if (!this.tryLock(timeoutInMillis)) {
+            throw new Error(`No se pudo obtener el bloqueo '${this.scope}' en ${timeoutInMillis} ms.`);
+        }
+    }
+
+    hasLock() {
+        return this.service.holders[this.scope] === this;
+    }
+
+    releaseLock() {
+        if (this.hasLock()) {
+            this.service.holders[this.scope] = null;
+        }
+    }
+}
+
+/**
+ * @class InMemoryUtilities
+ * @description Sustituto del subconjunto de Utilities que usa la biblioteca. `sleep` no espera: acumula el tiempo
+ * pedido en `sleptMs`. `getUuid` devuelve identificadores secuenciales, para que los resultados sean reproducibles.
+ */
+class InMemoryUtilities {
+
+    constructor() {
+        this.sleptMs = 0;
+        this._uuidCounter = 0;
+    }
+
+    sleep(milliseconds) {
+        this.sleptMs += milliseconds;
+    }
+
+    getUuid() {
+        this._uuidCounter++;
+        return `00000000-0000-4000-8000-${String(this._uuidCounter).padStart(12, '0')}`;
+    }
+
+    base64Encode(data) {
+        return Buffer.from(typeof data === 'string' ? data : Uint8Array.from(data)).toString('base64');
+    }
+
+    base64Decode(encoded) {
+        return Array.from(Buffer.from(encoded, 'base64'));
+    }
+
+    newBlob(data, contentType = null, name = null) {
+        return new InMemoryBlob(typeof data === 'string' ? Array.from(Buffer.from(data, 'utf8')) : Array.from(data), contentType, name);
+    }
+
+    /**
+     * Formatea en UTC con los patrones `yyyy`, `MM`, `dd`, `HH`, `mm` y `ss`. La zona horaria se ignora.
+     */
+    formatDate(date, timeZone, format) {
+        const iso = date.toISOString();
+        return format
+            .replace('yyyy', iso.slice(0, 4))
+            .replace('MM', iso.slice(5, 7))
+            .replace('dd', iso.slice(8, 10))
+            .replace('HH', iso.slice(11, 13))
+            .replace('mm', iso.slice(14, 16))
+            .replace('ss', iso.slice(17, 19));
+    }
+}
+
+/**
+ * @class InMemoryBlob
+ * @description Sustituto de `Blob` con los métodos que usa MediaParts.
+ */
+class InMemoryBlob {
+
+    constructor(bytes, contentType = null, name = null) {
+        this.bytes = bytes;
+        this.contentType = contentType;
+        this.name = name;
+    }
+
+    getBytes() {
+        return this.bytes.slice();
+    }
+
+    getContentType() {
+        return this.contentType;
+    }
+
+    getName() {
+        return this.name;
+    }
+
+    setName(name) {
+        this.name = name;
+        return this;
+    }
+
+    getDataAsString() {
+        return Buffer.from(this.bytes).toString('utf8');
+    }
+
+    copyBlob() {
+        return new InMemoryBlob(this.bytes.slice(), this.contentType, this.name);
+    }
+}
+
+/**
+ * @class AppsScriptStandIns
+ * @description Crea el conjunto de sustitutos y carga la biblioteca en un contexto de Node que los usa como globales.
+ */
+class AppsScriptStandIns {
+
+    /**
+     * Archivos que `loadInNode` no carga por defecto: el propio archivo de sustitutos y los ejemplos con efectos al cargarse.
+     */
+    static get DEFAULT_EXCLUDED_FILES() {
+        return ['AppsScriptStandIns.js', 'test_apiGemini.js'];
+    }
+
+    /**
+     * Crea los sustitutos de los servicios globales. InMemoryUrlFetchApp usa HttpFixtures, por lo que HttpTransport.js
+     * debe estar cargado en el mismo entorno (`loadInNode` lo hace).
+     * @param {Object} [options={}] - Opciones.
+     * @param {Object|Function} [options.transport] - Transporte de UrlFetchApp (ver InMemoryUrlFetchApp).
+     * @param {boolean} [options.echo=false] - Escribe los mensajes de Logger en la consola.
+     * @param {string} [options.timeZone='UTC'] - Zona horaria que devuelve `Session.getScriptTimeZone()`.
+     * @param {string} [options.userEmail='test@example.com'] - Correo de `Session.getActiveUser()`.
+     * @returns {Object} `{ UrlFetchApp, PropertiesService, Logger, CacheService, LockService, Utilities, Session }`.
+     */
+    static createGlobals(options = {}) {
+        const timeZone = options.timeZone || 'UTC';
+        const userEmail = options.userEmail || 'test@example.com';
+        return {
+            UrlFetchApp: new InMemoryUrlFetchApp(options.transport || null),
+            PropertiesService: new InMemoryPropertiesService(),
+            Logger: new InMemoryLogger({ echo: options.echo }),
+            CacheService: new InMemoryCacheService(),
+            LockService: new InMemoryLockService(),
+            Utilities: new InMemoryUtilities(),
+            Session: {
+                getScriptTimeZone: () => timeZone,
+                getActiveUser: () => ({ getEmail: () => userEmail }),
+                getEffectiveUser: () => ({ getEmail: () => userEmail })
+            }
+        };
+    }
+
+    /**
+     * Carga los archivos .js de un directorio (la biblioteca) en un contexto aislado de Node con los sustitutos como globales.
+     * Solo funciona en Node.
+     * @param {string} directory - Directorio de la biblioteca.
+     * @param {Object} [options={}] - Opciones de `createGlobals`, además de:
+     * @param {Array<Object>} [options.fixtures] - Fixtures para un ReplayTransport, que pasa a ser el transporte de UrlFetchApp.
+     * @param {string} [options.replayMode='sequence'] - Modo del ReplayTransport.
+     * @param {Array<string>} [options.exclude] - Archivos que no se cargan (por defecto, `DEFAULT_EXCLUDED_FILES`).
+     * @param {Object} [options.globals] - Globales adicionales (ej. un DriveApp propio).
+     * @returns {Object} Las clases y funciones de la biblioteca, los sustitutos y, si se indicaron fixtures, `replay`.
+     */
+    static loadInNode(directory, options = {}) {
+        const fs = require('fs');
+        const path = require('path');
+        const vm = require('vm');
+
+        const exclude = options.exclude || AppsScriptStandIns.DEFAULT_EXCLUDED_FILES;
+        const context = vm.createContext(Object.assign({ console: console, Buffer: Buffer }, options.globals || {}));
+
+        const files = fs.readdirSync(directory).filter(file => file.endsWith('.js') && exclude.indexOf(file) === -1).sort();
+        if (files.indexOf('AppsScriptStandIns.js') === -1) {
+            files.push('AppsScriptStandIns.js');
+        }
+        // Las clases de nivel superior no son propiedades del objeto global: se exportan explícitamente al final.
+        const names = [];
+        const source = files.map(file => {
+            const code = fs.readFileSync(path.join(directory, file), 'utf8');
+            (code.match(/^(?:class|function)\s+[A-Za-z_$][\w$]*/gm) || []).forEach(declaration => {
+                names.push(declaration.split(/\s+/)[1]);
+            });
+            return code;
+        });
+        source.push(`globalThis.__library = { ${names.join(', ')} };`);
+        vm.runInContext(source.join('\n;\n'), context, { filename: path.join(directory, 'library.js') });
+
+        const library = context.__library;
+        delete context.__library;
+        // Los sustitutos se crean con las clases del contexto, para que sus respuestas sean del mismo entorno que la biblioteca.
+        const globals = library.AppsScriptStandIns.createGlobals(options);
+        Object.keys(globals).forEach(name => {
+            if (!(options.globals && name in options.globals)) {
+                context[name] = globals[name];
+            }
+        });
+        Object.assign(library, globals, options.globals || {});
+        if (options.fixtures) {
+            library.replay = new library.ReplayTransport(options.fixtures, { mode: options.replayMode || 'sequence' });
+            library.UrlFetchApp.setTransport(library.replay);
+        }
+        return library;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        AppsScriptStandIns, InMemoryProperties, InMemoryPropertiesService, InMemoryLogger, InMemoryUrlFetchApp,
+        InMemoryCacheService, InMemoryCache, InMemoryLockService, InMemoryLock, InMemoryUtilities, InMemoryBlob
+    };
+}
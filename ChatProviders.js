@@ -0,0 +1,455 @@
+/**
+ * Proveedores de chat para GeminiChatAPI.
+ *
+ * El historial y las herramientas se guardan en un formato neutro, independiente del proveedor (coincide con `contents`
+ * de Gemini, más el rol 'tool' para los resultados de herramientas):
+ *   - Mensajes: `{ role: 'user'|'model'|'tool', parts: [...] }`.
+ *   - Partes: `{ text }`, `{ functionCall: { id?, name, args } }` (rol 'model'),
+ *     `{ functionResponse: { id?, name, response } }` (rol 'tool') o referencias a archivos del usuario
+ *     (`{ driveFile }`, `{ fileData }`, ver MediaParts.js).
+ *   - Herramientas: `[{ functionDeclarations: [{ name, description, parameters }] }]`, con `parameters` en JSON Schema.
+ *
+ * Todo proveedor traduce ese formato a su API e implementa la misma interfaz:
+ *   - name                                      → {string} Nombre del proveedor, para los logs.
+ *   - buildGenerateRequest(model, request)      → {{url, payload, headers}} Solicitud HTTP de generación. `request` es
+ *                                                 `{ messages, systemInstruction, tools, generationConfig, toolConfig, safetySettings }`.
+ *   - parseGenerateResponse(json)               → Respuesta normalizada con la forma de `generateContent` de Gemini:
+ *                                                 `{ candidates: [{ content: { role: 'model', parts }, finishReason }], usageMetadata, promptFeedback? }`.
+ *   - buildCountTokensRequest(model, messages)  → {{url, payload, headers}|null} null si el proveedor no cuenta tokens.
+ *   - parseCountTokensResponse(json)            → {number|null}
+ */
+
+/**
+ * @class GeminiProvider
+ * @description API `generateContent` de Gemini. Es el proveedor por defecto de GeminiChatAPI; como el formato neutro sigue
+ * el de Gemini, la traducción se limita a quitar los campos propios de otros proveedores y a resolver los archivos de Drive.
+ */
+class GeminiProvider {
+
+    /**
+     * @param {string} apiKey - Tu clave API de Gemini.
+     * @param {string} [apiEndpoint="https://generativelanguage.googleapis.com/v1beta/models/"] - URL base de la API.
+     * @param {Object} [options={}] - Opciones.
+     * @param {number} [options.inlineMaxBytes=MediaParts.DEFAULT_INLINE_MAX_BYTES] - Los archivos de Drive de hasta este
+     * tamaño se envían como `inlineData`; los mayores se suben a la Files API.
+     * @param {Object} [options.transport] - Transporte HTTP de las cargas a la Files API (ver HttpTransport.js).
+     */
+    constructor(apiKey, apiEndpoint = "https://generativelanguage.googleapis.com/v1beta/models/", options = {}) {
+        if (!apiKey) {
+            throw new Error("La clave API de Gemini es requerida.");
+        }
+        this.name = 'gemini';
+        this.apiKey = apiKey;
+        this.apiEndpoint = apiEndpoint;
+        this.inlineMaxBytes = options.inlineMaxBytes || MediaParts.DEFAULT_INLINE_MAX_BYTES;
+        const origin = /^https?:\/\/[^/]+/.exec(apiEndpoint);
+        this.filesApi = new GeminiFilesApi(apiKey, { baseUrl: origin ? origin[0] : undefined, transport: options.transport });
+        this._inlineCache = {};
+    }
+
+    buildGenerateRequest(model, request) {
+        const payload = {
+            contents: this.toContents(request.messages)
+        };
+        if (request.systemInstruction) {
+            payload.systemInstruction = { parts: [{ text: request.systemInstruction }] };
+        }
+        payload.generationConfig = request.generationConfig || { temperature: 0.1 };
+        if (request.safetySettings) {
+            payload.safetySettings = request.safetySettings;
+        }
+        if (request.tools && request.tools.length > 0) {
+            payload.tools = request.tools;
+        }
+        if (request.toolConfig) {
+            payload.toolConfig = request.toolConfig;
+        }
+        return { url: this._methodUrl(model, 'generateContent'), payload: JSON.stringify(payload), headers: {} };
+    }
+
+    parseGenerateResponse(json) {
+        return json;
+    }
+
+    buildCountTokensRequest(model, messages) {
+        return {
+            url: this._methodUrl(model, 'countTokens'),
+            payload: JSON.stringify({ contents: this.toContents(messages) }),
+            headers: {}
+        };
+    }
+
+    parseCountTokensResponse(json) {
+        return json && typeof json.totalTokens === 'number' ? json.totalTokens : null;
+    }
+
+    /**
+     * Sube un archivo a la Files API. Lo usa MediaParts para guardar los adjuntos sin carpeta de Drive.
+     * @param {GoogleAppsScript.Base.Blob} blob
+     * @returns {{name: string, uri: string, mimeType: string, sizeBytes: number, expirationTime: string}}
+     */
+    uploadFile(blob) {
+        return this.filesApi.upload(blob);
+    }
+
+    /**
+     * Convierte el historial neutro en `contents`: quita los `id` de las llamadas, que Gemini no necesita para
+     * emparejar llamadas y respuestas, resuelve las referencias a archivos de Drive y sustituye por una nota de texto
+     * los archivos de la Files API ya caducados (ver `MediaParts.isExpired`).
+     * @param {Array<Object>} messages - Historial en formato neutro.
+     * @returns {Array<Object>}
+     */
+    toContents(messages) {
+        return messages.map(message => ({
+            role: message.role,
+            parts: message.parts.map(part => {
+                if (part.functionCall) {
+                    return { functionCall: { name: part.functionCall.name, args: part.functionCall.args || {} } };
+                }
+                if (part.functionResponse) {
+                    return { functionResponse: { name: part.functionResponse.name, response: part.functionResponse.response } };
+                }
+                if (part.driveFile) {
+                    return this._resolveDriveFile(part.driveFile);
+                }
+                if (MediaParts.isExpired(part)) {
+                    StructuredLogger.getDefault().warn(`El ${MediaParts.describe(part)} caducó en la Files API (${part.expirationTime}); se envía una nota en su lugar.`);
+                    return { text: `[Adjunto no disponible: el ${MediaParts.describe(part)} caducó el ${part.expirationTime}.]` };
+                }
+                if (part.fileData) {
+                    return { fileData: part.fileData };
+                }
+                return part;
+            })
+        }));
+    }
+
+    /**
+     * Envía un archivo de Drive como `inlineData` o, si supera `inlineMaxBytes`, como `fileData` tras subirlo a la
+     * Files API. Las URIs subidas se guardan en CacheService (6 horas, dentro de las 48 de vida del archivo) para no
+     * volver a subir el archivo en cada turno; el contenido en línea solo se reutiliza durante la ejecución.
+     * @private
+     */
+    _resolveDriveFile(reference) {
+        if (this._inlineCache[reference.fileId]) {
+            return this._inlineCache[reference.fileId];
+        }
+        const file = DriveApp.getFileById(reference.fileId);
+        const cacheKey = `gemini_file_${reference.fileId}_${file.getLastUpdated().getTime()}`;
+        const cache = CacheService.getScriptCache();
+        const cachedUri = cache.get(cacheKey);
+        if (cachedUri) {
+            return { fileData: { fileUri: cachedUri, mimeType: reference.mimeType } };
+        }
+
+        const blob = MediaParts.driveFileBlob(reference, file);
+        const bytes = blob.getBytes();
+        if (bytes.length <= this.inlineMaxBytes) {
+            const inlinePart = { inlineData: { mimeType: reference.mimeType, data: Utilities.base64Encode(bytes) } };
+            this._inlineCache[reference.fileId] = inlinePart;
+            return inlinePart;
+        }
+        StructuredLogger.getDefault().info(`El archivo "${reference.name}" (${bytes.length} bytes) supera ${this.inlineMaxBytes} bytes; se sube a la Files API.`);
+        const uploaded = this.filesApi.upload(blob.setContentType(reference.mimeType));
+        cache.put(cacheKey, uploaded.uri, 21600);
+        return { fileData: { fileUri: uploaded.uri, mimeType: reference.mimeType } };
+    }
+
+    /**
+     * @private
+     */
+    _methodUrl(model, method) {
+        return `${this.apiEndpoint}${model}:${method}?key=${this.apiKey}`;
+    }
+}
+
+/**
+ * @class OpenAICompatibleProvider
+ * @description APIs compatibles con `chat/completions` de OpenAI (OpenAI, Mistral, Groq, OpenRouter, Ollama, etc.).
+ * Traduce los roles ('model' → 'assistant'), las llamadas a funciones (`tool_calls` con argumentos en JSON) y sus
+ * resultados (mensajes 'tool' con `tool_call_id`), las declaraciones de herramientas y `generationConfig`.
+ */
+class OpenAICompatibleProvider {
+
+    /**
+     * @param {string} apiKey - Clave API del proveedor.
+     * @param {Object} [options={}] - Opciones.
+     * @param {string} [options.baseUrl='https://api.openai.com/v1'] - URL base (ej. 'https://api.mistral.ai/v1').
+     * @param {string} [options.name='openai'] - Nombre del proveedor, para los logs.
+     * @param {Object} [options.headers={}] - Cabeceras adicionales (ej. `{ 'OpenAI-Organization': '...' }`).
+     */
+    constructor(apiKey, options = {}) {
+        if (!apiKey) {
+            throw new Error("La clave API del proveedor es requerida.");
+        }
+        this.name = options.name || 'openai';
+        this.apiKey = apiKey;
+        this.baseUrl = (options.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+        this.extraHeaders = options.headers || {};
+    }
+
+    buildGenerateRequest(model, request) {
+        const payload = {
+            model: model,
+            messages: OpenAICompatibleProvider.toChatMessages(request.messages, request.systemInstruction)
+        };
+        Object.assign(payload, OpenAICompatibleProvider.toSamplingOptions(request.generationConfig || {}));
+
+        const tools = OpenAICompatibleProvider.toChatTools(request.tools || []);
+        if (tools.length > 0) {
+            payload.tools = tools;
+            const toolChoice = OpenAICompatibleProvider.toToolChoice(request.toolConfig);
+            if (toolChoice) {
+                payload.tool_choice = toolChoice;
+            }
+        }
+        return {
+            url: `${this.baseUrl}/chat/completions`,
+            payload: JSON.stringify(payload),
+            headers: Object.assign({ Authorization: `Bearer ${this.apiKey}` }, this.extraHeaders)
+        };
+    }
+
+    parseGenerateResponse(json) {
+        const choices = (json && json.choices) || [];
+        const normalized = {
+            candidates: choices.map(choice => {
+                const message = choice.message || {};
+                const parts = [];
+                if (typeof message.content === 'string' && message.content) {
+                    parts.push({ text: message.content });
+                }
+                (message.tool_calls || []).forEach(call => {
+                    parts.push({
+                        functionCall: {
+                            id: call.id,
+                            name: call.function.name,
+                            args: ToolExecutor.parseArguments(call.function.arguments, call.function.name)
+                        }
+                    });
+                });
+                return {
+                    content: { role: 'model', parts: parts },
+                    finishReason: OpenAICompatibleProvider.FINISH_REASONS[choice.finish_reason] || choice.finish_reason || null
+                };
+            })
+        };
+        if (json && json.usage) {
+            normalized.usageMetadata = {
+                promptTokenCount: json.usage.prompt_tokens,
+                candidatesTokenCount: json.usage.completion_tokens,
+                totalTokenCount: json.usage.total_tokens
+            };
+        }
+        return normalized;
+    }
+
+    buildCountTokensRequest(model, messages) {
+        return null;
+    }
+
+    parseCountTokensResponse(json) {
+        return null;
+    }
+
+    /**
+     * Equivalencia de `finish_reason` con los `finishReason` de Gemini.
+     */
+    static get FINISH_REASONS() {
+        return { stop: 'STOP', tool_calls: 'STOP', function_call: 'STOP', length: 'MAX_TOKENS', content_filter: 'SAFETY' };
+    }
+
+    /**
+     * Convierte el historial neutro en `messages` de chat/completions. Las llamadas sin `id` (ej. las de un historial
+     * generado con Gemini) reciben uno, y cada resultado se empareja con la primera llamada pendiente del mismo nombre.
+     * @param {Array<Object>} messages - Historial en formato neutro.
+     * @param {string} [systemInstruction] - Instrucción de sistema, enviada como primer mensaje 'system'.
+     * @returns {Array<Object>}
+     */
+    static toChatMessages(messages, systemInstruction = null) {
+        const chatMessages = systemInstruction ? [{ role: 'system', content: systemInstruction }] : [];
+        let pendingCalls = [];
+
+        messages.forEach((message, messageIndex) => {
+            const texts = message.parts.filter(part => typeof part.text === 'string').map(part => part.text);
+
+            if (message.role === 'model') {
+                const toolCalls = message.parts.filter(part => part.functionCall).map((part, callIndex) => ({
+                    id: part.functionCall.id || `call_${messageIndex}_${callIndex}`,
+                    type: 'function',
+                    function: { name: part.functionCall.name, arguments: JSON.stringify(part.functionCall.args || {}) }
+                }));
+                const chatMessage = { role: 'assistant', content: texts.length > 0 ? texts.join('\n') : null };
+                if (toolCalls.length > 0) {
+                    chatMessage.tool_calls = toolCalls;
+                    pendingCalls = toolCalls.map(call => ({ id: call.id, name: call.function.name }));
+                }
+                chatMessages.push(chatMessage);
+
+            } else if (message.role === 'tool') {
+                message.parts.filter(part => part.functionResponse).forEach(part => {
+                    const functionResponse = part.functionResponse;
+                    let callId = functionResponse.id;
+                    const pendingIndex = callId
+                        ? pendingCalls.map(call => call.id).indexOf(callId)
+                        : pendingCalls.map(call => call.name).indexOf(functionResponse.name);
+                    if (pendingIndex !== -1) {
+                        callId = pendingCalls[pendingIndex].id;
+                        pendingCalls.splice(pendingIndex, 1);
+                    }
+                    const response = functionResponse.response;
+                    const content = response && response.content !== undefined ? response.content : response;
+                    chatMessages.push({
+                        role: 'tool',
+                        tool_call_id: callId || `call_${messageIndex}_${functionResponse.name}`,
+                        content: typeof content === 'string' ? content : JSON.stringify(content)
+                    });
+                });
+
+            } else if (message.parts.some(part => MediaParts.isMediaPart(part))) {
+                chatMessages.push({ role: 'user', content: message.parts.map(OpenAICompatibleProvider.toContentPart) });
+            } else {
+                chatMessages.push({ role: 'user', content: texts.join('\n') });
+            }
+        });
+        return chatMessages;
+    }
+
+    /**
+     * Convierte una parte de un mensaje del usuario en un elemento de `content`: texto, imagen (`image_url`) u otro
+     * archivo (`file`), ambos como data URL. Los archivos de la Files API de Gemini no son accesibles para otros proveedores.
+     * @param {Object} part - Parte en formato neutro.
+     * @returns {Object}
+     * @throws {Error} Si la parte es un `fileData` de la Files API.
+     */
+    static toContentPart(part) {
+        if (typeof part.text === 'string') {
+            return { type: 'text', text: part.text };
+        }
+        if (part.fileData) {
+            throw new Error(`El archivo ${part.fileData.fileUri} está en la Files API de Gemini y no puede enviarse a otro proveedor. ` +
+                "Adjúntalo desde Drive (options.media.driveFolderId).");
+        }
+        let mimeType;
+        let data;
+        let name = 'adjunto';
+        if (part.driveFile) {
+            mimeType = part.driveFile.mimeType;
+            name = part.driveFile.name;
+            data = Utilities.base64Encode(MediaParts.driveFileBlob(part.driveFile).getBytes());
+        } else {
+            mimeType = part.inlineData.mimeType;
+            data = part.inlineData.data;
+        }
+        const dataUrl = `data:${mimeType};base64,${data}`;
+        return mimeType.indexOf('image/') === 0
+            ? { type: 'image_url', image_url: { url: dataUrl } }
+            : { type: 'file', file: { filename: name, file_data: dataUrl } };
+    }
+
+    /**
+     * Convierte las declaraciones de herramientas neutras en `tools` de chat/completions.
+     * @param {Array<Object>|Object} tools - `[{ functionDeclarations: [...] }]` o un único objeto con `functionDeclarations`.
+     * @returns {Array<Object>}
+     */
+    static toChatTools(tools) {
+        const toolList = Array.isArray(tools) ? tools : [tools];
+        const declarations = [];
+        toolList.forEach(tool => {
+            (tool.functionDeclarations || (tool.functionDeclaration ? [tool.functionDeclaration] : [])).forEach(declaration => {
+                declarations.push(declaration);
+            });
+        });
+        return declarations.map(declaration => ({
+            type: 'function',
+            function: {
+                name: declaration.name,
+                description: declaration.description || '',
+                parameters: OpenAICompatibleProvider.toJsonSchema(declaration.parameters || { type: 'object', properties: {} })
+            }
+        }));
+    }
+
+    /**
+     * Convierte un esquema en formato de Gemini (tipos en mayúsculas, `nullable`) en JSON Schema estándar.
+     * @param {Object} schema
+     * @returns {Object}
+     */
+    static toJsonSchema(schema) {
+        if (!schema || typeof schema !== 'object') {
+            return schema;
+        }
+        const converted = {};
+        Object.keys(schema).forEach(key => {
+            if (key === 'nullable') return;
+            if (key === 'type' && typeof schema.type === 'string') {
+                converted.type = schema.nullable ? [schema.type.toLowerCase(), 'null'] : schema.type.toLowerCase();
+            } else if (key === 'properties') {
+                converted.properties = {};
+                Object.keys(schema.properties).forEach(name => {
+                    converted.properties[name] = OpenAICompatibleProvider.toJsonSchema(schema.properties[name]);
+                });
+            } else if (key === 'items') {
+                converted.items = OpenAICompatibleProvider.toJsonSchema(schema.items);
+            } else {
+                converted[key] = schema[key];
+            }
+        });
+        return converted;
+    }
+
+    /**
+     * Convierte `generationConfig` en las opciones de muestreo de chat/completions. `topK` no tiene equivalente y se omite.
+     * @param {Object} generationConfig
+     * @returns {Object}
+     */
+    static toSamplingOptions(generationConfig) {
+        const mapping = {
+            temperature: 'temperature',
+            topP: 'top_p',
+            maxOutputTokens: 'max_tokens',
+            stopSequences: 'stop',
+            presencePenalty: 'presence_penalty',
+            frequencyPenalty: 'frequency_penalty',
+            seed: 'seed',
+            candidateCount: 'n'
+        };
+        const options = {};
+        Object.keys(mapping).forEach(key => {
+            if (generationConfig[key] !== undefined) {
+                options[mapping[key]] = generationConfig[key];
+            }
+        });
+        if (generationConfig.responseSchema) {
+            options.response_format = {
+                type: 'json_schema',
+                json_schema: { name: 'respuesta', schema: OpenAICompatibleProvider.toJsonSchema(generationConfig.responseSchema) }
+            };
+        } else if (generationConfig.responseMimeType === 'application/json') {
+            options.response_format = { type: 'json_object' };
+        }
+        return options;
+    }
+
+    /**
+     * Convierte `toolConfig` de Gemini (`{ functionCallingConfig: { mode, allowedFunctionNames } }` o solo el modo)
+     * en `tool_choice`.
+     * @param {Object|string} [toolConfig]
+     * @returns {string|Object|null}
+     */
+    static toToolChoice(toolConfig) {
+        if (!toolConfig) {
+            return null;
+        }
+        const config = toolConfig.functionCallingConfig !== undefined ? toolConfig.functionCallingConfig : toolConfig;
+        const mode = String(typeof config === 'string' ? config : config.mode || '').toUpperCase();
+        const allowed = (config && config.allowedFunctionNames) || [];
+        if (mode === 'ANY') {
+            return allowed.length === 1 ? { type: 'function', function: { name: allowed[0] } } : 'required';
+        }
+        if (mode === 'NONE') {
+            return 'none';
+        }
+        return mode === 'AUTO' ? 'auto' : null;
+    }
+}
@@ -0,0 +1,443 @@
+/**
+ * @class ChatWebApp
+ * @description Expone las conversaciones como una API JSON de aplicación web (`doPost` / `doGet`). Cada solicitud se
+ * autentica con un secreto compartido o con un token por cliente, y las sesiones de cada cliente se guardan separadas.
+ *
+ * Acciones (campo `action` del cuerpo JSON o parámetro `?action=` de la URL):
+ *   - 'chat' (POST, por defecto): `{ token, sessionId, message, userId? }` → `{ answer, stopReason, toolTrace, usage, ... }`.
+ *     `userId` solo se acepta si el token lo permite (ver `options.auth`).
+ *   - 'history' (GET o POST): `{ token, sessionId }` → `{ messages }`. Solo lee: una sesión que no existe responde 404.
+ *   - 'reset' (POST): `{ token, sessionId }` → vacía el historial de la sesión.
+ *   - 'tools' (GET o POST): `{ token }` → `{ tools: [{ name, description, parameters }] }`.
+ *   - 'approve' / 'reject' (POST): `{ token, sessionId, callId, reason? }` → decide una llamada pendiente de aprobación
+ *     (`stopReason: 'PENDING_APPROVAL'`). Cuando no quedan llamadas por decidir, el turno se reanuda y se responde como 'chat'.
+ *
+ * Apps Script no expone las cabeceras HTTP de la solicitud, por lo que el token viaja en el cuerpo (`token`) o en la URL
+ * (`?token=`). Tampoco permite fijar el código de estado: las respuestas llevan `ok` y, en caso de error,
+ * `status` (código HTTP equivalente) y `error: { code, message }`. Todas incluyen `correlationId`, el identificador con el
+ * que se registran las entradas de la solicitud (ver StructuredLogger).
+ */
+class ChatWebApp {
+
+    /**
+     * @param {Object} [options={}] - Opciones.
+     * @param {string} [options.model='gemini-2.5-flash'] - Modelo de las conversaciones.
+     * @param {string} [options.apiKey] - Clave API. Por defecto, la propiedad de script `GEMINI_API_KEY`.
+     * @param {string} [options.systemInstruction] - Instrucción de sistema de las sesiones nuevas.
+     * @param {ToolExecutor} [options.toolExecutor] - Herramientas disponibles. Sin executor, el chat responde solo con texto.
+     * @param {Object|string} [options.storage] - Almacenamiento de las sesiones (ver el constructor de GeminiChatAPI).
+     * @param {Object} [options.chatOptions={}] - Opciones adicionales de GeminiChatAPI (ej. `contextWindow`, `usage`, `provider`).
+     * `sessionId` y `userId` los fija cada solicitud.
+     * @param {Object} [options.runOptions={}] - Opciones de `runWithTools` / `ask` (`maxToolRounds`, `maxContinuations`, `apiOptions`).
+     * @param {Object} [options.auth] - `{ sharedSecret, tokens }`, donde `tokens` asocia cada token con un ID de cliente
+     * (`{ "token-abc": "frontend-web" }`) o con un cliente y sus usuarios: `{ clientId, userId }` atribuye todo el
+     * consumo del token a ese usuario y `{ clientId, userIds: [...] }` permite elegir uno de la lista con el `userId` de
+     * la solicitud. Con un ID de cliente sin usuarios, o con el secreto compartido, la solicitud no puede indicar `userId`.
+     * Por defecto se leen las propiedades de script `CHAT_API_SECRET` y `CHAT_API_TOKENS` (JSON). Sin ninguno de los dos,
+     * todas las solicitudes se rechazan.
+     */
+    constructor(options = {}) {
+        this.model = options.model || 'gemini-2.5-flash';
+        this.apiKey = options.apiKey || null;
+        this.systemInstruction = options.systemInstruction || null;
+        this.toolExecutor = options.toolExecutor || null;
+        this.storage = options.storage || null;
+        this.chatOptions = options.chatOptions || {};
+        this.runOptions = options.runOptions || {};
+        this.auth = options.auth || null;
+    }
+
+    /**
+     * Acciones admitidas y los métodos HTTP con que se aceptan.
+     */
+    static get ACTIONS() {
+        return {
+            chat: ['post'],
+            history: ['get', 'post'],
+            reset: ['post'],
+            tools: ['get', 'post'],
+            approve: ['post'],
+            reject: ['post']
+        };
+    }
+
+    doPost(e) {
+        return ChatWebApp.toOutput(this.handleRequest('post', e));
+    }
+
+    doGet(e) {
+        return ChatWebApp.toOutput(this.handleRequest('get', e));
+    }
+
+    /**
+     * Procesa una solicitud y devuelve el cuerpo de la respuesta, sin serializar.
+     * @param {string} httpMethod - 'get' o 'post'.
+     * @param {Object} e - Evento de `doGet` / `doPost` (`parameter`, `postData`).
+     * @returns {Object} `{ ok: true, ... }` o `{ ok: false, status, error: { code, message } }`, con el `correlationId` que
+     * identifica las entradas del registro de la solicitud.
+     */
+    handleRequest(httpMethod, e) {
+        return StructuredLogger.withCorrelationId(null, correlationId => {
+            try {
+                return Object.assign(this._handle(httpMethod, e), { correlationId: correlationId });
+            } finally {
+                StructuredLogger.getDefault().flush();
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    _handle(httpMethod, e) {
+        let action = null;
+        try {
+            const request = ChatWebApp._parseRequest(httpMethod, e || {});
+            action = request.action || 'chat';
+            const allowedMethods = ChatWebApp.ACTIONS[action];
+            if (!allowedMethods) {
+                throw new ChatWebAppError('NOT_FOUND', `Acción desconocida: "${action}".`);
+            }
+            if (allowedMethods.indexOf(httpMethod) === -1) {
+                throw new ChatWebAppError('METHOD_NOT_ALLOWED', `La acción "${action}" requiere ${allowedMethods.join(' o ').toUpperCase()}.`);
+            }
+            const identity = this._authenticate(request.token);
+            const clientId = identity.clientId;
+            StructuredLogger.getDefault().info(`Solicitud web '${action}' del cliente "${clientId}"${request.sessionId ? ` (sesión ${request.sessionId})` : ''}.`);
+
+            if (action === 'tools') {
+                return { ok: true, tools: this.listTools() };
+            }
+            const sessionId = ChatWebApp._validateSessionId(request.sessionId);
+            if (action === 'history') {
+                return { ok: true, sessionId: sessionId, messages: this._readHistory(clientId, sessionId) };
+            }
+            const userId = ChatWebApp._resolveUserId(identity, request.userId);
+            if (action === 'chat') {
+                return this._chat(clientId, sessionId, userId, request);
+            }
+            if (action === 'approve' || action === 'reject') {
+                return this._decide(clientId, sessionId, userId, action, request);
+            }
+            const chat = this._openChat(clientId, sessionId, userId);
+            chat.clearMessages();
+            return { ok: true, sessionId: sessionId, reset: true };
+        } catch (error) {
+            return ChatWebApp._errorResponse(error, action);
+        }
+    }
+
+    /**
+     * @returns {Array<{name: string, description: string, parameters: Object}>} Las herramientas que puede usar el modelo.
+     */
+    listTools() {
+        if (!this.toolExecutor) {
+            return [];
+        }
+        return this.toolExecutor.getFunctionDeclarations()
+            .reduce((all, tool) => all.concat(tool.functionDeclarations || []), []);
+    }
+
+    /**
+     * @private
+     */
+    _chat(clientId, sessionId, userId, request) {
+        if (typeof request.message !== 'string' || request.message.trim() === '') {
+            throw new ChatWebAppError('BAD_REQUEST', "Falta 'message' (texto no vacío).");
+        }
+        const chat = this._openChat(clientId, sessionId, userId);
+        if (chat.getPendingToolCalls().length > 0) {
+            throw new ChatWebAppError('CONFLICT', "La sesión tiene llamadas pendientes de aprobación ('approve' / 'reject').");
+        }
+        const result = this.toolExecutor
+            ? chat.runWithTools(request.message, this.toolExecutor, this.runOptions)
+            : chat.ask(request.message, this.runOptions);
+        return ChatWebApp._turnResponse(sessionId, result);
+    }
+
+    /**
+     * @private
+     */
+    _decide(clientId, sessionId, userId, action, request) {
+        if (typeof request.callId !== 'string' || request.callId === '') {
+            throw new ChatWebAppError('BAD_REQUEST', "Falta 'callId'.");
+        }
+        const chat = this._openChat(clientId, sessionId, userId);
+        if (!chat.getPendingToolCalls().some(call => call.id === request.callId)) {
+            throw new ChatWebAppError('NOT_FOUND', `No hay ninguna llamada pendiente con ID "${request.callId}".`);
+        }
+        if (action === 'approve') {
+            chat.approveToolCall(request.callId);
+        } else {
+            chat.rejectToolCall(request.callId, request.reason || null);
+        }
+        const pending = chat.getPendingToolCalls();
+        if (pending.some(call => !call.decision)) {
+            return { ok: true, sessionId: sessionId, stopReason: 'PENDING_APPROVAL', pendingToolCalls: pending };
+        }
+        return ChatWebApp._turnResponse(sessionId, chat.resumeWithTools(this.toolExecutor, this.runOptions));
+    }
+
+    /**
+     * @private
+     */
+    static _turnResponse(sessionId, result) {
+        return {
+            ok: true,
+            sessionId: sessionId,
+            answer: result.text,
+            stopReason: result.stopReason,
+            finishReason: result.finishReason,
+            blockReason: result.blockReason,
+            safetyRatings: result.safetyRatings,
+            toolTrace: result.toolTrace,
+            rounds: result.rounds,
+            usage: result.usage,
+            pendingToolCalls: result.pendingToolCalls || []
+        };
+    }
+
+    /**
+     * Lee el historial de una sesión del cliente sin abrirla, para no crearla ni guardar nada.
+     * @private
+     * @throws {ChatWebAppError} NOT_FOUND si la sesión no existe.
+     */
+    _readHistory(clientId, sessionId) {
+        const messages = GeminiChatAPI.loadSessionMessages(`${clientId}.${sessionId}`, this.storage, this.systemInstruction);
+        if (!messages) {
+            throw new ChatWebAppError('NOT_FOUND', `La sesión "${sessionId}" no existe.`);
+        }
+        return messages;
+    }
+
+    /**
+     * Usuario al que se atribuye el consumo de la solicitud, según lo que permita el token (ver `options.auth`).
+     * @private
+     * @throws {ChatWebAppError} FORBIDDEN si la solicitud indica un `userId` que el token no permite.
+     */
+    static _resolveUserId(identity, requestedUserId) {
+        if (requestedUserId === undefined || requestedUserId === null || requestedUserId === '') {
+            return identity.userId ? `${identity.clientId}:${identity.userId}` : identity.clientId;
+        }
+        const allowed = identity.userId ? [identity.userId] : identity.userIds;
+        if (!allowed || allowed.indexOf(requestedUserId) === -1) {
+            throw new ChatWebAppError('FORBIDDEN', `El token no permite actuar como el usuario "${requestedUserId}".`);
+        }
+        return `${identity.clientId}:${requestedUserId}`;
+    }
+
+    /**
+     * Abre la sesión de un cliente. El ID guardado lleva el cliente como prefijo, para que un cliente no pueda leer
+     * ni borrar las sesiones de otro.
+     * @private
+     */
+    _openChat(clientId, sessionId, userId) {
+        const apiKey = this.apiKey || PropertiesService.getScriptProperties().getProperty('GEMINI_API_KEY');
+        if (!apiKey && !this.chatOptions.provider) {
+            throw new Error("Falta la propiedad de script GEMINI_API_KEY.");
+        }
+        const chat = new GeminiChatAPI(
+            this.model,
+            apiKey,
+            this.systemInstruction,
+            undefined,
+            this.storage,
+            Object.assign({}, this.chatOptions, { sessionId: `${clientId}.${sessionId}`, userId: userId })
+        );
+        if (this.toolExecutor) {
+            const tools = this.toolExecutor.getFunctionDeclarations();
+            if (JSON.stringify(chat.tools) !== JSON.stringify(tools)) {
+                chat.setTools(tools);
+            }
+        }
+        return chat;
+    }
+
+    /**
+     * Comprueba el token y devuelve el cliente y los usuarios que tiene asociados.
+     * @private
+     * @returns {{clientId: string, userId: (string|null), userIds: (Array<string>|null)}}
+     * @throws {ChatWebAppError} UNAUTHORIZED si el token falta o no es válido; AUTH_NOT_CONFIGURED si no hay credenciales.
+     */
+    _authenticate(token) {
+        const auth = this.auth || ChatWebApp._authFromProperties();
+        const tokens = auth.tokens || {};
+        if (!auth.sharedSecret && Object.keys(tokens).length === 0) {
+            throw new ChatWebAppError('AUTH_NOT_CONFIGURED',
+                "La API no tiene credenciales configuradas (CHAT_API_SECRET o CHAT_API_TOKENS).");
+        }
+        if (typeof token !== 'string' || token === '') {
+            throw new ChatWebAppError('UNAUTHORIZED', "Falta el token.");
+        }
+        let mapping = null;
+        Object.keys(tokens).forEach(candidate => {
+            if (ChatWebApp._safeEquals(candidate, token)) {
+                mapping = tokens[candidate];
+            }
+        });
+        if (!mapping && auth.sharedSecret && ChatWebApp._safeEquals(auth.sharedSecret, token)) {
+            mapping = 'default';
+        }
+        if (!mapping) {
+            throw new ChatWebAppError('UNAUTHORIZED', "Token no válido.");
+        }
+        const identity = typeof mapping === 'string' ? { clientId: mapping } : mapping;
+        return {
+            clientId: ChatWebApp._validateClientId(identity.clientId),
+            userId: identity.userId || null,
+            userIds: Array.isArray(identity.userIds) ? identity.userIds : null
+        };
+    }
+
+    /**
+     * Convierte el cuerpo de una respuesta en la salida JSON de la aplicación web.
+     * @param {Object} body
+     * @returns {GoogleAppsScript.Content.TextOutput}
+     */
+    static toOutput(body) {
+        return ContentService.createTextOutput(JSON.stringify(body)).setMimeType(ContentService.MimeType.JSON);
+    }
+
+    /**
+     * Une los parámetros de la URL y el cuerpo JSON (que tiene prioridad).
+     * @private
+     */
+    static _parseRequest(httpMethod, e) {
+        const request = Object.assign({}, e.parameter || {});
+        if (httpMethod === 'post' && e.postData && e.postData.contents) {
+            let body;
+            try {
+                body = JSON.parse(e.postData.contents);
+            } catch (error) {
+                throw new ChatWebAppError('BAD_REQUEST', `El cuerpo no es un JSON válido: ${error.message}`);
+            }
+            if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                throw new ChatWebAppError('BAD_REQUEST', "El cuerpo debe ser un objeto JSON.");
+            }
+            Object.assign(request, body);
+        }
+        if (!request.action && e.pathInfo) {
+            request.action = e.pathInfo;
+        }
+        return request;
+    }
+
+    /**
+     * @private
+     */
+    static _authFromProperties() {
+        const properties = PropertiesService.getScriptProperties();
+        const tokens = properties.getProperty('CHAT_API_TOKENS');
+        let parsedTokens = {};
+        if (tokens) {
+            try {
+                parsedTokens = JSON.parse(tokens);
+            } catch (e) {
+                StructuredLogger.getDefault().warn(`CHAT_API_TOKENS no es un JSON válido: ${e.message}. Se ignora.`);
+            }
+        }
+        return { sharedSecret: properties.getProperty('CHAT_API_SECRET'), tokens: parsedTokens };
+    }
+
+    /**
+     * @private
+     */
+    static _validateSessionId(sessionId) {
+        if (typeof sessionId !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(sessionId) || sessionId.indexOf('__') !== -1) {
+            throw new ChatWebAppError('BAD_REQUEST',
+                "Falta 'sessionId' o no es válido: usa letras, números, '-' o '_' (sin '__'), hasta 64 caracteres.");
+        }
+        return sessionId;
+    }
+
+    /**
+     * @private
+     */
+    static _validateClientId(clientId) {
+        if (typeof clientId !== 'string' || !/^[A-Za-z0-9_-]{1,32}$/.test(clientId) || clientId.indexOf('__') !== -1) {
+            throw new Error(`ID de cliente inválido en la configuración de tokens: "${clientId}".`);
+        }
+        return clientId;
+    }
+
+    /**
+     * Compara dos textos en tiempo constante respecto al contenido, para no revelar el token por tiempos de respuesta.
+     * @private
+     */
+    static _safeEquals(a, b) {
+        if (a.length !== b.length) {
+            return false;
+        }
+        let difference = 0;
+        for (let i = 0; i < a.length; i++) {
+            difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+        }
+        return difference === 0;
+    }
+
+    /**
+     * Traduce un error a la respuesta JSON. Los errores internos se registran completos pero se devuelven sin detalle.
+     * @private
+     */
+    static _errorResponse(error, action) {
+        let code;
+        let message = error.message;
+        if (error instanceof ChatWebAppError) {
+            code = error.code;
+        } else if (error instanceof ContextConflictError) {
+            code = 'CONFLICT';
+            message = "La sesión se modificó desde otra ejecución. Consulta el historial y vuelve a intentarlo.";
+        } else if (error instanceof GeminiBudgetError) {
+            code = 'BUDGET_EXCEEDED';
+        } else if (error instanceof GeminiQuotaError) {
+            code = 'UPSTREAM_RATE_LIMITED';
+        } else if (error instanceof GeminiApiError) {
+            code = 'UPSTREAM_ERROR';
+            message = "No se pudo obtener respuesta del modelo.";
+        } else {
+            code = 'INTERNAL';
+            message = "Error interno del servidor.";
+        }
+        // Los errores del cliente (autenticación, validación) son avisos; los del servidor, errores.
+        const level = ChatWebAppError.STATUS_CODES[code] >= 500 ? 'error' : 'warn';
+        StructuredLogger.getDefault()[level](`Error en la solicitud web '${action || '?'}' (${code}): ${error.name}: ${error.message}`);
+        return { ok: false, status: ChatWebAppError.STATUS_CODES[code], error: { code: code, message: message } };
+    }
+}
+
+/**
+ * @class ChatWebAppError
+ * @description Error de una solicitud a ChatWebApp, con un código estable para los clientes.
+ */
+class ChatWebAppError extends Error {
+
+    /**
+     * @param {string} code - Código del error (ver `STATUS_CODES`).
+     * @param {string} message - Descripción del error.
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = 'ChatWebAppError';
+        this.code = code;
+        this.status = ChatWebAppError.STATUS_CODES[code] || 500;
+    }
+
+    /**
+     * Código HTTP equivalente de cada código de error.
+     */
+    static get STATUS_CODES() {
+        return {
+            BAD_REQUEST: 400,
+            UNAUTHORIZED: 401,
+            FORBIDDEN: 403,
+            NOT_FOUND: 404,
+            METHOD_NOT_ALLOWED: 405,
+            CONFLICT: 409,
+            BUDGET_EXCEEDED: 429,
+            INTERNAL: 500,
+            AUTH_NOT_CONFIGURED: 500,
+            UPSTREAM_ERROR: 502,
+            UPSTREAM_RATE_LIMITED: 503
+        };
+    }
+}
@@ -0,0 +1,369 @@
+/**
+ * Adaptadores de almacenamiento para el contexto de GeminiChatAPI.
+ *
+ * Todo adaptador implementa la misma interfaz, basada en cadenas de texto:
+ *   - load(key)        → {string|null} El valor guardado o null si no existe.
+ *   - save(key, value) → Guarda el valor. Lanza una excepción si no se pudo guardar.
+ *   - remove(key)      → Elimina el valor (y sus fragmentos, si los hay).
+ *
+ * Los adaptadores no coordinan escrituras concurrentes: GeminiChatAPI guarda con LockService (StorageLock) y una versión
+ * del contexto (`revision`) para detectar los guardados de otras ejecuciones.
+ */
+
+/**
+ * @class ChunkedKeyValueStorageAdapter
+ * @description Base para almacenes clave/valor con límite de tamaño por valor (PropertiesService, CacheService).
+ * Si el valor supera `maxChunkBytes` se reparte en varias claves (`key__0`, `key__1`, ...) y en la clave
+ * principal se guarda un índice con el número de fragmentos.
+ * Las subclases implementan `_getValues(keys)`, `_putValues(map)` y `_deleteKeys(keys)`.
+ */
+class ChunkedKeyValueStorageAdapter {
+
+    /**
+     * @param {number} maxChunkBytes - Tamaño máximo en bytes (UTF-8) de cada valor almacenado.
+     */
+    constructor(maxChunkBytes) {
+        this.maxChunkBytes = maxChunkBytes;
+        this._CHUNK_INDEX_PREFIX = '__CHUNKED__:';
+    }
+
+    load(key) {
+        const head = this._getValues([key])[key];
+        if (head === null || head === undefined) {
+            return null;
+        }
+        if (head.indexOf(this._CHUNK_INDEX_PREFIX) !== 0) {
+            return head;
+        }
+        const chunkKeys = this._chunkKeys(key, parseInt(head.substring(this._CHUNK_INDEX_PREFIX.length), 10));
+        const chunks = this._getValues(chunkKeys);
+        return chunkKeys.map(chunkKey => {
+            if (chunks[chunkKey] === null || chunks[chunkKey] === undefined) {
+                throw new Error(`Falta el fragmento '${chunkKey}' del contexto '${key}'.`);
+            }
+            return chunks[chunkKey];
+        }).join('');
+    }
+
+    save(key, value) {
+        const previousChunkCount = this._readChunkCount(key);
+        const chunks = ChunkedKeyValueStorageAdapter.splitByBytes(value, this.maxChunkBytes);
+        const values = {};
+
+        if (chunks.length <= 1) {
+            values[key] = value;
+        } else {
+            this._chunkKeys(key, chunks.length).forEach((chunkKey, index) => {
+                values[chunkKey] = chunks[index];
+            });
+            // El índice se escribe junto a los fragmentos para que la lectura nunca vea una mezcla incompleta.
+            values[key] = this._CHUNK_INDEX_PREFIX + chunks.length;
+        }
+        this._putValues(values);
+
+        const newChunkCount = chunks.length <= 1 ? 0 : chunks.length;
+        if (previousChunkCount > newChunkCount) {
+            this._deleteKeys(this._chunkKeys(key, previousChunkCount).slice(newChunkCount));
+        }
+    }
+
+    remove(key) {
+        const chunkCount = this._readChunkCount(key);
+        this._deleteKeys([key].concat(this._chunkKeys(key, chunkCount)));
+    }
+
+    /**
+     * Divide una cadena en fragmentos cuyo tamaño en UTF-8 no supere `maxBytes`, sin partir pares sustitutos.
+     * @param {string} value - La cadena a dividir.
+     * @param {number} maxBytes - Tamaño máximo de cada fragmento en bytes.
+     * @returns {Array<string>} Los fragmentos, en orden.
+     */
+    static splitByBytes(value, maxBytes) {
+        const chunks = [];
+        let start = 0;
+        let bytes = 0;
+        for (let i = 0; i < value.length; i++) {
+            const code = value.charCodeAt(i);
+            const isPair = code >= 0xD800 && code <= 0xDBFF && i + 1 < value.length;
+            const charBytes = isPair ? 4 : (code < 0x80 ? 1 : (code < 0x800 ? 2 : 3));
+            if (bytes + charBytes > maxBytes && i > start) {
+                chunks.push(value.substring(start, i));
+                start = i;
+                bytes = 0;
+            }
+            bytes += charBytes;
+            if (isPair) i++;
+        }
+        chunks.push(value.substring(start));
+        return chunks;
+    }
+
+    /**
+     * @private
+     */
+    _readChunkCount(key) {
+        const head = this._getValues([key])[key];
+        if (head && head.indexOf(this._CHUNK_INDEX_PREFIX) === 0) {
+            return parseInt(head.substring(this._CHUNK_INDEX_PREFIX.length), 10) || 0;
+        }
+        return 0;
+    }
+
+    /**
+     * @private
+     */
+    _chunkKeys(key, count) {
+        const keys = [];
+        for (let i = 0; i < count; i++) {
+            keys.push(`${key}__${i}`);
+        }
+        return keys;
+    }
+}
+
+/**
+ * @class PropertiesStorageAdapter
+ * @description Guarda el contexto en PropertiesService, repartiéndolo en varias propiedades
+ * cuando supera el límite de ~9KB por valor.
+ */
+class PropertiesStorageAdapter extends ChunkedKeyValueStorageAdapter {
+
+    /**
+     * @param {GoogleAppsScript.Properties.Properties} [propertiesInstance] - Por defecto, UserProperties.
+     * @param {number} [maxChunkBytes=8000] - Tamaño máximo de cada propiedad. Se deja margen bajo el límite de 9KB.
+     */
+    constructor(propertiesInstance = null, maxChunkBytes = 8000) {
+        super(maxChunkBytes);
+        this.properties = propertiesInstance || PropertiesService.getUserProperties();
+    }
+
+    _getValues(keys) {
+        const values = {};
+        keys.forEach(key => {
+            values[key] = this.properties.getProperty(key);
+        });
+        return values;
+    }
+
+    _putValues(map) {
+        this.properties.setProperties(map);
+    }
+
+    _deleteKeys(keys) {
+        keys.forEach(key => this.properties.deleteProperty(key));
+    }
+}
+
+/**
+ * @class CacheStorageAdapter
+ * @description Guarda el contexto en CacheService. Útil para conversaciones efímeras: la caché expira
+ * (máximo 6 horas) y puede vaciarse antes. Los valores se fragmentan por encima de ~100KB.
+ */
+class CacheStorageAdapter extends ChunkedKeyValueStorageAdapter {
+
+    /**
+     * @param {GoogleAppsScript.Cache.Cache} [cacheInstance] - Por defecto, la caché del usuario.
+     * @param {number} [expirationInSeconds=21600] - Tiempo de vida de cada entrada (máximo 21600).
+     * @param {number} [maxChunkBytes=90000] - Tamaño máximo de cada entrada.
+     */
+    constructor(cacheInstance = null, expirationInSeconds = 21600, maxChunkBytes = 90000) {
+        super(maxChunkBytes);
+        this.cache = cacheInstance || CacheService.getUserCache();
+        this.expirationInSeconds = expirationInSeconds;
+    }
+
+    _getValues(keys) {
+        return this.cache.getAll(keys);
+    }
+
+    _putValues(map) {
+        this.cache.putAll(map, this.expirationInSeconds);
+    }
+
+    _deleteKeys(keys) {
+        this.cache.removeAll(keys);
+    }
+}
+
+/**
+ * @class DriveFileStorageAdapter
+ * @description Guarda cada contexto como un archivo JSON en Google Drive (`<key>.json`).
+ * No tiene límite práctico de tamaño, a cambio de mayor latencia por lectura/escritura.
+ */
+class DriveFileStorageAdapter {
+
+    /**
+     * @param {string} [folderId] - ID de la carpeta donde se guardan los archivos. Por defecto, la raíz de Drive.
+     */
+    constructor(folderId = null) {
+        this.folderId = folderId;
+    }
+
+    load(key) {
+        const file = this._findFile(key);
+        return file ? file.getBlob().getDataAsString() : null;
+    }
+
+    save(key, value) {
+        const file = this._findFile(key);
+        if (file) {
+            file.setContent(value);
+        } else {
+            this._getFolder().createFile(this._fileName(key), value, 'application/json');
+        }
+    }
+
+    remove(key) {
+        const file = this._findFile(key);
+        if (file) {
+            file.setTrashed(true);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _getFolder() {
+        return this.folderId ? DriveApp.getFolderById(this.folderId) : DriveApp.getRootFolder();
+    }
+
+    /**
+     * @private
+     */
+    _fileName(key) {
+        return `${key}.json`;
+    }
+
+    /**
+     * @private
+     */
+    _findFile(key) {
+        const files = this._getFolder().getFilesByName(this._fileName(key));
+        return files.hasNext() ? files.next() : null;
+    }
+}
+
+/**
+ * @class InMemoryStorageAdapter
+ * @description Guarda el contexto en memoria durante la ejecución actual. No persiste entre ejecuciones;
+ * pensado para pruebas o para conversaciones de un solo uso.
+ */
+class InMemoryStorageAdapter {
+
+    constructor() {
+        this.values = {};
+    }
+
+    load(key) {
+        return Object.prototype.hasOwnProperty.call(this.values, key) ? this.values[key] : null;
+    }
+
+    save(key, value) {
+        this.values[key] = value;
+    }
+
+    remove(key) {
+        delete this.values[key];
+    }
+}
+
+/**
+ * @class StorageLock
+ * @description Bloqueo de LockService con el que se serializan las lecturas y escrituras de un registro compartido
+ * (el contexto y el índice de sesiones en GeminiChatAPI, el consumo en UsageTracker).
+ */
+class StorageLock {
+
+    /**
+     * @param {string|Object|boolean} option - 'user', 'script' o 'document' (LockService), un objeto Lock propio o
+     * `false` para no bloquear.
+     * @param {number} [timeoutMs=10000] - Espera máxima para obtener el bloqueo.
+     * @param {string} [label='del registro'] - Qué protege el bloqueo, para los mensajes de error (ej. 'del contexto').
+     */
+    constructor(option, timeoutMs = 10000, label = 'del registro') {
+        this.option = StorageLock.validateOption(option);
+        this.timeoutMs = timeoutMs;
+        this.label = label;
+        this._held = false;
+    }
+
+    /**
+     * Comprueba el valor de una opción `lock`.
+     * @param {*} option - El valor indicado.
+     * @returns {string|Object|boolean} El mismo valor, si es válido.
+     * @throws {Error} Si no es 'user', 'script', 'document', un objeto Lock ni false.
+     */
+    static validateOption(option) {
+        if (option === false || ['user', 'script', 'document'].indexOf(option) !== -1 || (option && typeof option.tryLock === 'function')) {
+            return option;
+        }
+        throw new Error(`Bloqueo inválido: "${option}". Usa 'user', 'script', 'document', un objeto Lock o false.`);
+    }
+
+    /**
+     * Ejecuta `callback` con el bloqueo. Si ya se tiene (una llamada anidada desde otra hecha con este mismo objeto), lo
+     * ejecuta directamente en vez de volver a pedirlo.
+     * @param {Function} callback - Lectura, modificación y escritura que deben hacerse sin otras ejecuciones de por medio.
+     * @returns {*} Lo que devuelva `callback`.
+     * @throws {Error} Si no se obtuvo el bloqueo en `timeoutMs`.
+     */
+    run(callback) {
+        if (this._held) {
+            return callback();
+        }
+        const lock = this._acquire();
+        this._held = true;
+        try {
+            return callback();
+        } finally {
+            this._held = false;
+            if (lock) {
+                lock.releaseLock();
+            }
+        }
+    }
+
+    /**
+     * @private
+     * @returns {Object|null} El Lock obtenido, o null si la opción es false.
+     */
+    _acquire() {
+        if (this.option === false) {
+            return null;
+        }
+        const lock = typeof this.option === 'object' ? this.option
+            : (this.option === 'user' ? LockService.getUserLock()
+                : (this.option === 'script' ? LockService.getScriptLock() : LockService.getDocumentLock()));
+        if (!lock) {
+            // getDocumentLock devuelve null fuera de un script vinculado a un documento.
+            throw new Error(`No hay bloqueo '${this.option}' disponible en este contexto.`);
+        }
+        if (!lock.tryLock(this.timeoutMs)) {
+            throw new Error(`No se obtuvo el bloqueo ${this.label} en ${this.timeoutMs} ms.`);
+        }
+        return lock;
+    }
+}
+
+/**
+ * @class ContextConflictError
+ * @description Otra ejecución guardó la misma sesión después de que esta instancia la cargara y los cambios no se pudieron
+ * fusionar (ver `conflictMode` en GeminiChatAPI). El contexto guardado no se modifica.
+ */
+class ContextConflictError extends Error {
+
+    /**
+     * @param {string} message - Descripción del conflicto.
+     * @param {Object} [details={}] - Detalles.
+     * @param {string} [details.sessionId] - La sesión en conflicto.
+     * @param {number} [details.expectedRevision] - Versión de la que partía la instancia.
+     * @param {number} [details.storedRevision] - Versión encontrada en el almacenamiento.
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'ContextConflictError';
+        this.sessionId = details.sessionId || null;
+        this.expectedRevision = details.expectedRevision !== undefined ? details.expectedRevision : null;
+        this.storedRevision = details.storedRevision !== undefined ? details.storedRevision : null;
+    }
+}
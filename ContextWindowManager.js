@@ -0,0 +1,294 @@
+/**
+ * @class ContextWindowManager
+ * @description Mantiene las solicitudes de GeminiChatAPI dentro del presupuesto de tokens del modelo.
+ * Antes de cada envío se estima (o se consulta con `countTokens`) el tamaño del historial y, si supera el presupuesto,
+ * se aplica una estrategia: ventana deslizante, eliminación de resultados de herramientas antiguos o resumen de turnos
+ * anteriores mediante el propio modelo. El resultado solo se usa para la solicitud; el historial guardado no cambia.
+ *
+ * El historial se agrupa en turnos indivisibles: cada turno empieza con un mensaje de texto del usuario e incluye
+ * las llamadas a herramientas, sus `functionResponse` y la respuesta del modelo, de modo que nunca se separa
+ * una llamada de su resultado.
+ */
+class ContextWindowManager {
+
+    /**
+     * @param {Object} [config={}] - Configuración de la ventana de contexto.
+     * @param {number} [config.maxInputTokens] - Presupuesto de tokens de entrada. Por defecto, el límite conocido del modelo.
+     * @param {string} [config.strategy='sliding_window'] - 'sliding_window', 'drop_tool_results' o 'summarize'.
+     * @param {number} [config.keepRecentTurns=4] - Turnos recientes que nunca se recortan ni se resumen.
+     * @param {boolean} [config.useCountTokensApi=false] - Si es true, consulta el endpoint `countTokens` en lugar de solo estimar.
+     * @param {boolean} [config.preserveFirstMessage=false] - Conserva siempre el primer mensaje del historial (ej. un contexto
+     * inicial añadido como mensaje). La instrucción de sistema va aparte y no se ve afectada.
+     */
+    constructor(config = {}) {
+        this.maxInputTokens = config.maxInputTokens || null;
+        this.strategy = config.strategy || 'sliding_window';
+        this.keepRecentTurns = config.keepRecentTurns !== undefined ? config.keepRecentTurns : 4;
+        this.useCountTokensApi = !!config.useCountTokensApi;
+        this.preserveFirstMessage = !!config.preserveFirstMessage;
+        // Último resumen generado y mensajes que cubre, para no volver a resumirlos en cada envío de la ejecución.
+        this._summaryCache = null;
+
+        if (ContextWindowManager.STRATEGIES.indexOf(this.strategy) === -1) {
+            throw new Error(`Estrategia de contexto desconocida: "${this.strategy}". Usa: ${ContextWindowManager.STRATEGIES.join(', ')}.`);
+        }
+    }
+
+    static get STRATEGIES() {
+        return ['sliding_window', 'drop_tool_results', 'summarize'];
+    }
+
+    /**
+     * Límites de tokens de entrada conocidos por familia de modelo. Se usa el prefijo más largo que coincida.
+     */
+    static get MODEL_INPUT_TOKEN_LIMITS() {
+        return {
+            'gemini-1.0-pro': 30720,
+            'gemini-1.5-flash': 1048576,
+            'gemini-1.5-pro': 2097152,
+            'gemini-2.0-flash': 1048576,
+            'gemini-2.5-flash': 1048576,
+            'gemini-2.5-pro': 1048576,
+            'gpt-4o': 128000,
+            'gpt-4.1': 1047576,
+            'mistral-large': 131072
+        };
+    }
+
+    /**
+     * Presupuesto de tokens por defecto para modelos desconocidos.
+     */
+    static get DEFAULT_INPUT_TOKEN_LIMIT() {
+        return 32768;
+    }
+
+    /**
+     * Devuelve el presupuesto de tokens de entrada para un modelo.
+     * @param {string} modelName - Nombre del modelo (ej. "gemini-2.5-flash-latest").
+     * @returns {number}
+     */
+    getBudget(modelName) {
+        if (this.maxInputTokens) {
+            return this.maxInputTokens;
+        }
+        const limits = ContextWindowManager.MODEL_INPUT_TOKEN_LIMITS;
+        const match = Object.keys(limits)
+            .filter(prefix => modelName.indexOf(prefix) === 0)
+            .sort((a, b) => b.length - a.length)[0];
+        return match ? limits[match] : ContextWindowManager.DEFAULT_INPUT_TOKEN_LIMIT;
+    }
+
+    /**
+     * Estimación local de tokens (~4 caracteres por token). No requiere llamadas a la API.
+     * @param {Array<Object>} contents - Mensajes en formato de Gemini.
+     * @returns {number}
+     */
+    static estimateTokens(contents) {
+        return Math.ceil(JSON.stringify(contents).length / 4);
+    }
+
+    /**
+     * Ajusta el historial al presupuesto del modelo del cliente.
+     * @param {GeminiChatAPI} client - Cliente que aporta el modelo, el conteo de tokens y las llamadas de resumen.
+     * @param {Array<Object>} messages - Historial actual.
+     * @param {string} [model=client.model] - Modelo al que se enviará la solicitud (ej. el modelo de respaldo que eligió
+     * un presupuesto). Determina el presupuesto de tokens y se usa para contarlos y resumir.
+     * @returns {{messages: Array<Object>, changed: boolean, tokensBefore: number, tokensAfter: number, budget: number}}
+     */
+    fit(client, messages, model = client.model) {
+        const budget = this.getBudget(model);
+        const estimated = ContextWindowManager.estimateTokens(messages);
+        let tokensBefore = estimated;
+        if (this.useCountTokensApi) {
+            const counted = client.countTokens(messages, model);
+            if (counted !== null) {
+                tokensBefore = counted;
+            }
+        }
+        // Factor para convertir estimaciones locales en tokens reales cuando se consultó la API.
+        const ratio = estimated > 0 ? tokensBefore / estimated : 1;
+        const count = contents => Math.ceil(ContextWindowManager.estimateTokens(contents) * ratio);
+
+        if (tokensBefore <= budget) {
+            return { messages: messages, changed: false, tokensBefore: tokensBefore, tokensAfter: tokensBefore, budget: budget };
+        }
+
+        StructuredLogger.getDefault().info(`Historial de ${tokensBefore} tokens supera el presupuesto de ${budget}. Aplicando estrategia '${this.strategy}'.`);
+        let fitted;
+        if (this.strategy === 'drop_tool_results') {
+            fitted = this._dropToolResults(messages, budget, count);
+        } else if (this.strategy === 'summarize') {
+            fitted = this._summarize(client, messages, budget, count, model);
+        } else {
+            fitted = this._slidingWindow(messages, budget, count);
+        }
+
+        const tokensAfter = count(fitted);
+        StructuredLogger.getDefault().info(`Historial ajustado: ${messages.length} → ${fitted.length} mensajes, ~${tokensAfter} tokens.`);
+        return { messages: fitted, changed: true, tokensBefore: tokensBefore, tokensAfter: tokensAfter, budget: budget };
+    }
+
+    /**
+     * Agrupa el historial en turnos indivisibles. Un turno empieza con un mensaje de texto del usuario
+     * y abarca todo lo que sigue (llamadas a herramientas, respuestas y texto del modelo) hasta el siguiente.
+     * @param {Array<Object>} messages - Historial en formato de Gemini.
+     * @returns {Array<Array<Object>>}
+     */
+    static groupIntoBlocks(messages) {
+        const blocks = [];
+        messages.forEach(message => {
+            if (blocks.length === 0 || ContextWindowManager._isUserTurnStart(message)) {
+                blocks.push([message]);
+            } else {
+                blocks[blocks.length - 1].push(message);
+            }
+        });
+        return blocks;
+    }
+
+    /**
+     * Separa el mensaje fijado (si aplica) del resto de bloques.
+     * @private
+     */
+    _split(messages) {
+        const pinned = this.preserveFirstMessage && messages.length > 0 ? [messages[0]] : [];
+        const blocks = ContextWindowManager.groupIntoBlocks(messages.slice(pinned.length));
+        return { pinned: pinned, blocks: blocks };
+    }
+
+    /**
+     * Elimina los turnos más antiguos hasta cumplir el presupuesto. Siempre conserva el último turno.
+     * @private
+     */
+    _slidingWindow(messages, budget, count) {
+        const split = this._split(messages);
+        let blocks = split.blocks;
+        const flatten = candidateBlocks => split.pinned.concat(...candidateBlocks);
+
+        while (blocks.length > 1 && count(flatten(blocks)) > budget) {
+            blocks = blocks.slice(1);
+        }
+        return flatten(blocks);
+    }
+
+    /**
+     * Sustituye el contenido de los resultados de herramientas antiguos por una marca corta. Se conservan el resto de
+     * campos de `functionResponse` (como `id`), que emparejan el resultado con su llamada. Si no es suficiente, aplica la ventana deslizante.
+     * @private
+     */
+    _dropToolResults(messages, budget, count) {
+        const split = this._split(messages);
+        const recentStart = Math.max(0, split.blocks.length - this.keepRecentTurns);
+        const blocks = split.blocks.map((block, blockIndex) => {
+            if (blockIndex >= recentStart) {
+                return block;
+            }
+            return block.map(message => {
+                if (!(message.parts || []).some(part => part.functionResponse)) {
+                    return message;
+                }
+                return {
+                    role: message.role,
+                    parts: message.parts.map(part => part.functionResponse ? {
+                        functionResponse: Object.assign({}, part.functionResponse, {
+                            response: { content: '[Resultado omitido para ahorrar contexto]' }
+                        })
+                    } : part)
+                };
+            });
+        });
+        const trimmed = split.pinned.concat(...blocks);
+        return count(trimmed) > budget ? this._slidingWindow(trimmed, budget, count) : trimmed;
+    }
+
+    /**
+     * Resume los turnos anteriores a los `keepRecentTurns` más recientes en un solo mensaje generado por el modelo.
+     * Si el resumen falla o no es suficiente, aplica la ventana deslizante.
+     * Los resúmenes se reutilizan durante la ejecución: si los mensajes a resumir empiezan por los ya resumidos, solo se
+     * pide al modelo que amplíe el resumen anterior con los nuevos.
+     * @private
+     */
+    _summarize(client, messages, budget, count, model) {
+        const split = this._split(messages);
+        const recentStart = Math.max(1, split.blocks.length - this.keepRecentTurns);
+        const recentBlocks = split.blocks.slice(recentStart);
+        const olderMessages = [].concat(...split.blocks.slice(0, recentStart));
+        if (olderMessages.length === 0) {
+            return this._slidingWindow(messages, budget, count);
+        }
+
+        const summary = this._summaryFor(client, olderMessages, model);
+        if (!summary) {
+            StructuredLogger.getDefault().warn("No se pudo resumir el historial. Se aplica la ventana deslizante.");
+            return this._slidingWindow(messages, budget, count);
+        }
+
+        const summarized = split.pinned.concat(
+            ContextWindowManager._summaryMessage(summary),
+            { role: 'model', parts: [{ text: 'Entendido, continúo a partir de ese resumen.' }] },
+            ...recentBlocks
+        );
+        return count(summarized) > budget ? this._slidingWindow(summarized, budget, count) : summarized;
+    }
+
+    /**
+     * Devuelve el resumen de `olderMessages`, a partir del resumen guardado en `_summaryCache` si este cubre su comienzo.
+     * @private
+     */
+    _summaryFor(client, olderMessages, model) {
+        const cache = this._summaryCache;
+        const cached = cache && cache.messages.length <= olderMessages.length &&
+            cache.messages.every((message, index) => olderMessages[index] === message);
+        if (cached && cache.messages.length === olderMessages.length) {
+            return cache.summary;
+        }
+        const summary = cached
+            ? client.summarizeMessages([ContextWindowManager._summaryMessage(cache.summary)]
+                .concat(olderMessages.slice(cache.messages.length)), model)
+            : client.summarizeMessages(olderMessages, model);
+        if (summary) {
+            this._summaryCache = { messages: olderMessages, summary: summary };
+        }
+        return summary;
+    }
+
+    /**
+     * @private
+     */
+    static _summaryMessage(summary) {
+        return { role: 'user', parts: [{ text: `Resumen de la conversación anterior:\n${summary}` }] };
+    }
+
+    /**
+     * Indica si un mensaje abre un turno: mensaje del usuario que no es una respuesta de herramienta.
+     * @private
+     */
+    static _isUserTurnStart(message) {
+        return message.role === 'user' && !(message.parts || []).some(part => part.functionResponse);
+    }
+
+    /**
+     * Convierte mensajes en una transcripción de texto, apta para pedir un resumen sin declarar herramientas.
+     * @param {Array<Object>} messages - Mensajes en formato de Gemini.
+     * @returns {string}
+     */
+    static toTranscript(messages) {
+        return messages.map(message => {
+            return (message.parts || []).map(part => {
+                if (part.text) {
+                    return `${message.role === 'model' ? 'Asistente' : 'Usuario'}: ${part.text}`;
+                }
+                if (part.functionCall) {
+                    return `Asistente llamó a ${part.functionCall.name}(${JSON.stringify(part.functionCall.args || {})})`;
+                }
+                if (part.functionResponse) {
+                    return `Resultado de ${part.functionResponse.name}: ${JSON.stringify(part.functionResponse.response)}`;
+                }
+                if (MediaParts.isMediaPart(part)) {
+                    return `Usuario adjuntó ${MediaParts.describe(part)}`;
+                }
+                return '';
+            }).filter(line => line).join('\n');
+        }).join('\n');
+    }
+}
@@ -0,0 +1,118 @@
+/**
+ * Fuentes de documentos para el pipeline de RAG.
+ *
+ * Toda fuente implementa la misma interfaz:
+ *   - read() → {Array<{sourceId: string, title: string, text: string, metadata: Object}>} Los documentos de la fuente.
+ */
+
+/**
+ * @class TextSource
+ * @description Texto plano ya disponible en memoria (ej. el contenido de un correo o de una respuesta de API).
+ */
+class TextSource {
+
+    /**
+     * @param {string} sourceId - Identificador estable del documento. Reingerir con el mismo ID reemplaza sus fragmentos.
+     * @param {string} text - El texto.
+     * @param {Object} [options={}] - Opciones.
+     * @param {string} [options.title] - Título para las citas. Por defecto, el ID.
+     * @param {Object} [options.metadata={}] - Metadatos que se guardan con cada fragmento.
+     */
+    constructor(sourceId, text, options = {}) {
+        if (!sourceId) {
+            throw new Error("El ID de la fuente es requerido.");
+        }
+        this.sourceId = sourceId;
+        this.text = text || '';
+        this.title = options.title || sourceId;
+        this.metadata = options.metadata || {};
+    }
+
+    read() {
+        return [{
+            sourceId: this.sourceId,
+            title: this.title,
+            text: this.text,
+            metadata: Object.assign({ type: 'text' }, this.metadata)
+        }];
+    }
+}
+
+/**
+ * @class GoogleDocSource
+ * @description Un documento de Google Docs, leído con DocumentApp.
+ */
+class GoogleDocSource {
+
+    /**
+     * @param {string} documentId - ID del documento.
+     * @param {Object} [options={}] - Opciones.
+     * @param {Object} [options.metadata={}] - Metadatos que se guardan con cada fragmento.
+     */
+    constructor(documentId, options = {}) {
+        if (!documentId) {
+            throw new Error("El ID del documento es requerido.");
+        }
+        this.documentId = documentId;
+        this.metadata = options.metadata || {};
+    }
+
+    read() {
+        const document = DocumentApp.openById(this.documentId);
+        return [{
+            sourceId: `doc:${this.documentId}`,
+            title: document.getName(),
+            text: document.getBody().getText(),
+            metadata: Object.assign({ type: 'google_doc', url: document.getUrl() }, this.metadata)
+        }];
+    }
+}
+
+/**
+ * @class GoogleSheetSource
+ * @description Una hoja de Google Sheets. Cada fila se convierte en una línea "Encabezado: valor; ..." para que
+ * los fragmentos conserven el significado de cada columna.
+ */
+class GoogleSheetSource {
+
+    /**
+     * @param {string} spreadsheetId - ID de la hoja de cálculo.
+     * @param {Object} [options={}] - Opciones.
+     * @param {string} [options.sheetName] - Nombre de la pestaña. Por defecto, la primera.
+     * @param {Array<string>} [options.columns] - Encabezados a incluir. Por defecto, todos.
+     * @param {Object} [options.metadata={}] - Metadatos que se guardan con cada fragmento.
+     */
+    constructor(spreadsheetId, options = {}) {
+        if (!spreadsheetId) {
+            throw new Error("El ID de la hoja de cálculo es requerido.");
+        }
+        this.spreadsheetId = spreadsheetId;
+        this.sheetName = options.sheetName || null;
+        this.columns = options.columns || null;
+        this.metadata = options.metadata || {};
+    }
+
+    read() {
+        const spreadsheet = SpreadsheetApp.openById(this.spreadsheetId);
+        const sheet = this.sheetName ? spreadsheet.getSheetByName(this.sheetName) : spreadsheet.getSheets()[0];
+        if (!sheet) {
+            throw new Error(`No se encontró la pestaña "${this.sheetName}" en la hoja ${this.spreadsheetId}.`);
+        }
+        const values = sheet.getDataRange().getDisplayValues();
+        const headers = values.length > 0 ? values[0] : [];
+        const columnIndexes = headers
+            .map((header, index) => index)
+            .filter(index => headers[index] && (!this.columns || this.columns.indexOf(headers[index]) !== -1));
+
+        const lines = values.slice(1)
+            .filter(row => row.some(cell => cell !== ''))
+            .map(row => columnIndexes.map(index => `${headers[index]}: ${row[index]}`).join('; '));
+
+        return [{
+            sourceId: `sheet:${this.spreadsheetId}:${sheet.getName()}`,
+            title: `${spreadsheet.getName()} - ${sheet.getName()}`,
+            text: lines.join('\n'),
+            metadata: Object.assign({ type: 'google_sheet', url: spreadsheet.getUrl(), sheetName: sheet.getName() }, this.metadata)
+        }];
+    }
+}
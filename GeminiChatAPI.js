@@ -1,102 +1,536 @@
 /**
  * @class GeminiChatAPI
  * @description Clase para gestionar el contexto de la conversación, definir herramientas y realizar llamadas a la API de Gemini,
- * con persistencia del historial de mensajes y herramientas utilizando Google Apps Script's PropertiesService.
+ * con persistencia del historial de mensajes y herramientas mediante un adaptador de almacenamiento
+ * (por defecto, PropertiesService con fragmentación de contextos grandes).
+ * El historial se guarda en un formato neutro y un proveedor (ver ChatProviders.js) lo traduce a cada API, de modo que la
+ * misma conversación puede enviarse a Gemini o a una API compatible con OpenAI.
  */
 class GeminiChatAPI {
 
     /**
      * Constructor de la clase GeminiChatAPI.
-     * @param {string} modelName - El nombre del modelo de Gemini a utilizar (ej. "gemini-1.5-flash", "gemini-1.5-pro").
-     * @param {string} apiKey - Tu clave API de Gemini.
-     * @param {string} [initialSystemMessage] - Un mensaje inicial de "system" (como "parts" en Gemini) para establecer el comportamiento del asistente.
+     * @param {string} modelName - El nombre del modelo a utilizar (ej. "gemini-1.5-flash", "gemini-1.5-pro", o "gpt-4o-mini"
+     * con un proveedor compatible con OpenAI).
+     * @param {string} apiKey - Tu clave API de Gemini. No es necesaria si se indica `options.provider`.
+     * @param {string} [initialSystemMessage] - Instrucción de sistema inicial para establecer el comportamiento del asistente.
+     * Se envía como `systemInstruction` y solo se aplica si la sesión no tiene ya una guardada (ver `setSystemInstruction`).
      * @param {string} [apiEndpoint="https://generativelanguage.googleapis.com/v1beta/models/"] - La URL base del endpoint de la API. El modelo se añadirá a esto.
-     * @param {GoogleAppsScript.Properties.Properties} [propertiesServiceInstance] - Instancia opcional de PropertiesService. Por defecto, usa UserProperties.
+     * @param {GoogleAppsScript.Properties.Properties|Object} [storage] - Adaptador de almacenamiento (ver ContextStorage.js)
+     * o una instancia de PropertiesService, que se envuelve en un PropertiesStorageAdapter. Por defecto, usa UserProperties.
+     * @param {Object} [options={}] - Opciones adicionales.
+     * @param {string} [options.saveErrorMode='log'] - Qué hacer si falla el guardado del contexto: 'log' registra el error
+     * y continúa; 'throw' lanza una excepción. En ambos casos el error queda en `lastSaveError`.
+     * @param {string} [options.sessionId='default'] - Identificador de la conversación. Cada sesión tiene su propio historial,
+     * por lo que varios asistentes o conversaciones pueden convivir en el mismo almacenamiento.
+     * @param {number} [options.sessionTtlMs] - Si se indica, al inicializar se eliminan las sesiones sin actividad durante más de este tiempo.
+     * @param {Object|boolean} [options.contextWindow={}] - Configuración de ContextWindowManager (presupuesto de tokens y estrategia
+     * de recorte). `false` desactiva el control de la ventana de contexto.
+     * @param {Object} [options.retry] - Política de reintentos para errores 429/5xx y de red (ver `DEFAULT_RETRY_OPTIONS`).
+     * @param {Object} [options.generationConfig] - `generationConfig` por defecto de la instancia (ej. `{ maxOutputTokens: 1024 }`).
+     * @param {Object} [options.provider] - Proveedor de chat (ver ChatProviders.js). Por defecto, un GeminiProvider con
+     * `apiKey` y `apiEndpoint`.
+     * @param {Object} [options.media] - Adjuntos de los mensajes del usuario (ver MediaParts.js): `maxBytes` (tamaño máximo
+     * por archivo, 50 MB por defecto), `driveFolderId` (carpeta donde guardar Blobs y datos en base64) e `inlineMaxBytes`
+     * (umbral para enviar en línea o por la Files API, solo con el proveedor por defecto).
+     * @param {string} [options.userId='anonymous'] - Usuario al que se atribuye el consumo de tokens.
+     * @param {Object|boolean} [options.usage={}] - Contabilidad de tokens (ver UsageTracker): `budgets`, `retentionDays`,
+     * `timeZone` y `storage` (por defecto, el almacenamiento indicado en el constructor o, si no se indicó, ScriptProperties,
+     * para sumar el consumo de todos los usuarios). `false` la desactiva.
+     * @param {Object} [options.transport] - Transporte HTTP con la interfaz de `UrlFetchApp.fetch` (ver HttpTransport.js),
+     * para grabar o reproducir las llamadas. Por defecto, UrlFetchApp.
+     * @param {string|Object|boolean} [options.lock] - Bloqueo con el que se serializan los guardados del contexto y del
+     * índice de sesiones: 'user', 'script' o 'document' (LockService), un objeto Lock propio o `false` para no bloquear.
+     * Por defecto, 'user' con el almacenamiento por defecto (UserProperties) y 'script' si se indicó otro almacenamiento.
+     * @param {number} [options.lockTimeoutMs=10000] - Espera máxima para obtener el bloqueo.
+     * @param {string} [options.conflictMode='merge'] - Qué hacer si otra ejecución guardó la sesión después de cargarla:
+     * 'merge' añade los mensajes nuevos de esta instancia detrás de los guardados (si ambas solo añadieron mensajes) y
+     * lanza ContextConflictError en otro caso; 'throw' lanza siempre ContextConflictError.
+     * @param {StructuredLogger} [options.logger] - Registro de la instancia (ver StructuredLogger.js). Por defecto, el
+     * registro compartido. Sus entradas llevan el `sessionId`, y la clave API se oculta en todas ellas.
      */
     constructor(
       modelName, 
       apiKey, 
       initialSystemMessage = null, 
       apiEndpoint = "https://generativelanguage.googleapis.com/v1beta/models/", 
-      propertiesServiceInstance = null
+      storage = null,
+      options = {}
     ) {
         if (!modelName) {
             throw new Error("El nombre del modelo de Gemini es requerido.");
         }
-        if (!apiKey) {
+        if (!apiKey && !options.provider) {
             throw new Error("La clave API de Gemini es requerida.");
         }
 
         this.model = modelName;
         this.apiKey = apiKey;
         this.apiEndpoint = apiEndpoint; 
-        this.propertiesService = propertiesServiceInstance || PropertiesService.getUserProperties();
-        this._CONTEXT_PROPERTY_KEY = 'GEMINI_CHAT_CONTEXT';
+        this.userId = options.userId || 'anonymous';
+        this.lastUsage = null;
+        this.mediaOptions = Object.assign({}, MediaParts.DEFAULT_OPTIONS, options.media || {});
+        this.transport = options.transport || null;
+        this.provider = options.provider || new GeminiProvider(apiKey, apiEndpoint, {
+            inlineMaxBytes: this.mediaOptions.inlineMaxBytes,
+            transport: this.transport
+        });
+        this.storage = GeminiChatAPI._resolveStorage(storage);
+        this.usageTracker = options.usage === false ? null : GeminiChatAPI._createUsageTracker(options.usage || {}, storage ? this.storage : null);
+        this.saveErrorMode = options.saveErrorMode || 'log';
+        this.lastSaveError = null;
+        this.sessionId = GeminiChatAPI._validateSessionId(options.sessionId || GeminiChatAPI.DEFAULT_SESSION_ID);
+        this.logger = (options.logger || StructuredLogger.getDefault()).child({ sessionId: this.sessionId });
+        this.logger.addSecret(apiKey);
+        this.sessionTtlMs = options.sessionTtlMs || null;
+        this._CONTEXT_PROPERTY_KEY = GeminiChatAPI._contextKeyFor(this.sessionId);
+        this._SESSIONS_INDEX_KEY = 'GEMINI_CHAT_SESSIONS';
+        this.contextWindow = options.contextWindow === false ? null : new ContextWindowManager(options.contextWindow || {});
+        this.retryOptions = Object.assign({}, GeminiChatAPI.DEFAULT_RETRY_OPTIONS, options.retry || {});
+        this.generationConfig = options.generationConfig || {};
+        this.contextLock = new StorageLock(
+            options.lock !== undefined ? options.lock : (storage ? 'script' : 'user'),
+            options.lockTimeoutMs || 10000,
+            'del contexto'
+        );
+        this.conflictMode = options.conflictMode || 'merge';
+        if (['merge', 'throw'].indexOf(this.conflictMode) === -1) {
+            throw new Error(`Modo de conflicto desconocido: "${this.conflictMode}". Usa 'merge' o 'throw'.`);
+        }
 
         this.messages = [];
         this.tools = [];
+        this.systemInstruction = null;
+        // Última actividad de la sesión registrada en el índice (ms); null hasta leerla en el primer guardado.
+        this._sessionActivityAt = null;
+        this.pendingToolCalls = null;
+        this.toolCallCounts = {};
+        // Versión del contexto leída o escrita por última vez y estado guardado en ese momento, para detectar y fusionar
+        // los guardados de otras ejecuciones.
+        this.contextRevision = 0;
+        this._syncedMessages = [];
+        this._syncedPendingCreatedAt = null;
+        this._batchDepth = 0;
+        this._batchDirty = false;
+
+        if (this.sessionTtlMs) {
+            this.expireIdleSessions(this.sessionTtlMs);
+        }
 
         // Cargar el estado del contexto persistido
-        this._loadContext();
+        this._loadContext(initialSystemMessage);
+
+        // La instrucción de sistema se guarda aparte del historial y se envía en el campo `systemInstruction`.
+        if (!this.systemInstruction && initialSystemMessage) {
+            this.setSystemInstruction(initialSystemMessage);
+        }
+
+        this.logger.debug(`GeminiChatAPI inicializada para el modelo: ${this.model} (proveedor: ${this.provider.name}, sesión: ${this.sessionId})`);
+    }
+
+    /**
+     * Política de reintentos por defecto.
+     * - maxAttempts: intentos totales, incluido el primero.
+     * - initialDelayMs / maxDelayMs: espera base del backoff exponencial y su tope.
+     * - timeBudgetMs: tiempo máximo total de una llamada con sus reintentos. Por defecto 4 minutos, por debajo del
+     *   límite de 6 minutos de ejecución de Apps Script.
+     * - retryableStatusCodes: códigos HTTP que se reintentan.
+     */
+    static get DEFAULT_RETRY_OPTIONS() {
+        return {
+            maxAttempts: 4,
+            initialDelayMs: 1000,
+            maxDelayMs: 32000,
+            timeBudgetMs: 240000,
+            retryableStatusCodes: [429, 500, 502, 503, 504]
+        };
+    }
+
+    /**
+     * Campos de `generationConfig` que `sendMessage` acepta también como opciones de primer nivel.
+     */
+    static get GENERATION_CONFIG_KEYS() {
+        return [
+            'temperature', 'maxOutputTokens', 'topP', 'topK', 'candidateCount', 'stopSequences',
+            'presencePenalty', 'frequencyPenalty', 'seed', 'responseMimeType', 'responseSchema'
+        ];
+    }
+
+    /**
+     * Valores de `finishReason` con los que el candidato se descarta por un filtro (seguridad, recitación, contenido prohibido).
+     */
+    static get BLOCKING_FINISH_REASONS() {
+        return ['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'IMAGE_SAFETY', 'LANGUAGE'];
+    }
+
+    /**
+     * Mensaje con el que se pide al modelo que continúe una respuesta cortada por `maxOutputTokens`.
+     */
+    static get CONTINUATION_PROMPT() {
+        return "Tu respuesta anterior se cortó por el límite de longitud. Continúa exactamente donde te quedaste, " +
+            "sin repetir nada de lo anterior ni añadir introducciones.";
+    }
+
+    /**
+     * Identificador de la sesión usada cuando no se indica `options.sessionId`.
+     */
+    static get DEFAULT_SESSION_ID() {
+        return 'default';
+    }
+
+    /**
+     * Comprueba que un identificador de sesión sea seguro para usarse como parte de una clave de almacenamiento.
+     * @private
+     */
+    static _validateSessionId(sessionId) {
+        if (typeof sessionId !== 'string' || !/^[A-Za-z0-9_.-]{1,100}$/.test(sessionId) || sessionId.indexOf('__') !== -1) {
+            throw new Error(`ID de sesión inválido: "${sessionId}". Usa letras, números, '.', '-' o '_' (sin '__'), hasta 100 caracteres.`);
+        }
+        return sessionId;
+    }
+
+    /**
+     * Clave de almacenamiento del contexto de una sesión. La sesión por defecto conserva la clave
+     * histórica para seguir leyendo los contextos guardados antes de existir las sesiones.
+     * @private
+     */
+    static _contextKeyFor(sessionId) {
+        return sessionId === GeminiChatAPI.DEFAULT_SESSION_ID ? 'GEMINI_CHAT_CONTEXT' : `GEMINI_CHAT_CONTEXT_${sessionId}`;
+    }
+
+    /**
+     * Convierte el parámetro `storage` del constructor en un adaptador de almacenamiento.
+     * @private
+     */
+    static _resolveStorage(storage) {
+        if (!storage) {
+            return new PropertiesStorageAdapter(PropertiesService.getUserProperties());
+        }
+        if (typeof storage.load === 'function' && typeof storage.save === 'function' && typeof storage.remove === 'function') {
+            return storage;
+        }
+        if (typeof storage.getProperty === 'function') {
+            return new PropertiesStorageAdapter(storage);
+        }
+        throw new Error("El almacenamiento debe ser un adaptador con load/save/remove o una instancia de PropertiesService.");
+    }
+
+    /**
+     * Crea el UsageTracker de la instancia.
+     * @private
+     * @param {Object} usageOptions - `options.usage` del constructor.
+     * @param {Object} [contextStorage] - Adaptador indicado en el constructor, si lo hubo.
+     */
+    static _createUsageTracker(usageOptions, contextStorage) {
+        const usageStorage = usageOptions.storage
+            ? GeminiChatAPI._resolveStorage(usageOptions.storage)
+            : contextStorage || new PropertiesStorageAdapter(PropertiesService.getScriptProperties());
+        return new UsageTracker(usageStorage, usageOptions);
+    }
+
+    /**
+     * Versión del formato del contexto persistido.
+     * 1: sin campo de versión; la instrucción de sistema se guardaba como primer mensaje 'user'.
+     * 2: la instrucción de sistema se guarda en `systemInstruction`.
+     */
+    static get CONTEXT_FORMAT_VERSION() {
+        return 2;
+    }
 
-        // Gemini no tiene un rol "system" explícito en `contents` como Mistral.
-        // Los mensajes de sistema se manejan mejor como el primer mensaje del rol "user" o
-        // como parte de la configuración `generationConfig` o `safetySettings`
-        // o, si es un mensaje de comportamiento, como parte del primer mensaje "user" en el prompt.
-        if (this.messages.length === 0 && initialSystemMessage) {
-            this.addMessage("user", initialSystemMessage);
-            this._saveContext(); 
+    /**
+     * Convierte un contexto guardado en el formato anterior (versión 1) al formato actual.
+     * En la versión 1 el constructor añadía la instrucción de sistema como primer mensaje 'user'. Solo se considera que el
+     * primer mensaje es la instrucción si su texto coincide exactamente con `initialSystemMessage`; sin esa referencia,
+     * los mensajes se conservan tal cual, porque no se puede distinguir la instrucción de un prompt del usuario.
+     * @param {Object} context - Contexto leído del almacenamiento.
+     * @param {string} [initialSystemMessage] - Instrucción de sistema esperada, para reconocer el primer mensaje.
+     * @returns {{context: Object, migrated: boolean}} El contexto en formato actual e indicador de si hubo cambios.
+     */
+    static migrateLegacyContext(context, initialSystemMessage = null) {
+        if (context.formatVersion >= GeminiChatAPI.CONTEXT_FORMAT_VERSION) {
+            return { context: context, migrated: false };
+        }
+        const messages = context.messages || [];
+        const textOf = message => message && message.role === 'user' && message.parts && message.parts.length === 1 &&
+            typeof message.parts[0].text === 'string' ? message.parts[0].text : null;
+
+        let systemInstruction = context.systemInstruction || null;
+        let remainingMessages = messages;
+        const firstText = textOf(messages[0]);
+        if (!systemInstruction && initialSystemMessage && firstText === initialSystemMessage) {
+            systemInstruction = firstText;
+            remainingMessages = messages.slice(1);
         }
 
-        Logger.log(`GeminiChatAPI inicializada para el modelo: ${this.model}`);
+        return {
+            context: {
+                messages: remainingMessages,
+                tools: context.tools || [],
+                systemInstruction: systemInstruction,
+                formatVersion: GeminiChatAPI.CONTEXT_FORMAT_VERSION
+            },
+            migrated: true
+        };
     }
 
     /**
-     * Carga el historial de mensajes y herramientas desde PropertiesService.
+     * Lee el historial guardado de una sesión sin crear una instancia ni escribir nada en el almacenamiento (los
+     * contextos en formato anterior se migran solo en memoria).
+     * @param {string} sessionId - La sesión.
+     * @param {Object|string} [storage=null] - Almacenamiento, como el quinto parámetro del constructor.
+     * @param {string} [initialSystemMessage=null] - Ver `migrateLegacyContext`.
+     * @returns {Array<Object>|null} Los mensajes, o null si la sesión no existe.
+     */
+    static loadSessionMessages(sessionId, storage = null, initialSystemMessage = null) {
+        const stored = GeminiChatAPI._resolveStorage(storage).load(GeminiChatAPI._contextKeyFor(GeminiChatAPI._validateSessionId(sessionId)));
+        if (!stored) {
+            return null;
+        }
+        return GeminiChatAPI.migrateLegacyContext(JSON.parse(stored), initialSystemMessage).context.messages || [];
+    }
+
+    /**
+     * Carga el historial de mensajes, herramientas e instrucción de sistema desde el almacenamiento.
+     * Los contextos en formato anterior se migran y se vuelven a guardar.
      * @private
+     * @param {string} [initialSystemMessage] - Usado para reconocer la instrucción de sistema en contextos antiguos.
      */
-    _loadContext() {
+    _loadContext(initialSystemMessage = null) {
         try {
-            const storedContext = this.propertiesService.getProperty(this._CONTEXT_PROPERTY_KEY);
+            const storedContext = this.storage.load(this._CONTEXT_PROPERTY_KEY);
             if (storedContext) {
-                const parsedContext = JSON.parse(storedContext);
+                const migration = GeminiChatAPI.migrateLegacyContext(JSON.parse(storedContext), initialSystemMessage);
+                const parsedContext = migration.context;
                 this.messages = parsedContext.messages || [];
                 this.tools = parsedContext.tools || [];
-                Logger.log("Contexto cargado desde PropertiesService.");
+                this.systemInstruction = parsedContext.systemInstruction || null;
+                this.pendingToolCalls = parsedContext.pendingToolCalls || null;
+                this.toolCallCounts = parsedContext.toolCallCounts || {};
+                this._markSynced(parsedContext.revision || 0);
+                this.logger.debug("Contexto cargado desde el almacenamiento.");
+                if (migration.migrated) {
+                    this.logger.info("Contexto en formato anterior migrado: la instrucción de sistema ahora se guarda aparte.");
+                    this._saveContext();
+                }
             } else {
                 this.messages = [];
                 this.tools = [];
-                Logger.log("No se encontró contexto persistido. Iniciando con contexto vacío.");
+                this._markSynced(0);
+                this.logger.debug("No se encontró contexto persistido. Iniciando con contexto vacío.");
             }
         } catch (e) {
-            Logger.log(`Error al cargar contexto: ${e.message}. Iniciando con contexto vacío.`);
+            this.logger.error(`Error al cargar contexto: ${e.message}. Iniciando con contexto vacío.`);
             this.messages = [];
             this.tools = [];
+            this._markSynced(0);
         }
     }
 
     /**
-     * Guarda el historial de mensajes y herramientas en PropertiesService.
+     * Vuelve a cargar la sesión desde el almacenamiento y descarta los cambios en memoria que no se hayan guardado.
+     * Útil tras un ContextConflictError para continuar desde la versión guardada por la otra ejecución.
+     */
+    reloadContext() {
+        this.systemInstruction = null;
+        this.pendingToolCalls = null;
+        this.toolCallCounts = {};
+        this._loadContext();
+        this.logger.info(`Contexto recargado (versión ${this.contextRevision}).`);
+    }
+
+    /**
+     * Construye el objeto que se persiste para la sesión.
      * @private
+     * @param {Array<Object>} [messages=this.messages] - Historial a guardar.
      */
-    _saveContext() {
+    _contextSnapshot(messages = this.messages) {
+        const snapshot = {
+            messages: messages,
+            tools: this.tools,
+            systemInstruction: this.systemInstruction,
+            formatVersion: GeminiChatAPI.CONTEXT_FORMAT_VERSION
+        };
+        // Las llamadas pendientes y los contadores pertenecen a esta sesión; una copia (forkSession) no los hereda.
+        if (messages === this.messages) {
+            snapshot.pendingToolCalls = this.pendingToolCalls;
+            snapshot.toolCallCounts = this.toolCallCounts;
+        }
+        return snapshot;
+    }
+
+    /**
+     * Guarda el historial de mensajes y herramientas en el almacenamiento.
+     * El guardado se hace con el bloqueo de la instancia (`options.lock`) y relee antes la versión guardada: si otra
+     * ejecución guardó la sesión después de que esta la cargara, se fusionan los mensajes añadidos o se lanza
+     * ContextConflictError (ver `conflictMode`). Dentro de `batchSaves` solo se marca el contexto como pendiente.
+     * @private
+     * @param {Object} [options={}] - Opciones.
+     * @param {boolean} [options.exclusive=false] - Guardado que reserva algo (ej. las llamadas aprobadas antes de ejecutarlas):
+     * se hace aunque haya un lote abierto, cualquier guardado ajeno es un conflicto y todo fallo se lanza.
+     * @returns {boolean} true si se guardó (o quedó pendiente del lote); false si falló y `saveErrorMode` es 'log'.
+     * @throws {ContextConflictError} Si no se pueden fusionar los cambios, sea cual sea `saveErrorMode`.
+     * @throws {Error} Si falla el guardado y `saveErrorMode` es 'throw' u `options.exclusive` es true.
+     */
+    _saveContext(options = {}) {
+        if (this._batchDepth > 0 && !options.exclusive) {
+            this._batchDirty = true;
+            return true;
+        }
         try {
-            const contextToStore = {
-                messages: this.messages,
-                tools: this.tools 
-            };
-            const stringifiedContext = JSON.stringify(contextToStore);
-            this.propertiesService.setProperty(this._CONTEXT_PROPERTY_KEY, stringifiedContext);
-            Logger.log("Contexto guardado en PropertiesService.");
+            return this.contextLock.run(() => {
+                const stored = this._readStoredContext();
+                const storedRevision = stored && stored.revision ? stored.revision : 0;
+                if (storedRevision !== this.contextRevision) {
+                    if (options.exclusive) {
+                        throw this._conflictError("la reserva requiere la versión exacta que se cargó", storedRevision);
+                    }
+                    this._mergeStoredContext(stored, storedRevision);
+                }
+
+                const snapshot = this._contextSnapshot();
+                snapshot.revision = storedRevision + 1;
+                this.storage.save(this._CONTEXT_PROPERTY_KEY, JSON.stringify(snapshot));
+                this._recordSessionActivity();
+                this._markSynced(snapshot.revision);
+                this.lastSaveError = null;
+                this.logger.debug(`Contexto guardado en el almacenamiento (versión ${snapshot.revision}).`);
+                return true;
+            });
+        } catch (e) {
+            this.lastSaveError = e;
+            if (e instanceof ContextConflictError) {
+                this.logger.warn(`Conflicto al guardar contexto: ${e.message}`);
+                throw e;
+            }
+            this.logger.error(`Error al guardar contexto: ${e.message}. Contexto no persistido.`);
+            if (this.saveErrorMode === 'throw' || options.exclusive) {
+                throw new Error(`No se pudo guardar el contexto de la conversación: ${e.message}`);
+            }
+            return false;
+        }
+    }
+
+    /**
+     * Agrupa los guardados del contexto: las modificaciones hechas dentro de `callback` se persisten con un único guardado
+     * al terminar (también si `callback` lanza una excepción). Los lotes pueden anidarse; guarda el más externo.
+     * @param {Function} callback - Función que modifica la sesión (addMessage, setTools, ...).
+     * @returns {*} Lo que devuelva `callback`.
+     */
+    batchSaves(callback) {
+        this._batchDepth++;
+        try {
+            return callback();
+        } finally {
+            this._batchDepth--;
+            if (this._batchDepth === 0 && this._batchDirty) {
+                this._batchDirty = false;
+                this._saveContext();
+            }
+        }
+    }
+
+    /**
+     * Lee el contexto guardado para comparar versiones. Un contexto ilegible se trata como inexistente y se sobrescribe,
+     * igual que al cargarlo.
+     * @private
+     */
+    _readStoredContext() {
+        const storedContext = this.storage.load(this._CONTEXT_PROPERTY_KEY);
+        if (!storedContext) {
+            return null;
+        }
+        try {
+            return JSON.parse(storedContext);
         } catch (e) {
-            Logger.log(`Error al guardar contexto: ${e.message}. Contexto no persistido.`);
+            this.logger.warn(`El contexto guardado no es JSON válido (${e.message}); se sobrescribirá.`);
+            return null;
         }
     }
 
+    /**
+     * Registra la versión y el estado que coinciden con el almacenamiento.
+     * @private
+     */
+    _markSynced(revision) {
+        this.contextRevision = revision;
+        this._syncedMessages = this.messages.slice();
+        this._syncedPendingCreatedAt = this.pendingToolCalls ? this.pendingToolCalls.createdAt : null;
+    }
+
+    /**
+     * @private
+     */
+    _conflictError(reason, storedRevision) {
+        return new ContextConflictError(
+            `La sesión "${this.sessionId}" se guardó desde otra ejecución (versión ${storedRevision}; esta instancia partía ` +
+            `de la ${this.contextRevision}) y ${reason}. Usa reloadContext() para continuar desde la versión guardada.`,
+            { sessionId: this.sessionId, expectedRevision: this.contextRevision, storedRevision: storedRevision }
+        );
+    }
+
+    /**
+     * Incorpora al historial en memoria los mensajes que otra ejecución guardó después de la última lectura o escritura
+     * de esta instancia. Solo es posible si ambas se limitaron a añadir mensajes de texto de usuario o modelo: cualquier
+     * llamada o resultado de herramienta en lo añadido, o un historial común que termina en una llamada sin respuesta,
+     * provoca un conflicto porque intercalar mensajes rompería el emparejamiento llamada/resultado. Los ajenos se insertan
+     * tras el historial común y los nuevos de esta instancia van detrás. Las herramientas y la instrucción de sistema de esta instancia
+     * prevalecen, y los contadores de llamadas se combinan con el máximo de cada herramienta.
+     * @private
+     * @throws {ContextConflictError} Si los cambios no se pueden fusionar o `conflictMode` es 'throw'.
+     */
+    _mergeStoredContext(stored, storedRevision) {
+        const base = this._syncedMessages;
+        const storedMessages = stored && stored.messages ? stored.messages : [];
+        const conflict = reason => this._conflictError(reason, storedRevision);
+
+        if (this.conflictMode === 'throw') {
+            throw conflict("el modo de conflicto es 'throw'");
+        }
+        if (this.messages.length < base.length || base.some((message, i) => this.messages[i] !== message)) {
+            throw conflict("esta instancia modificó mensajes ya guardados");
+        }
+        if (storedMessages.length < base.length ||
+            base.some((message, i) => JSON.stringify(message) !== JSON.stringify(storedMessages[i]))) {
+            throw conflict("la otra ejecución modificó mensajes ya guardados");
+        }
+        if (stored && stored.pendingToolCalls && stored.pendingToolCalls.createdAt !== this._syncedPendingCreatedAt) {
+            throw conflict("la otra ejecución dejó llamadas pendientes de aprobación");
+        }
+
+        const foreignMessages = storedMessages.slice(base.length);
+        const ownMessages = this.messages.slice(base.length);
+        const isToolMessage = message => message.role === 'tool' ||
+            (message.parts || []).some(part => part.functionCall || part.functionResponse);
+        const lastBaseMessage = base[base.length - 1];
+        if (lastBaseMessage && (lastBaseMessage.parts || []).some(part => part.functionCall)) {
+            throw conflict("el historial común termina en una llamada a herramienta sin respuesta");
+        }
+        if (foreignMessages.some(isToolMessage)) {
+            throw conflict("la otra ejecución añadió llamadas o resultados de herramientas");
+        }
+        if (ownMessages.some(isToolMessage)) {
+            throw conflict("esta instancia añadió llamadas o resultados de herramientas");
+        }
+        this.messages = base.concat(foreignMessages, ownMessages);
+        if (this.pendingToolCalls && this.pendingToolCalls.turnStartIndex >= base.length) {
+            this.pendingToolCalls.turnStartIndex += foreignMessages.length;
+        }
+        const storedCounts = (stored && stored.toolCallCounts) || {};
+        Object.keys(storedCounts).forEach(name => {
+            this.toolCallCounts[name] = Math.max(this.toolCallCounts[name] || 0, storedCounts[name]);
+        });
+        this.logger.info(`Contexto fusionado con la versión ${storedRevision}: ${foreignMessages.length} mensajes de otra ejecución ` +
+            `y ${ownMessages.length} de esta.`);
+    }
+
     /**
      * Añade un mensaje al historial de conversación y lo guarda.
-     * @param {string} role - El rol del emisor ('user' o 'model').
-     * @param {string|Object} content - El contenido del mensaje (texto o un objeto de llamada a herramienta/respuesta).
+     * @param {string} role - El rol del emisor ('user', 'model' o 'tool').
+     * @param {string|Array|Object} content - El contenido del mensaje: texto; para 'user', también un array que mezcle texto y
+     * archivos (Blobs, `{ driveFileId }`, `{ data, mimeType }` en base64 o `{ fileUri, mimeType }`, ver MediaParts.js);
+     * para 'model', llamadas a herramientas con el formato de OpenAI
+     * (`{ tool_calls: [{ id?, function: { name, arguments } }] }`, con `arguments` como objeto o JSON) o el resultado de una
+     * herramienta (`{ functionResponse: { id?, name, response } }`). El `id` enlaza cada resultado con su llamada.
      */
     addMessage(role, content) {
         // Transformar el contenido al formato de 'parts' de Gemini
@@ -105,8 +539,11 @@ class GeminiChatAPI {
         if (role === 'user') {
             if (typeof content === 'string') {
                 parts.push({ text: content });
+            } else if (MediaParts.isMediaContent(content)) {
+                // Los archivos se guardan como referencias (Drive o Files API), no como base64.
+                parts = MediaParts.toStoredParts(content, this.mediaOptions, this.provider);
             } else {
-                Logger.warning(`Contenido de usuario inesperado: ${JSON.stringify(content)}`);
+                this.logger.warn("Contenido de usuario inesperado; se guarda como texto JSON.", { content: content });
                 parts.push({ text: JSON.stringify(content) }); // fallback
             }
 
@@ -115,37 +552,43 @@ class GeminiChatAPI {
                 parts.push({ text: content });
             } else if (content.tool_calls && Array.isArray(content.tool_calls)) {
                 content.tool_calls.forEach(call => {
-                    parts.push({
-                        functionCall: {
-                            name: call.function.name,
-                            args: call.function.arguments
-                        }
-                    });
+                    const args = call.function.arguments !== undefined ? call.function.arguments : call.function.args;
+                    const functionCall = {
+                        name: call.function.name,
+                        args: ToolExecutor.parseArguments(args, call.function.name, this.logger)
+                    };
+                    const callId = call.id || call.function.id;
+                    if (callId) {
+                        functionCall.id = callId;
+                    }
+                    parts.push({ functionCall: functionCall });
                 });
             } else {
-                Logger.warning(`Contenido de modelo inesperado: ${JSON.stringify(content)}`);
+                this.logger.warn("Contenido de modelo inesperado; se guarda como texto JSON.", { content: content });
                 parts.push({ text: JSON.stringify(content) }); // fallback
             }
         
         } else if (role === 'tool') {
             if (content.functionResponse && content.functionResponse.name) {
-                parts.push({
-                    functionResponse: {
-                        name: content.functionResponse.name,
-                        // La API espera que la respuesta sea un objeto, por lo que la anidamos.
-                        // Tu `contentForGemini` ya contiene el texto formateado.
-                        response: {
-                          content: content.functionResponse.response
-                        }
+                const functionResponse = {
+                    name: content.functionResponse.name,
+                    // La API espera que la respuesta sea un objeto, por lo que la anidamos.
+                    // Tu `contentForGemini` ya contiene el texto formateado.
+                    response: {
+                      content: content.functionResponse.response
                     }
-                });
+                };
+                if (content.functionResponse.id) {
+                    functionResponse.id = content.functionResponse.id;
+                }
+                parts.push({ functionResponse: functionResponse });
             } else {
                 // Fallback si el contenido de la herramienta no tiene el formato esperado.
-                Logger.warning(`Contenido de herramienta con formato incorrecto: ${JSON.stringify(content)}`);
+                this.logger.warn("Contenido de herramienta con formato incorrecto; el mensaje queda sin partes.", { content: content });
             }
 
         } else {
-            Logger.warning(`Rol desconocido: "${role}". Usando "user" por defecto para Gemini.`);
+            this.logger.warn(`Rol desconocido: "${role}". Usando "user" por defecto para Gemini.`);
             role = 'user';
             parts.push({ text: typeof content === 'string' ? content : JSON.stringify(content) });
         }
@@ -156,13 +599,13 @@ class GeminiChatAPI {
 
     /**
      * Establece un nuevo array de mensajes, sobrescribiendo el historial existente y persistiendo.
-     * @param {Array<Object>} newMessages - Un array de objetos de mensaje en formato de Gemini (con `role` y `parts`).
+     * @param {Array<Object>} newMessages - Un array de objetos de mensaje en formato neutro (con `role` y `parts`, ver ChatProviders.js).
      */
     setMessages(newMessages) {
         if (!Array.isArray(newMessages)) {
             throw new Error("El contexto debe ser un array de mensajes.");
         }
-        // Validación básica de la estructura de mensajes para Gemini
+        // Validación básica de la estructura de mensajes
         newMessages.forEach(msg => {
             if (!msg.role || !msg.parts || !Array.isArray(msg.parts)) {
                 throw new Error("Cada mensaje debe tener un 'role' y un array 'parts'.");
@@ -170,7 +613,7 @@ class GeminiChatAPI {
         });
         this.messages = newMessages;
         this._saveContext();
-        Logger.log("Historial de mensajes sobrescrito y guardado.");
+        this.logger.info("Historial de mensajes sobrescrito y guardado.");
     }
 
     /**
@@ -182,18 +625,212 @@ class GeminiChatAPI {
     }
 
     /**
-     * Limpia el historial de mensajes y lo elimina de PropertiesService.
+     * Limpia el historial de mensajes y guarda el cambio. La instrucción de sistema y las herramientas se conservan.
+     * Las llamadas pendientes de aprobación se descartan; los contadores de `maxCallsPerSession` se conservan.
      */
     clearMessages() {
         this.messages = [];
-        this.propertiesService.deleteProperty(this._CONTEXT_PROPERTY_KEY);
-        Logger.log("Historial de mensajes limpiado y eliminado de PropertiesService.");
+        this.pendingToolCalls = null;
+        this._saveContext();
+        this.logger.info("Historial de mensajes limpiado y guardado.");
+    }
+
+    /**
+     * Establece o actualiza la instrucción de sistema de la sesión y la persiste.
+     * Se aplica a partir del siguiente envío, sin alterar el historial.
+     * @param {string|null} instruction - El texto de la instrucción, o null para eliminarla.
+     */
+    setSystemInstruction(instruction) {
+        if (instruction !== null && typeof instruction !== 'string') {
+            throw new Error("La instrucción de sistema debe ser un texto o null.");
+        }
+        this.systemInstruction = instruction || null;
+        this._saveContext();
+        this.logger.info("Instrucción de sistema actualizada y guardada.");
+    }
+
+    /**
+     * Obtiene la instrucción de sistema actual.
+     * @returns {string|null}
+     */
+    getSystemInstruction() {
+        return this.systemInstruction;
+    }
+
+    /**
+     * Lista las sesiones guardadas en el almacenamiento, de la más reciente a la más antigua.
+     * `updatedAt` y `messageCount` se actualizan como mucho cada `SESSION_ACTIVITY_INTERVAL_MS`, por lo que pueden ir
+     * algo por detrás de la última modificación.
+     * @returns {Array<{id: string, title: string, createdAt: string, updatedAt: string, messageCount: number}>}
+     */
+    listSessions() {
+        const index = this._loadSessionIndex();
+        return Object.keys(index)
+            .map(id => Object.assign({ id: id }, index[id]))
+            .sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : -1));
+    }
+
+    /**
+     * Cambia el título descriptivo de una sesión. El identificador no cambia.
+     * @param {string} sessionId - La sesión a renombrar.
+     * @param {string} title - El nuevo título.
+     */
+    renameSession(sessionId, title) {
+        this.contextLock.run(() => {
+            const index = this._loadSessionIndex();
+            if (!index[sessionId]) {
+                throw new Error(`La sesión "${sessionId}" no existe.`);
+            }
+            index[sessionId].title = title;
+            this.storage.save(this._SESSIONS_INDEX_KEY, JSON.stringify(index));
+        });
+        this.logger.info(`Sesión "${sessionId}" renombrada a "${title}".`);
+    }
+
+    /**
+     * Crea una nueva sesión a partir de la actual, copiando las herramientas y los mensajes
+     * hasta `messageIndex` (inclusive). La sesión actual no se modifica.
+     * @param {number} messageIndex - Índice del último mensaje que se copia.
+     * @param {Object} [options={}] - Opciones de la nueva sesión.
+     * @param {string} [options.sessionId] - ID de la nueva sesión. Por defecto se genera uno.
+     * @param {string} [options.title] - Título de la nueva sesión.
+     * @returns {string} El ID de la nueva sesión.
+     */
+    forkSession(messageIndex, options = {}) {
+        if (!Number.isInteger(messageIndex) || messageIndex < 0 || messageIndex >= this.messages.length) {
+            throw new Error(`Índice de mensaje fuera de rango: ${messageIndex}. La sesión tiene ${this.messages.length} mensajes.`);
+        }
+        const newSessionId = GeminiChatAPI._validateSessionId(options.sessionId || Utilities.getUuid());
+        const forkedMessages = this.messages.slice(0, messageIndex + 1);
+        this.contextLock.run(() => {
+            if (this._loadSessionIndex()[newSessionId]) {
+                throw new Error(`La sesión "${newSessionId}" ya existe.`);
+            }
+            this.storage.save(GeminiChatAPI._contextKeyFor(newSessionId), JSON.stringify(this._contextSnapshot(forkedMessages)));
+            this._touchSession(newSessionId, {
+                messageCount: forkedMessages.length,
+                title: options.title || `Copia de ${this._sessionTitle(this.sessionId)}`,
+                forkedFrom: this.sessionId
+            });
+        });
+        this.logger.info(`Sesión "${newSessionId}" creada a partir de "${this.sessionId}" (mensajes 0-${messageIndex}).`);
+        return newSessionId;
+    }
+
+    /**
+     * Elimina una sesión y su historial. Si es la sesión actual, también se vacían en memoria el historial, las
+     * herramientas y la instrucción de sistema, que se guardaban con ella.
+     * @param {string} sessionId - La sesión a eliminar.
+     */
+    deleteSession(sessionId) {
+        const contextKey = GeminiChatAPI._contextKeyFor(GeminiChatAPI._validateSessionId(sessionId));
+        this.contextLock.run(() => {
+            this.storage.remove(contextKey);
+            const index = this._loadSessionIndex();
+            if (index[sessionId]) {
+                delete index[sessionId];
+                this.storage.save(this._SESSIONS_INDEX_KEY, JSON.stringify(index));
+            }
+        });
+        if (sessionId === this.sessionId) {
+            this.messages = [];
+            this.tools = [];
+            this.systemInstruction = null;
+            this._sessionActivityAt = null;
+            this.pendingToolCalls = null;
+            this.toolCallCounts = {};
+            this._markSynced(0);
+        }
+        this.logger.info(`Sesión "${sessionId}" eliminada.`);
+    }
+
+    /**
+     * Elimina las sesiones sin actividad durante más de `maxIdleMs` milisegundos.
+     * @param {number} [maxIdleMs=this.sessionTtlMs] - Tiempo máximo de inactividad.
+     * @returns {Array<string>} Los IDs de las sesiones eliminadas.
+     */
+    expireIdleSessions(maxIdleMs = this.sessionTtlMs) {
+        if (!maxIdleMs) {
+            throw new Error("Se requiere un tiempo máximo de inactividad (maxIdleMs o options.sessionTtlMs).");
+        }
+        const now = Date.now();
+        const expired = this.listSessions()
+            .filter(session => now - new Date(session.updatedAt).getTime() > maxIdleMs)
+            .map(session => session.id);
+        expired.forEach(sessionId => this.deleteSession(sessionId));
+        if (expired.length > 0) {
+            this.logger.info(`Sesiones expiradas por inactividad: ${expired.join(', ')}`);
+        }
+        return expired;
+    }
+
+    /**
+     * Lee el índice de sesiones del almacenamiento.
+     * @private
+     */
+    _loadSessionIndex() {
+        try {
+            const storedIndex = this.storage.load(this._SESSIONS_INDEX_KEY);
+            return storedIndex ? JSON.parse(storedIndex) : {};
+        } catch (e) {
+            this.logger.warn(`Error al cargar el índice de sesiones: ${e.message}. Se usará un índice vacío.`);
+            return {};
+        }
+    }
+
+    /**
+     * Intervalo mínimo entre dos actualizaciones de la actividad de una sesión en el índice. El índice es compartido por
+     * todas las sesiones del almacenamiento; reescribirlo en cada mensaje duplicaría las escrituras de cada guardado.
+     */
+    static get SESSION_ACTIVITY_INTERVAL_MS() {
+        return 10 * 60 * 1000;
+    }
+
+    /**
+     * Registra la actividad de la sesión actual tras un guardado: crea su entrada en el índice si no existe y, si ya
+     * existe, solo la actualiza cuando han pasado `SESSION_ACTIVITY_INTERVAL_MS` desde la última vez.
+     * @private
+     */
+    _recordSessionActivity() {
+        if (this._sessionActivityAt === null) {
+            const entry = this._loadSessionIndex()[this.sessionId];
+            this._sessionActivityAt = entry ? new Date(entry.updatedAt).getTime() || 0 : 0;
+        }
+        const now = Date.now();
+        if (now - this._sessionActivityAt < GeminiChatAPI.SESSION_ACTIVITY_INTERVAL_MS) {
+            return;
+        }
+        this._touchSession(this.sessionId, { messageCount: this.messages.length });
+        this._sessionActivityAt = now;
+    }
+
+    /**
+     * Registra la actividad de una sesión en el índice, creándola si no existe. El índice es compartido por todas las
+     * sesiones, así que se lee y se escribe con el bloqueo.
+     * @private
+     */
+    _touchSession(sessionId, fields = {}) {
+        this.contextLock.run(() => {
+            const index = this._loadSessionIndex();
+            const now = new Date().toISOString();
+            const entry = index[sessionId] || { title: sessionId, createdAt: now };
+            index[sessionId] = Object.assign(entry, fields, { updatedAt: now });
+            this.storage.save(this._SESSIONS_INDEX_KEY, JSON.stringify(index));
+        });
+    }
+
+    /**
+     * @private
+     */
+    _sessionTitle(sessionId) {
+        const entry = this._loadSessionIndex()[sessionId];
+        return entry ? entry.title : sessionId;
     }
 
     /**
      * Establece las herramientas disponibles para el modelo y las persiste.
-     * @param {Array<Object>} newTools - Un array de objetos de herramientas en el formato de Gemini.
-     * Ej: `[{ functionDeclaration: { name: 'myFunction', parameters: { ... } } }]`
+     * @param {Array<Object>} newTools - Un array de objetos de herramientas en formato neutro; cada proveedor las traduce.
+     * Ej: `[{ functionDeclarations: [{ name: 'myFunction', parameters: { ... } }] }]`
      */
     setTools(newTools) {
         if (!Array.isArray(newTools)) {
@@ -202,7 +839,7 @@ class GeminiChatAPI {
         // Opcional: Podrías añadir validación para la estructura de las herramientas de Gemini aquí.
         this.tools = newTools;
         this._saveContext();
-        Logger.log("Herramientas establecidas y guardadas.");
+        this.logger.debug("Herramientas establecidas y guardadas.");
     }
 
     /**
@@ -217,84 +854,76 @@ class GeminiChatAPI {
         }
         this.tools.push(toolObject);
         this._saveContext();
-        Logger.log(`Herramienta '${toolObject.functionDeclaration.name}' añadida y guardada.`);
+        this.logger.debug(`Herramienta '${toolObject.functionDeclaration.name}' añadida y guardada.`);
     }
 
     /**
-     * Limpia la lista de herramientas y las elimina de PropertiesService (indirectamente, al guardar sin ellas).
+     * Limpia la lista de herramientas y las elimina del almacenamiento (indirectamente, al guardar sin ellas).
      */
     clearTools() {
         this.tools = [];
         this._saveContext(); 
-        Logger.log("Herramientas limpiadas y el cambio guardado.");
+        this.logger.debug("Herramientas limpiadas y el cambio guardado.");
     }
 
     /**
-     * Genera el payload completo en formato JSON para enviar a la API de Gemini.
-     * @param {Object} [options={}] - Opciones adicionales para el payload (ej. `generationConfig`, `safetySettings`).
-     * @returns {string} El payload JSON como una cadena de texto.
+     * Genera la solicitud en formato neutro que el proveedor traduce a su API.
+     * @private
+     * @param {Object} [options={}] - Opciones adicionales para la solicitud (ej. `generationConfig`, `safetySettings`,
+     * `toolConfig`, `includeTools`, `messages` para enviar un historial distinto del guardado).
+     * @returns {Object} `{ messages, systemInstruction, tools, generationConfig, toolConfig, safetySettings }`.
      */
-
-    _buildPayload(options = {}) {
-        // Inicializa el payload con los contenidos del chat
-        const payload = {
-            contents: this.messages
-        };
-
-        // Añadir generationConfig si existe en las opciones pasadas
-        if (options.generationConfig) {
-            payload.generationConfig = options.generationConfig;
-        } else {
+    _buildRequest(options = {}) {
+        const request = {
+            messages: options.messages || this.messages,
+            systemInstruction: this.systemInstruction,
+            tools: [],
             // Aseguramos un valor por defecto si no se pasa uno, para evitar errores de API
-            payload.generationConfig = { temperature: 0.1 }; 
-        }
+            generationConfig: options.generationConfig || { temperature: 0.1 },
+            toolConfig: null,
+            safetySettings: options.safetySettings || null
+        };
 
-        // Añadir safetySettings si existe en las opciones pasadas
-        if (options.safetySettings) {
-            payload.safetySettings = options.safetySettings;
-        }
-        
-        if (this.tools && this.tools.functionDeclarations && Array.isArray(this.tools.functionDeclarations) && this.tools.functionDeclarations.length > 0) {
-            payload.tools = this.tools; 
-            Logger.log("DEBUG: Herramientas añadidas al payload.");
+        if (options.includeTools === false) {
+            this.logger.debug("Herramientas omitidas en esta solicitud.");
+        } else if (this.tools && this.tools.functionDeclarations && Array.isArray(this.tools.functionDeclarations) && this.tools.functionDeclarations.length > 0) {
+            request.tools = [this.tools];
         } else if (this.tools && Array.isArray(this.tools) && this.tools.length > 0 && this.tools[0].functionDeclarations) {
-            payload.tools = this.tools[0];
-            Logger.log("DEBUG: Herramientas añadidas al payload (formato array).");
-        }
-        else {
-            Logger.log("ADVERTENCIA CRÍTICA: Las definiciones de herramientas (payload.tools) no se pudieron añadir correctamente. Formato de this.tools: " + JSON.stringify(this.tools));
+            request.tools = this.tools;
+        } else if (this.tools && (!Array.isArray(this.tools) || this.tools.length > 0)) {
+            // Sin herramientas es lo habitual; solo se avisa si hay definiciones con un formato que no se reconoce.
+            this.logger.warn("Las herramientas no tienen un formato reconocido y no se envían.", { tools: this.tools });
         }
 
         if (options.toolConfig) {
-            payload.toolConfig = options.toolConfig;
-            Logger.log("DEBUG: toolConfig añadido al payload.");
-        } else {
-
-            Logger.log("ADVERTENCIA CRÍTICA: toolConfig no está presente en las opciones para el payload. No se forzará el uso de herramientas.");
+            request.toolConfig = options.toolConfig;
         }
-        
-        return JSON.stringify(payload);
+
+        return request;
     }
 
   /**
-   * Envía la solicitud de chat a la API de Gemini y devuelve la respuesta.
+   * Envía la solicitud de chat a la API del proveedor y devuelve la respuesta.
    * Incluye los mensajes y herramientas actuales de la instancia.
+   * Los errores 429/5xx y de red se reintentan según la política de reintentos de la instancia.
    * @param {Object} [apiOptions={}] - Opciones adicionales para el payload de la API (ej. `temperature`, `safetySettings`).
-   * 'temperature' se anidará en 'generationConfig'.
-   * @returns {Object|null} El objeto de respuesta JSON de la API de Gemini, o null si hay un error.
+   * `generationConfig` se envía completo; además, los campos de `GENERATION_CONFIG_KEYS` (ej. `temperature`, `maxOutputTokens`,
+   * `responseMimeType`, `responseSchema`) pueden pasarse en el primer nivel y se anidan en 'generationConfig'.
+   * `includeTools: false` omite las herramientas en esta llamada. `retry` sobrescribe la política de reintentos solo para esta llamada.
+   * Antes de enviar se evalúan los presupuestos de tokens; el consumo de la respuesta queda en `lastUsage` y en el UsageTracker.
+   * @returns {Object} La respuesta de la API, normalizada por el proveedor con la forma de `generateContent` de Gemini
+   * (`candidates[0].content.parts`, ver ChatProviders.js).
+   * @throws {GeminiApiError} Un error tipado (GeminiAuthError, GeminiQuotaError, GeminiInvalidRequestError,
+   * GeminiServerError, GeminiBlockedError o GeminiNetworkError) con el cuerpo de error de la API, o GeminiBudgetError
+   * si un presupuesto impide el envío.
+   * @throws {Error} Si hay llamadas a herramientas pendientes de aprobación (ver `resumeWithTools`).
    */
   sendMessage(apiOptions = {}) {
-      const fullApiUrl = `${this.apiEndpoint}${this.model}:generateContent?key=${this.apiKey}`;
-      const payloadOptions = {};
-      if (apiOptions.temperature !== undefined) {
-          payloadOptions.generationConfig = {
-              temperature: apiOptions.temperature
-          };
-      } else {
-          payloadOptions.generationConfig = {
-              temperature: 0.1 // Default si no se pasa uno
-          };
-      }
+      this._assertNoPendingToolCalls();
+      const payloadOptions = {
+          generationConfig: this._resolveGenerationConfig(apiOptions),
+          includeTools: apiOptions.includeTools !== false
+      };
 
       if (apiOptions.tool_config !== undefined) {
           payloadOptions.toolConfig = apiOptions.tool_config;
@@ -302,34 +931,898 @@ class GeminiChatAPI {
       if (apiOptions.safetySettings !== undefined) {
           payloadOptions.safetySettings = apiOptions.safetySettings;
       }
-      const requestPayload = this._buildPayload(payloadOptions);
-
-      Logger.log("Payload enviado a la API:\n" + JSON.stringify(JSON.parse(requestPayload), null, 2));
-
-      try {
-          const options = {
-              method: "post",
-              contentType: "application/json",
-              payload: requestPayload,
-              muteHttpExceptions: true
-          };
-
-          Logger.log(`Enviando solicitud a la API de Gemini: ${fullApiUrl}`);
-          const response = UrlFetchApp.fetch(fullApiUrl, options);
-          const responseCode = response.getResponseCode();
-          const responseBody = response.getContentText();
-
-          if (responseCode >= 200 && responseCode < 300) {
-              const jsonResponse = JSON.parse(responseBody);
-              Logger.log("Respuesta de la API recibida.");
-              return jsonResponse;
-          } else {
-              Logger.log(`Error de la API: Código ${responseCode}, Mensaje: ${responseBody}`);
-              return null;
-          }
-      } catch (e) {
-          Logger.log("Excepción al llamar a la API: " + e.toString());
-          return null;
+      const model = this.usageTracker
+          ? this.usageTracker.checkBudgets({ sessionId: this.sessionId, userId: this.userId, model: this.model }).model
+          : this.model;
+      payloadOptions.messages = this._fitContextWindow(model);
+      const request = this._buildRequest(payloadOptions);
+      const httpRequest = this.provider.buildGenerateRequest(model, request);
+
+      // Solo se registra el tamaño: el payload contiene los mensajes del usuario y los resultados de las herramientas.
+      this.logger.debug(`Enviando solicitud a la API (${this.provider.name}, modelo ${model}).`, {
+          url: httpRequest.url,
+          messages: request.messages.length,
+          tools: request.tools.length,
+          payloadChars: httpRequest.payload.length
+      });
+
+      const jsonResponse = this.provider.parseGenerateResponse(this._fetchWithRetry('generateContent', httpRequest, apiOptions.retry));
+      this._recordUsage(jsonResponse, model);
+      if (jsonResponse.promptFeedback && jsonResponse.promptFeedback.blockReason) {
+          throw new GeminiBlockedError(`El prompt fue bloqueado: ${jsonResponse.promptFeedback.blockReason}.`, {
+              statusCode: 200,
+              errorBody: jsonResponse,
+              blockReason: jsonResponse.promptFeedback.blockReason,
+              safetyRatings: jsonResponse.promptFeedback.safetyRatings
+          });
       }
+      this.logger.debug("Respuesta de la API recibida.");
+      return jsonResponse;
   }
+
+    /**
+     * Combina la configuración de generación por capas: valor por defecto (temperature 0.1), configuración de la instancia,
+     * `apiOptions.generationConfig` y, por último, los campos de primer nivel de `apiOptions`.
+     * @private
+     * @param {Object} apiOptions - Opciones recibidas por `sendMessage`.
+     * @returns {Object} El `generationConfig` final.
+     */
+    _resolveGenerationConfig(apiOptions) {
+        const generationConfig = Object.assign({ temperature: 0.1 }, this.generationConfig, apiOptions.generationConfig || {});
+        GeminiChatAPI.GENERATION_CONFIG_KEYS.forEach(key => {
+            if (apiOptions[key] !== undefined) {
+                generationConfig[key] = apiOptions[key];
+            }
+        });
+        return generationConfig;
+    }
+
+    /**
+     * Interpreta el resultado de una respuesta: prompt bloqueado (`promptFeedback.blockReason`), candidato descartado por
+     * un filtro (`finishReason` en `BLOCKING_FINISH_REASONS`), respuesta cortada (`MAX_TOKENS`) o respuesta normal.
+     * @param {Object} apiResponse - Respuesta de `sendMessage` (forma de Gemini).
+     * @returns {{status: string, finishReason: (string|null), blockReason: (string|null), safetyRatings: Array<Object>,
+     * citations: Array<Object>, text: string, functionCalls: Array<Object>}}
+     * `status` es 'OK', 'BLOCKED', 'MAX_TOKENS', 'NO_RESPONSE' (sin candidatos) o 'EMPTY_RESPONSE' (candidato sin texto ni
+     * llamadas a funciones). `citations` son las fuentes de `citationMetadata`, útiles ante un bloqueo por RECITATION.
+     */
+    static interpretResponse(apiResponse) {
+        const promptFeedback = (apiResponse && apiResponse.promptFeedback) || {};
+        const candidate = apiResponse && apiResponse.candidates && apiResponse.candidates[0];
+        const parts = (candidate && candidate.content && candidate.content.parts) || [];
+        const result = {
+            status: 'OK',
+            finishReason: (candidate && candidate.finishReason) || null,
+            blockReason: promptFeedback.blockReason || null,
+            safetyRatings: (candidate && candidate.safetyRatings) || promptFeedback.safetyRatings || [],
+            citations: (candidate && candidate.citationMetadata && candidate.citationMetadata.citationSources) || [],
+            text: parts.filter(part => part.text).map(part => part.text).join(''),
+            functionCalls: parts.filter(part => part.functionCall).map(part => part.functionCall)
+        };
+
+        if (result.blockReason || GeminiChatAPI.BLOCKING_FINISH_REASONS.indexOf(result.finishReason) !== -1) {
+            result.status = 'BLOCKED';
+        } else if (!candidate) {
+            result.status = 'NO_RESPONSE';
+        } else if (result.finishReason === 'MAX_TOKENS' && result.functionCalls.length === 0) {
+            result.status = 'MAX_TOKENS';
+        } else if (!result.text && result.functionCalls.length === 0) {
+            result.status = 'EMPTY_RESPONSE';
+        }
+        return result;
+    }
+
+    /**
+     * Pide al modelo una respuesta JSON que cumpla un esquema. El esquema se envía como `responseSchema`, la respuesta se
+     * interpreta y se valida; si no cumple, se reenvía al modelo con los errores hasta `maxRepairAttempts` veces.
+     * En el historial solo quedan el prompt y la respuesta válida; si no se consigue, el historial no se modifica.
+     * @param {string} prompt - La petición del usuario.
+     * @param {Object} schema - Esquema de la respuesta (formato de Gemini: `type`, `properties`, `required`, `enum`, `items`).
+     * @param {Object} [options={}] - Opciones.
+     * @param {number} [options.maxRepairAttempts=2] - Reintentos de corrección tras la primera respuesta.
+     * @param {Object} [options.apiOptions={}] - Opciones adicionales para `sendMessage` (ej. `temperature`, `maxOutputTokens`).
+     * @returns {{ok: boolean, data: (*|undefined), errors: Array<Object>, rawText: (string|null), attempts: number}}
+     * Si `ok` es true, `data` contiene el objeto validado; si es false, `errors` describe el último fallo.
+     * @throws {GeminiApiError} Si una llamada a la API falla tras los reintentos.
+     */
+    generateStructured(prompt, schema, options = {}) {
+        if (!schema || typeof schema !== 'object') {
+            throw new Error("Se requiere un esquema de respuesta.");
+        }
+        const maxRepairAttempts = options.maxRepairAttempts !== undefined ? options.maxRepairAttempts : 2;
+        const apiOptions = Object.assign({}, options.apiOptions || {}, {
+            responseMimeType: 'application/json',
+            responseSchema: schema,
+            includeTools: false
+        });
+        this.addMessage("user", prompt);
+        // Mensajes añadidos por esta llamada, por referencia y no por posición: al guardar pueden fusionarse mensajes de
+        // otra ejecución entre ellos, y esos deben conservarse.
+        const ownMessages = [this.messages[this.messages.length - 1]];
+        const removeOwnMessages = keepPrompt => {
+            const removed = keepPrompt ? ownMessages.slice(1) : ownMessages;
+            this.messages = this.messages.filter(message => removed.indexOf(message) === -1);
+        };
+
+        let errors = [];
+        let rawText = null;
+        try {
+            for (let attempt = 1; attempt <= maxRepairAttempts + 1; attempt++) {
+                const apiResponse = this.sendMessage(apiOptions);
+                const candidate = apiResponse.candidates && apiResponse.candidates[0];
+                const parts = (candidate && candidate.content && candidate.content.parts) || [];
+                rawText = parts.filter(part => part.text).map(part => part.text).join('') || null;
+
+                let data;
+                if (rawText === null) {
+                    errors = [{ path: '(raíz)', message: "El modelo no devolvió texto." }];
+                } else {
+                    try {
+                        data = JSON.parse(rawText);
+                        errors = SchemaValidator.validate(data, schema);
+                    } catch (e) {
+                        errors = [{ path: '(raíz)', message: `La respuesta no es un JSON válido: ${e.message}` }];
+                    }
+                }
+
+                if (errors.length === 0) {
+                    // Se descartan los intentos fallidos: queda el prompt seguido de la respuesta válida.
+                    removeOwnMessages(true);
+                    this.addMessage("model", rawText);
+                    return { ok: true, data: data, errors: [], rawText: rawText, attempts: attempt };
+                }
+
+                this.logger.warn(`Respuesta estructurada inválida (intento ${attempt}).`, { errors: errors });
+                if (attempt <= maxRepairAttempts) {
+                    this.addMessage("model", rawText || "(respuesta vacía)");
+                    ownMessages.push(this.messages[this.messages.length - 1]);
+                    this.addMessage("user", "La respuesta anterior no cumple el esquema requerido. Errores:\n" +
+                        errors.map(error => `- ${error.path}: ${error.message}`).join('\n') +
+                        "\nDevuelve de nuevo la respuesta completa como JSON válido que cumpla el esquema.");
+                    ownMessages.push(this.messages[this.messages.length - 1]);
+                }
+            }
+        } catch (e) {
+            removeOwnMessages(false);
+            this._saveContext();
+            throw e;
+        }
+
+        removeOwnMessages(false);
+        this._saveContext();
+        return { ok: false, data: undefined, errors: errors, rawText: rawText, attempts: maxRepairAttempts + 1 };
+    }
+
+    /**
+     * Envía una solicitud HTTP construida por el proveedor con la política de reintentos de la instancia.
+     * @private
+     * @param {string} method - Nombre de la operación, usado en los logs (ej. 'generateContent').
+     * @param {{url: string, payload: string, headers: Object}} httpRequest - Solicitud devuelta por el proveedor.
+     * @param {Object} [retryOverrides] - Valores que sobrescriben `this.retryOptions` para esta llamada.
+     * @returns {Object} La respuesta JSON, sin normalizar.
+     * @throws {GeminiApiError} El error tipado del último intento.
+     */
+    _fetchWithRetry(method, httpRequest, retryOverrides = null) {
+        const retry = Object.assign({}, this.retryOptions, retryOverrides || {});
+        return GeminiChatAPI.postJsonWithRetry(httpRequest.url, httpRequest.payload, retry, method, httpRequest.headers, this.transport);
+    }
+
+    /**
+     * Envía una solicitud POST JSON, reintentando los errores transitorios (429, 5xx y de red) con backoff exponencial
+     * y jitter. Respeta `Retry-After` y el `retryDelay` que la API incluye en los errores de cuota, sin superar el
+     * presupuesto de tiempo. Compartido por las demás clases que llaman a la API de Gemini (ej. GeminiEmbeddings).
+     * @param {string} url - URL completa del método, incluida la clave.
+     * @param {string} requestPayload - Cuerpo JSON de la solicitud.
+     * @param {Object} [retry=GeminiChatAPI.DEFAULT_RETRY_OPTIONS] - Política de reintentos.
+     * @param {string} [method='solicitud'] - Nombre del método, usado en los logs.
+     * @param {Object} [headers] - Cabeceras HTTP adicionales (ej. `Authorization` de los proveedores compatibles con OpenAI).
+     * @param {Object} [transport=UrlFetchApp] - Transporte HTTP (ver HttpTransport.js).
+     * @returns {Object} La respuesta JSON.
+     * @throws {GeminiApiError} El error tipado del último intento.
+     */
+    static postJsonWithRetry(url, requestPayload, retry = GeminiChatAPI.DEFAULT_RETRY_OPTIONS, method = 'solicitud', headers = null, transport = null) {
+        const startTime = Date.now();
+        const logger = StructuredLogger.getDefault();
+
+        for (let attempt = 1; ; attempt++) {
+            let error;
+            let retryAfterMs = null;
+            try {
+                const fetchOptions = {
+                    method: "post",
+                    contentType: "application/json",
+                    payload: requestPayload,
+                    muteHttpExceptions: true
+                };
+                if (headers && Object.keys(headers).length > 0) {
+                    fetchOptions.headers = headers;
+                }
+                const response = (transport || UrlFetchApp).fetch(url, fetchOptions);
+                const responseCode = response.getResponseCode();
+                const responseBody = response.getContentText();
+
+                if (responseCode >= 200 && responseCode < 300) {
+                    try {
+                        return JSON.parse(responseBody);
+                    } catch (e) {
+                        throw new GeminiNetworkError(`La respuesta de la API no es un JSON válido: ${e.message}`, {
+                            statusCode: responseCode, errorBody: responseBody, attempts: attempt
+                        });
+                    }
+                }
+
+                logger.warn(`Error de la API en '${method}' (intento ${attempt}): código ${responseCode}.`, { body: responseBody });
+                error = GeminiApiError.fromResponse(responseCode, responseBody);
+                if (retry.retryableStatusCodes.indexOf(responseCode) === -1) {
+                    error.attempts = attempt;
+                    throw error;
+                }
+                retryAfterMs = GeminiChatAPI._retryAfterMs(response, error.errorBody);
+            } catch (e) {
+                if (e instanceof GeminiApiError || e instanceof ReplayMismatchError) {
+                    throw e;
+                }
+                logger.warn(`Excepción al llamar a '${method}' (intento ${attempt}): ${e.toString()}`);
+                error = new GeminiNetworkError(`No se pudo conectar con la API: ${e.message}`, { errorBody: e.toString() });
+            }
+
+            error.attempts = attempt;
+            if (attempt >= retry.maxAttempts) {
+                throw error;
+            }
+            const backoffMs = Math.min(retry.maxDelayMs, retry.initialDelayMs * Math.pow(2, attempt - 1));
+            // Jitter: espera aleatoria entre la mitad y el total del backoff, para no sincronizar reintentos concurrentes.
+            const delayMs = Math.max(retryAfterMs || 0, Math.round(backoffMs / 2 + Math.random() * backoffMs / 2));
+            if (Date.now() - startTime + delayMs > retry.timeBudgetMs) {
+                logger.warn(`Sin tiempo para reintentar '${method}': se agotaría el presupuesto de ${retry.timeBudgetMs} ms.`);
+                throw error;
+            }
+            logger.info(`Reintentando '${method}' en ${delayMs} ms (intento ${attempt + 1} de ${retry.maxAttempts}).`);
+            Utilities.sleep(delayMs);
+        }
+    }
+
+    /**
+     * Obtiene la espera indicada por el servidor: cabecera `Retry-After` (segundos o fecha HTTP)
+     * o `RetryInfo.retryDelay` en el cuerpo de error de la API (ej. "27s").
+     * @private
+     * @returns {number|null} Milisegundos de espera, o null si el servidor no indicó ninguna.
+     */
+    static _retryAfterMs(response, errorBody) {
+        const headers = (typeof response.getHeaders === 'function' && response.getHeaders()) || {};
+        const headerName = Object.keys(headers).filter(name => name.toLowerCase() === 'retry-after')[0];
+        if (headerName) {
+            const value = String(headers[headerName]).trim();
+            if (/^\d+(\.\d+)?$/.test(value)) {
+                return Math.round(parseFloat(value) * 1000);
+            }
+            const date = Date.parse(value);
+            if (!isNaN(date)) {
+                return Math.max(0, date - Date.now());
+            }
+        }
+        const details = (errorBody && errorBody.error && errorBody.error.details) || [];
+        const retryInfo = details.filter(detail => detail.retryDelay)[0];
+        if (retryInfo) {
+            const seconds = parseFloat(retryInfo.retryDelay);
+            if (!isNaN(seconds)) {
+                return Math.round(seconds * 1000);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Registra el `usageMetadata` de una respuesta. Un fallo al guardar el consumo se registra pero no interrumpe la
+     * conversación: el consumo queda pendiente en el UsageTracker (`unsavedUsage`, `lastRecordError`), que lo sigue
+     * contando en los presupuestos y lo vuelve a guardar en el siguiente registro.
+     * @private
+     * @param {Object} response - Respuesta normalizada.
+     * @param {string} model - Modelo usado en la llamada.
+     */
+    _recordUsage(response, model) {
+        if (!response || !response.usageMetadata) {
+            return;
+        }
+        this.lastUsage = Object.assign({ model: model }, UsageTracker.fromUsageMetadata(response.usageMetadata));
+        if (!this.usageTracker) {
+            return;
+        }
+        try {
+            this.usageTracker.record(response.usageMetadata, { sessionId: this.sessionId, userId: this.userId, model: model });
+        } catch (e) {
+            this.logger.error(`Error al registrar el consumo de tokens: ${e.message}`);
+        }
+    }
+
+    /**
+     * Resume el consumo de tokens registrado (ver `UsageTracker.report`).
+     * @param {Object} [options={}] - `days` (7 por defecto) y `userId` para limitar el informe a un usuario.
+     * @returns {Object} `{ from, to, totals, byDay, byUser, bySession, byModel }`.
+     */
+    getUsageReport(options = {}) {
+        if (!this.usageTracker) {
+            throw new Error("La contabilidad de tokens está desactivada (options.usage = false).");
+        }
+        return this.usageTracker.report(options);
+    }
+
+    /**
+     * Ajusta al presupuesto de tokens del modelo los mensajes que se van a enviar. El recorte o resumen solo afecta a la
+     * solicitud: el historial en memoria y el guardado se conservan completos.
+     * @private
+     * @param {string} model - Modelo de la solicitud, ya ajustado por los presupuestos.
+     * @returns {Array<Object>} Los mensajes de la solicitud.
+     */
+    _fitContextWindow(model) {
+        if (!this.contextWindow || this.messages.length === 0) {
+            return this.messages;
+        }
+        return this.contextWindow.fit(this, this.messages, model).messages;
+    }
+
+    /**
+     * Cuenta los tokens de un conjunto de mensajes con el endpoint `countTokens` del proveedor. Se hace un solo intento,
+     * sin reintentos (`COUNT_TOKENS_RETRY_OPTIONS`): quien lo usa antes de un envío (ContextWindowManager) recurre a la
+     * estimación local si falla, en lugar de retrasar el envío.
+     * @param {Array<Object>} [contents=this.messages] - Mensajes en formato neutro.
+     * @param {string} [model=this.model] - Modelo cuyo tokenizador se usa.
+     * @returns {number|null} El total de tokens, o null si la consulta falla o el proveedor no la soporta.
+     */
+    countTokens(contents = this.messages, model = this.model) {
+        const httpRequest = this.provider.buildCountTokensRequest(model, contents);
+        if (!httpRequest) {
+            return null;
+        }
+        return this.provider.parseCountTokensResponse(this._callApi('countTokens', httpRequest, GeminiChatAPI.COUNT_TOKENS_RETRY_OPTIONS));
+    }
+
+    /**
+     * Política de reintentos de `countTokens`: un único intento.
+     */
+    static get COUNT_TOKENS_RETRY_OPTIONS() {
+        return { maxAttempts: 1, timeBudgetMs: 10000 };
+    }
+
+    /**
+     * Pide al modelo un resumen compacto de una parte del historial. No usa herramientas ni modifica el historial.
+     * La llamada pasa por los presupuestos como cualquier envío: usa el modelo de respaldo si corresponde y no se hace si
+     * un presupuesto la rechaza.
+     * @param {Array<Object>} messages - Mensajes a resumir, en formato neutro.
+     * @param {string} [model=this.model] - Modelo que resume.
+     * @returns {string|null} El resumen, o null si la llamada falla o un presupuesto la rechaza.
+     */
+    summarizeMessages(messages, model = this.model) {
+        if (this.usageTracker) {
+            try {
+                model = this.usageTracker.checkBudgets({ sessionId: this.sessionId, userId: this.userId, model: model }).model;
+            } catch (e) {
+                if (!(e instanceof GeminiBudgetError)) {
+                    throw e;
+                }
+                this.logger.warn(`No se resume el historial: ${e.message}`);
+                return null;
+            }
+        }
+        const prompt = "Resume de forma compacta la siguiente conversación entre un usuario y un asistente. " +
+            "Conserva datos concretos, decisiones, resultados de herramientas y preguntas pendientes. " +
+            "Responde solo con el resumen.\n\n" + ContextWindowManager.toTranscript(messages);
+        const rawResponse = this._callApi('generateContent', this.provider.buildGenerateRequest(model, {
+            messages: [{ role: 'user', parts: [{ text: prompt }] }],
+            generationConfig: { temperature: 0.1 }
+        }));
+        const response = rawResponse && this.provider.parseGenerateResponse(rawResponse);
+        this._recordUsage(response, model);
+        const parts = response && response.candidates && response.candidates[0] &&
+            response.candidates[0].content && response.candidates[0].content.parts;
+        const summary = (parts || []).filter(part => part.text).map(part => part.text).join('');
+        return summary || null;
+    }
+
+    /**
+     * Realiza una llamada auxiliar (ej. 'countTokens', 'generateContent') con una solicitud construida por el proveedor.
+     * A diferencia de `sendMessage`, no lanza errores: se usa para operaciones opcionales que tienen alternativa local.
+     * @private
+     * @param {string} method - Nombre de la operación, usado en los logs.
+     * @param {{url: string, payload: string, headers: Object}} httpRequest - Solicitud devuelta por el proveedor.
+     * @param {Object} [retryOverrides] - Cambios sobre la política de reintentos de la instancia.
+     * @returns {Object|null} La respuesta JSON sin normalizar, o null si hay un error.
+     */
+    _callApi(method, httpRequest, retryOverrides = null) {
+        try {
+            return this._fetchWithRetry(method, httpRequest, retryOverrides);
+        } catch (e) {
+            if (e instanceof ReplayMismatchError) {
+                throw e;
+            }
+            this.logger.warn(`La llamada auxiliar '${method}' falló (${e.name}): ${e.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Ejecuta un turno completo de conversación con herramientas: envía el prompt del usuario,
+     * ejecuta las llamadas a funciones que proponga el modelo y reenvía los resultados
+     * hasta que el modelo responda solo con texto o se alcance el máximo de rondas.
+     * Soporta llamadas encadenadas (varias rondas) y llamadas paralelas (varias en un mismo turno).
+     * Si el prompt o la respuesta se bloquean, el turno completo (prompt, llamadas y resultados) se retira del historial.
+     * Las políticas de ToolExecutor (`setPolicy`) limitan las llamadas por turno y por sesión y, con `requiresApproval`,
+     * pausan el turno: las llamadas pendientes se guardan en el contexto hasta `approveToolCall` / `rejectToolCall` y
+     * `resumeWithTools`, que puede ejecutarse en otra ejecución del script.
+     * @param {string} userPrompt - El mensaje del usuario.
+     * @param {ToolExecutor} toolExecutor - Instancia con las implementaciones registradas (`executeToolCall`).
+     * @param {Object} [options={}] - Opciones del ciclo.
+     * @param {number} [options.maxToolRounds=5] - Número máximo de rondas de ejecución de herramientas.
+     * @param {number} [options.maxContinuations=0] - Veces que se pide al modelo continuar una respuesta cortada por
+     * `maxOutputTokens` (MAX_TOKENS). Las partes se unen en una sola respuesta, que es la que queda en el historial. Si una
+     * continuación se bloquea o llega vacía, el turno termina con MAX_TOKENS y el texto unido hasta entonces.
+     * @param {number} [options.toolTimeBudgetMs] - Tiempo máximo para herramientas en el turno. Superado, las llamadas
+     * siguientes no se ejecutan y el modelo recibe un error TIME_BUDGET_EXCEEDED. Lo mismo ocurre si lo que queda es
+     * menor que el `timeoutMs` de la política de la herramienta.
+     * @param {Object} [options.apiOptions={}] - Opciones que se pasan a `sendMessage` en cada llamada (ej. `temperature`, `tool_config`).
+     * @param {string} [options.correlationId] - Identificador de correlación del turno para el registro (ver StructuredLogger).
+     * Por defecto, el activo o uno nuevo.
+     * @returns {{text: (string|null), toolTrace: Array<Object>, rounds: number, stopReason: string, finishReason: (string|null),
+     * blockReason: (string|null), safetyRatings: Array<Object>, citations: Array<Object>, continuations: number, usage: Object,
+     * pendingToolCalls: Array<Object>, correlationId: string}}
+     * `stopReason` es 'TEXT' si el modelo respondió con texto, 'MAX_TOOL_ROUNDS' si se agotaron las rondas,
+     * 'PENDING_APPROVAL' si el turno se pausó por llamadas que requieren aprobación (ver `pendingToolCalls` y `resumeWithTools`),
+     * 'MAX_TOKENS' si la respuesta quedó cortada (`text` contiene lo generado), 'BLOCKED' si el prompt o la respuesta se
+     * bloquearon (ver `blockReason`, `finishReason` y `safetyRatings`), 'NO_RESPONSE' si la API no devolvió candidatos o
+     * 'EMPTY_RESPONSE' si el candidato no tenía contenido útil; en estos tres casos el turno se retira del historial. `usage`
+     * suma los tokens de todas las llamadas del turno (`{ calls, promptTokens, candidatesTokens, totalTokens }`).
+     * `correlationId` identifica las entradas del registro del turno.
+     * @throws {GeminiApiError} Si una llamada a la API falla tras los reintentos (ver `sendMessage`). El turno se retira del
+     * historial, de modo que puede reintentarse con el mismo prompt.
+     */
+    runWithTools(userPrompt, toolExecutor, options = {}) {
+        if (!toolExecutor || typeof toolExecutor.executeToolCall !== 'function') {
+            throw new Error("Se requiere un ToolExecutor con el método 'executeToolCall'.");
+        }
+        return this._runTurn(userPrompt, toolExecutor, options);
+    }
+
+    /**
+     * Envía un prompt sin herramientas y devuelve la respuesta interpretada, con el mismo resultado que `runWithTools`
+     * (bloqueos fuera del historial y continuación opcional de respuestas cortadas).
+     * @param {string|Object} userPrompt - El mensaje del usuario (texto o adjuntos, ver `addMessage`).
+     * @param {Object} [options={}] - `maxContinuations`, `apiOptions` y `correlationId`, como en `runWithTools`.
+     * @returns {Object} Igual que `runWithTools`, con `toolTrace` vacío.
+     * @throws {GeminiApiError} Si una llamada a la API falla tras los reintentos (ver `sendMessage`).
+     */
+    ask(userPrompt, options = {}) {
+        const apiOptions = Object.assign({}, options.apiOptions || {}, { includeTools: false });
+        return this._runTurn(userPrompt, null, Object.assign({}, options, { apiOptions: apiOptions }));
+    }
+
+    /**
+     * Llamadas a herramientas que esperan aprobación (ver la política `requiresApproval` de ToolExecutor).
+     * @returns {Array<{id: string, name: string, args: Object, decision: (string|null), reason: (string|null)}>}
+     * `decision` es null mientras no se apruebe ('approved') ni rechace ('rejected').
+     */
+    getPendingToolCalls() {
+        if (!this.pendingToolCalls) {
+            return [];
+        }
+        return this.pendingToolCalls.calls
+            .filter(call => call.status === 'pending')
+            .map(call => ({ id: call.id, name: call.name, args: call.args, decision: call.decision || null, reason: call.reason || null }));
+    }
+
+    /**
+     * Aprueba una llamada pendiente. Se ejecuta al llamar a `resumeWithTools`, que puede hacerse en otra ejecución del script.
+     * @param {string} callId - ID de la llamada (ver `getPendingToolCalls`).
+     */
+    approveToolCall(callId) {
+        this._decideToolCall(callId, 'approved', null);
+    }
+
+    /**
+     * Rechaza una llamada pendiente. Al reanudar, el modelo recibe el rechazo como `functionResponse`.
+     * @param {string} callId - ID de la llamada (ver `getPendingToolCalls`).
+     * @param {string} [reason] - Motivo, que se transmite al modelo.
+     */
+    rejectToolCall(callId, reason = null) {
+        this._decideToolCall(callId, 'rejected', reason);
+    }
+
+    /**
+     * Reanuda un turno pausado por llamadas que requieren aprobación: ejecuta las aprobadas, devuelve al modelo las
+     * rechazadas y continúa el ciclo de `runWithTools`.
+     * @param {ToolExecutor} toolExecutor - El executor del turno original.
+     * @param {Object} [options={}] - Las mismas opciones que `runWithTools`.
+     * @returns {Object} Igual que `runWithTools`. El `toolTrace`, las rondas y el consumo incluyen los de antes de la pausa.
+     * @throws {Error} Si no hay un turno pausado o quedan llamadas sin decidir.
+     */
+    resumeWithTools(toolExecutor, options = {}) {
+        if (!toolExecutor || typeof toolExecutor.executeToolCall !== 'function') {
+            throw new Error("Se requiere un ToolExecutor con el método 'executeToolCall'.");
+        }
+        if (!this.pendingToolCalls || this.getPendingToolCalls().length === 0) {
+            throw new Error("No hay llamadas a herramientas pendientes de aprobación" +
+                (this.pendingToolCalls ? " (otra ejecución ya las está ejecutando)." : "."));
+        }
+        const undecided = this.getPendingToolCalls().filter(call => !call.decision);
+        if (undecided.length > 0) {
+            throw new Error(`Faltan por aprobar o rechazar: ${undecided.map(call => `${call.name} (${call.id})`).join(', ')}.`);
+        }
+        this._claimPendingToolCalls();
+        // El turno reanudado conserva el identificador de correlación con el que empezó.
+        return StructuredLogger.withCorrelationId(this.pendingToolCalls.turn.correlationId || null, correlationId => {
+            this.logger.info("Turno reanudado tras la aprobación de herramientas.");
+            return this._resumeTurn(toolExecutor, options, correlationId);
+        });
+    }
+
+    /**
+     * Reserva las llamadas decididas antes de ejecutarlas: las marca como 'running' y las guarda con el bloqueo, exigiendo
+     * que nadie haya guardado la sesión desde que se cargó. Así, si dos ejecuciones reanudan el mismo turno, solo una
+     * ejecuta las herramientas; la otra recibe ContextConflictError (o, tras recargar, no encuentra llamadas pendientes).
+     * Si la ejecución se interrumpe con llamadas en 'running', `clearMessages` descarta el turno.
+     * @private
+     * @throws {ContextConflictError} Si otra ejecución guardó la sesión después de cargarla.
+     */
+    _claimPendingToolCalls() {
+        const claimed = this.pendingToolCalls.calls.filter(call => call.status === 'pending');
+        claimed.forEach(call => {
+            call.status = 'running';
+        });
+        try {
+            this._saveContext({ exclusive: true });
+        } catch (e) {
+            claimed.forEach(call => {
+                call.status = 'pending';
+            });
+            throw e;
+        }
+    }
+
+    /**
+     * Ejecuta las decisiones del turno pausado y continúa el ciclo.
+     * @private
+     */
+    _resumeTurn(toolExecutor, options, correlationId) {
+        const pending = this.pendingToolCalls;
+        // El presupuesto de tiempo cuenta desde la reanudación: la pausa puede durar días.
+        const turn = Object.assign({}, pending.turn, { startedAt: Date.now(), correlationId: correlationId });
+        pending.calls.forEach(call => {
+            if (call.status !== 'running') {
+                return;
+            }
+            const functionCall = { id: call.id, name: call.name, args: call.args };
+            if (call.decision === 'approved') {
+                this.logger.info(`Llamada aprobada: ${call.name} (${call.id}).`);
+                call.output = this._executeToolWithinLimits(functionCall, toolExecutor, turn, options, { approval: 'approved' });
+            } else {
+                this.logger.info(`Llamada rechazada: ${call.name} (${call.id})${call.reason ? `: ${call.reason}` : ''}.`);
+                call.output = {
+                    error: {
+                        code: 'REJECTED_BY_USER',
+                        message: `El usuario rechazó la llamada a '${call.name}'${call.reason ? `: ${call.reason}` : ''}. ` +
+                            "No la repitas sin consultarlo antes."
+                    }
+                };
+                turn.toolTrace.push({ round: turn.round + 1, name: call.name, args: call.args, error: call.output.error.message, approval: 'rejected' });
+            }
+            call.status = 'done';
+        });
+
+        const turnStart = this.messages[pending.turnStartIndex];
+        this.pendingToolCalls = null;
+        this._addToolResponses(pending.calls);
+        turn.round++;
+        return this._driveTurn(turnStart, turn, toolExecutor, options);
+    }
+
+    /**
+     * Ciclo común de `runWithTools` y `ask`. Sin `toolExecutor`, las llamadas a funciones de la respuesta se ignoran.
+     * @private
+     */
+    _runTurn(userPrompt, toolExecutor, options) {
+        this._assertNoPendingToolCalls();
+        return StructuredLogger.withCorrelationId(options.correlationId || null, correlationId => {
+            this.logger.info(`Turno iniciado${toolExecutor ? ' con herramientas' : ''}.`);
+            this.addMessage("user", userPrompt);
+            const turn = {
+                round: 0,
+                toolTrace: [],
+                usage: { calls: 0, promptTokens: 0, candidatesTokens: 0, totalTokens: 0 },
+                callCounts: {},
+                startedAt: Date.now(),
+                correlationId: correlationId
+            };
+            const turnStart = this.messages[this.messages.length - 1];
+            try {
+                return this._driveTurn(turnStart, turn, toolExecutor, options);
+            } catch (e) {
+                // Los bloqueos ya se resolvieron en _driveTurn; cualquier otro error de la API deja el prompt sin
+                // respuesta, y al reintentar quedaría duplicado.
+                if (e instanceof GeminiApiError) {
+                    this.logger.warn(`El turno falló (${e.name}); se retira del historial.`);
+                    this._rollbackTurn(turnStart);
+                }
+                throw e;
+            }
+        });
+    }
+
+    /**
+     * Envía el historial y procesa las respuestas hasta terminar el turno o pausarlo por una aprobación pendiente.
+     * @private
+     * @param {Object} turnStart - Mensaje del usuario que abrió el turno (para retirarlo si se bloquea).
+     * @param {Object} turn - Estado del turno: `{ round, toolTrace, usage, callCounts, startedAt, correlationId }`.
+     */
+    _driveTurn(turnStart, turn, toolExecutor, options) {
+        const maxToolRounds = options.maxToolRounds !== undefined ? options.maxToolRounds : 5;
+        const maxContinuations = options.maxContinuations || 0;
+        const apiOptions = options.apiOptions || {};
+
+        for (; ; turn.round++) {
+            let outcome = this._sendAndInterpret(apiOptions, turn.usage);
+            const result = (stopReason, text, continuations = 0) => ({
+                text: text || null,
+                toolTrace: turn.toolTrace,
+                rounds: turn.round,
+                stopReason: stopReason,
+                finishReason: outcome.finishReason,
+                blockReason: outcome.blockReason,
+                safetyRatings: outcome.safetyRatings,
+                citations: outcome.citations,
+                continuations: continuations,
+                usage: turn.usage,
+                pendingToolCalls: this.getPendingToolCalls(),
+                correlationId: turn.correlationId
+            });
+
+            if (outcome.status === 'BLOCKED') {
+                this.logger.warn(`Turno bloqueado (${outcome.blockReason ? 'prompt: ' + outcome.blockReason : 'respuesta: ' + outcome.finishReason}). ` +
+                    "Se retira del historial.");
+                this._rollbackTurn(turnStart);
+                return result('BLOCKED', null);
+            }
+            if (outcome.status === 'NO_RESPONSE') {
+                this.logger.warn("No se recibió respuesta del modelo. El turno se retira del historial.");
+                this._rollbackTurn(turnStart);
+                return result('NO_RESPONSE', null);
+            }
+
+            const functionCalls = toolExecutor ? outcome.functionCalls : [];
+            if (functionCalls.length === 0) {
+                if (!outcome.text) {
+                    this.logger.warn("La respuesta del modelo no tiene texto. El turno se retira del historial.");
+                    this._rollbackTurn(turnStart);
+                    return result(outcome.status === 'MAX_TOKENS' ? 'MAX_TOKENS' : 'EMPTY_RESPONSE', null);
+                }
+                if (outcome.status !== 'MAX_TOKENS' || maxContinuations === 0) {
+                    this.addMessage("model", outcome.text);
+                    return result(outcome.status === 'MAX_TOKENS' ? 'MAX_TOKENS' : 'TEXT', outcome.text);
+                }
+                const continued = this._continueTruncated(outcome.text, apiOptions, maxContinuations, turn.usage);
+                outcome = continued.outcome || outcome;
+                this.addMessage("model", continued.text);
+                return result(continued.truncated ? 'MAX_TOKENS' : 'TEXT', continued.text, continued.continuations);
+            }
+
+            if (turn.round >= maxToolRounds) {
+                this.logger.warn(`Se alcanzó el máximo de ${maxToolRounds} rondas de herramientas sin respuesta final.`);
+                return result('MAX_TOOL_ROUNDS', outcome.text);
+            }
+
+            // Cada llamada necesita un ID para enlazar su aprobación y su resultado.
+            functionCalls.forEach(functionCall => {
+                functionCall.id = functionCall.id || Utilities.getUuid();
+            });
+            // La llamada del modelo y los resultados de la ronda se persisten con un único guardado.
+            const paused = this.batchSaves(() => {
+                this.addMessage("model", { tool_calls: functionCalls.map(fc => ({ id: fc.id, function: fc })) });
+
+                // Todas las llamadas del turno (paralelas) se resuelven antes de volver a consultar al modelo.
+                const calls = functionCalls.map(functionCall => {
+                    const call = { id: functionCall.id, name: functionCall.name, args: functionCall.args || {}, status: 'done' };
+                    const policy = typeof toolExecutor.getPolicy === 'function' ? toolExecutor.getPolicy(functionCall.name) : {};
+                    if (policy.requiresApproval) {
+                        call.status = 'pending';
+                        this.logger.info(`La llamada a '${call.name}' (${call.id}) requiere aprobación.`);
+                    } else {
+                        call.output = this._executeToolWithinLimits(functionCall, toolExecutor, turn, options);
+                    }
+                    return call;
+                });
+
+                if (calls.some(call => call.status === 'pending')) {
+                    this.pendingToolCalls = {
+                        calls: calls,
+                        turn: turn,
+                        turnStartIndex: this.messages.indexOf(turnStart),
+                        createdAt: new Date().toISOString()
+                    };
+                    this._saveContext();
+                    this.logger.info(`Turno en pausa: ${this.getPendingToolCalls().length} llamadas esperan aprobación.`);
+                    return true;
+                }
+                this._addToolResponses(calls);
+                return false;
+            });
+            if (paused) {
+                return result('PENDING_APPROVAL', outcome.text);
+            }
+        }
+    }
+
+    /**
+     * Ejecuta una llamada si no supera los límites de su política (llamadas por turno y por sesión, presupuesto de
+     * tiempo del turno) y la registra en `toolTrace`. Con `toolTimeBudgetMs`, una herramienta con `timeoutMs` solo se
+     * ejecuta si lo que queda del presupuesto alcanza para su duración esperada: una vez iniciada no se puede interrumpir.
+     * @private
+     * @returns {*} El resultado para el modelo; un objeto `{ error }` si se superó un límite o la herramienta falló.
+     */
+    _executeToolWithinLimits(functionCall, toolExecutor, turn, options, traceFields = {}) {
+        const name = functionCall.name;
+        const policy = typeof toolExecutor.getPolicy === 'function' ? toolExecutor.getPolicy(name) : {};
+        const traceEntry = Object.assign({ round: turn.round + 1, name: name, args: functionCall.args || {} }, traceFields);
+        const turnCalls = turn.callCounts[name] || 0;
+        const sessionCalls = this.toolCallCounts[name] || 0;
+
+        const remainingMs = options.toolTimeBudgetMs ? options.toolTimeBudgetMs - (Date.now() - turn.startedAt) : null;
+        let limitError = null;
+        if (policy.maxCallsPerTurn && turnCalls >= policy.maxCallsPerTurn) {
+            limitError = { code: 'CALL_LIMIT_EXCEEDED', message: `La herramienta '${name}' ya se usó ${turnCalls} veces en este turno (máximo ${policy.maxCallsPerTurn}). No vuelvas a llamarla.` };
+        } else if (policy.maxCallsPerSession && sessionCalls >= policy.maxCallsPerSession) {
+            limitError = { code: 'CALL_LIMIT_EXCEEDED', message: `La herramienta '${name}' alcanzó su máximo de ${policy.maxCallsPerSession} usos en esta conversación. No vuelvas a llamarla.` };
+        } else if (remainingMs !== null && remainingMs < 0) {
+            limitError = { code: 'TIME_BUDGET_EXCEEDED', message: `Se agotó el tiempo disponible para herramientas en este turno. Responde con la información que ya tienes.` };
+        } else if (remainingMs !== null && policy.timeoutMs && remainingMs < policy.timeoutMs) {
+            limitError = { code: 'TIME_BUDGET_EXCEEDED', message: `No queda tiempo para '${name}' en este turno (puede tardar ${policy.timeoutMs} ms y quedan ${remainingMs} ms). Responde con la información que ya tienes.` };
+        }
+        if (limitError) {
+            this.logger.warn(`Llamada a '${name}' no ejecutada (${limitError.code}).`);
+            traceEntry.error = limitError.message;
+            turn.toolTrace.push(traceEntry);
+            return { error: limitError };
+        }
+
+        turn.callCounts[name] = turnCalls + 1;
+        this.toolCallCounts[name] = sessionCalls + 1;
+        let toolOutput;
+        const startTime = Date.now();
+        try {
+            toolOutput = toolExecutor.executeToolCall(functionCall);
+            traceEntry.result = toolOutput;
+            this.logger.debug(`Herramienta ejecutada: ${name}.`, { result: toolOutput });
+        } catch (e) {
+            toolOutput = { error: e.message };
+            traceEntry.error = e.message;
+            this.logger.warn(`Error en herramienta ${name}: ${e.message}`);
+        }
+        if (policy.timeoutMs && Date.now() - startTime > policy.timeoutMs) {
+            traceEntry.slow = true;
+        }
+        turn.toolTrace.push(traceEntry);
+        return toolOutput;
+    }
+
+    /**
+     * Añade al historial los resultados de las llamadas de una ronda, en el orden en que el modelo las emitió.
+     * @private
+     */
+    _addToolResponses(calls) {
+        this.batchSaves(() => calls.forEach(call => {
+            this.addMessage("tool", {
+                functionResponse: {
+                    id: call.id,
+                    name: call.name,
+                    response: call.output
+                }
+            });
+        }));
+    }
+
+    /**
+     * @private
+     */
+    _decideToolCall(callId, decision, reason) {
+        const call = this.pendingToolCalls && this.pendingToolCalls.calls
+            .filter(candidate => candidate.status === 'pending' && candidate.id === callId)[0];
+        if (!call) {
+            throw new Error(`No hay ninguna llamada pendiente con ID "${callId}".`);
+        }
+        call.decision = decision;
+        call.reason = reason;
+        this._saveContext();
+        this.logger.info(`Llamada ${callId} (${call.name}): ${decision === 'approved' ? 'aprobada' : 'rechazada'}.`);
+    }
+
+    /**
+     * @private
+     * @throws {Error} Si hay un turno en pausa: el historial termina en llamadas sin respuesta.
+     */
+    _assertNoPendingToolCalls() {
+        if (this.pendingToolCalls) {
+            throw new Error(`Hay ${this.pendingToolCalls.calls.filter(call => call.status !== 'done').length} llamadas a herramientas pendientes de aprobación. ` +
+                "Apruébalas o recházalas (approveToolCall / rejectToolCall) y reanuda con resumeWithTools.");
+        }
+    }
+
+    /**
+     * Pide al modelo que continúe una respuesta cortada por MAX_TOKENS hasta `maxContinuations` veces y une las partes.
+     * Los mensajes intermedios (respuesta parcial y petición de continuar) se retiran del historial al terminar. Si una
+     * continuación se bloquea o llega vacía, se descarta solo ese intercambio y se devuelve el texto unido hasta entonces,
+     * que sigue cortado.
+     * @private
+     * @returns {{text: string, continuations: number, truncated: boolean, outcome: (Object|null)}} El texto unido, si sigue
+     * cortado y la interpretación de la última continuación aprovechada (null si no se aprovechó ninguna).
+     */
+    _continueTruncated(text, apiOptions, maxContinuations, usage) {
+        let outcome = null;
+        let continuations = 0;
+        let truncated = true;
+        this.addMessage("model", text);
+        const firstPartial = this.messages[this.messages.length - 1];
+
+        while (continuations < maxContinuations) {
+            continuations++;
+            this.logger.info(`Respuesta cortada por MAX_TOKENS. Pidiendo continuación ${continuations} de ${maxContinuations}.`);
+            this.addMessage("user", GeminiChatAPI.CONTINUATION_PROMPT);
+            let next;
+            try {
+                next = this._sendAndInterpret(Object.assign({}, apiOptions, { includeTools: false }), usage);
+            } catch (e) {
+                this._rollbackTurn(firstPartial);
+                throw e;
+            }
+            if (next.status === 'BLOCKED' || !next.text) {
+                this.logger.warn(`La continuación ${continuations} ${next.status === 'BLOCKED' ? 'se bloqueó' : 'llegó vacía'}; ` +
+                    "se conserva la respuesta unida hasta ahora.");
+                break;
+            }
+            outcome = next;
+            text += outcome.text;
+            if (outcome.status !== 'MAX_TOKENS') {
+                truncated = false;
+                break;
+            }
+            this.addMessage("model", outcome.text);
+        }
+
+        this._rollbackTurn(firstPartial);
+        return { text: text, continuations: continuations, truncated: truncated, outcome: outcome };
+    }
+
+    /**
+     * Envía el historial, interpreta la respuesta y suma su consumo a `usage`. Un prompt bloqueado se devuelve como
+     * resultado 'BLOCKED' en lugar de lanzar GeminiBlockedError.
+     * @private
+     */
+    _sendAndInterpret(apiOptions, usage) {
+        this.lastUsage = null;
+        try {
+            return GeminiChatAPI.interpretResponse(this.sendMessage(apiOptions));
+        } catch (e) {
+            if (!(e instanceof GeminiBlockedError)) {
+                throw e;
+            }
+            return GeminiChatAPI.interpretResponse(e.errorBody);
+        } finally {
+            if (this.lastUsage) {
+                usage.calls++;
+                usage.promptTokens += this.lastUsage.promptTokens;
+                usage.candidatesTokens += this.lastUsage.candidatesTokens;
+                usage.totalTokens += this.lastUsage.totalTokens;
+            }
+        }
+    }
+
+    /**
+     * Retira del historial el mensaje indicado y todos los posteriores, y guarda el contexto.
+     * Se busca por referencia porque al guardar pueden haberse fusionado mensajes de otra ejecución antes de los del turno.
+     * @private
+     * @param {Object} firstMessage - Primer mensaje del tramo a retirar.
+     */
+    _rollbackTurn(firstMessage) {
+        const index = this.messages.indexOf(firstMessage);
+        if (index !== -1) {
+            this.messages.splice(index);
+            this._saveContext();
+        }
+    }
 }
@@ -0,0 +1,90 @@
+/**
+ * @class GeminiEmbeddings
+ * @description Genera embeddings de texto con los endpoints `embedContent` y `batchEmbedContents` de la API de Gemini.
+ * Comparte la política de reintentos y los errores tipados de GeminiChatAPI.
+ */
+class GeminiEmbeddings {
+
+    /**
+     * Constructor de la clase GeminiEmbeddings.
+     * @param {string} apiKey - Tu clave API de Gemini.
+     * @param {Object} [options={}] - Opciones.
+     * @param {string} [options.model='gemini-embedding-001'] - Modelo de embeddings.
+     * @param {number} [options.outputDimensionality=768] - Dimensión de los vectores. Valores menores ocupan menos espacio
+     * en el almacén (importante en el almacén en Sheets).
+     * @param {number} [options.batchSize=100] - Textos por llamada a `batchEmbedContents` (máximo de la API: 100).
+     * @param {string} [options.apiEndpoint="https://generativelanguage.googleapis.com/v1beta/models/"] - URL base de la API.
+     * @param {Object} [options.retry] - Política de reintentos (ver `GeminiChatAPI.DEFAULT_RETRY_OPTIONS`).
+     * @param {Object} [options.transport] - Transporte HTTP (ver HttpTransport.js). Por defecto, UrlFetchApp.
+     */
+    constructor(apiKey, options = {}) {
+        if (!apiKey) {
+            throw new Error("La clave API de Gemini es requerida.");
+        }
+        this.apiKey = apiKey;
+        this.model = options.model || 'gemini-embedding-001';
+        this.outputDimensionality = options.outputDimensionality !== undefined ? options.outputDimensionality : 768;
+        this.batchSize = Math.min(options.batchSize || 100, 100);
+        this.apiEndpoint = options.apiEndpoint || "https://generativelanguage.googleapis.com/v1beta/models/";
+        this.retryOptions = Object.assign({}, GeminiChatAPI.DEFAULT_RETRY_OPTIONS, options.retry || {});
+        this.transport = options.transport || null;
+    }
+
+    /**
+     * Genera el embedding de una consulta de búsqueda.
+     * @param {string} text - El texto de la consulta.
+     * @returns {Array<number>} El vector.
+     */
+    embedQuery(text) {
+        const response = this._post('embedContent', this._buildRequest(text, 'RETRIEVAL_QUERY'));
+        return response.embedding.values;
+    }
+
+    /**
+     * Genera los embeddings de varios documentos (fragmentos), en lotes de `batchSize`.
+     * @param {Array<string>} texts - Los textos.
+     * @param {Array<string>} [titles] - Títulos opcionales de cada texto (mejoran la calidad con RETRIEVAL_DOCUMENT).
+     * @returns {Array<Array<number>>} Un vector por texto, en el mismo orden.
+     */
+    embedDocuments(texts, titles = []) {
+        const vectors = [];
+        for (let start = 0; start < texts.length; start += this.batchSize) {
+            const requests = texts.slice(start, start + this.batchSize).map((text, offset) => {
+                return this._buildRequest(text, 'RETRIEVAL_DOCUMENT', titles[start + offset]);
+            });
+            const response = this._post('batchEmbedContents', { requests: requests });
+            (response.embeddings || []).forEach(embedding => vectors.push(embedding.values));
+            StructuredLogger.getDefault().debug(`Embeddings generados: ${vectors.length} de ${texts.length}.`);
+        }
+        if (vectors.length !== texts.length) {
+            throw new GeminiApiError(`La API devolvió ${vectors.length} embeddings para ${texts.length} textos.`);
+        }
+        return vectors;
+    }
+
+    /**
+     * @private
+     */
+    _buildRequest(text, taskType, title = null) {
+        const request = {
+            model: `models/${this.model}`,
+            content: { parts: [{ text: text }] },
+            taskType: taskType
+        };
+        if (title) {
+            request.title = title;
+        }
+        if (this.outputDimensionality) {
+            request.outputDimensionality = this.outputDimensionality;
+        }
+        return request;
+    }
+
+    /**
+     * @private
+     */
+    _post(method, payload) {
+        const url = `${this.apiEndpoint}${this.model}:${method}?key=${this.apiKey}`;
+        return GeminiChatAPI.postJsonWithRetry(url, JSON.stringify(payload), this.retryOptions, method, null, this.transport);
+    }
+}
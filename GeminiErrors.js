@@ -0,0 +1,159 @@
+/**
+ * Errores tipados de la API de Gemini. Todos heredan de GeminiApiError, de modo que se pueden capturar en bloque
+ * o distinguir por clase (`e instanceof GeminiQuotaError`).
+ */
+
+/**
+ * @class GeminiApiError
+ * @description Error base de las llamadas a la API de Gemini.
+ */
+class GeminiApiError extends Error {
+
+    /**
+     * @param {string} message - Descripción del error.
+     * @param {Object} [details={}] - Información adicional.
+     * @param {number} [details.statusCode] - Código HTTP de la respuesta, si la hubo.
+     * @param {string} [details.status] - Estado de la API (ej. 'RESOURCE_EXHAUSTED', 'INVALID_ARGUMENT').
+     * @param {Object|string} [details.errorBody] - Cuerpo de error devuelto por la API (JSON si se pudo interpretar).
+     * @param {number} [details.attempts] - Número de intentos realizados antes de rendirse.
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'GeminiApiError';
+        this.statusCode = details.statusCode || null;
+        this.status = details.status || null;
+        this.errorBody = details.errorBody !== undefined ? details.errorBody : null;
+        this.attempts = details.attempts || 1;
+    }
+
+    /**
+     * Crea el error tipado adecuado a partir de una respuesta HTTP fallida.
+     * @param {number} statusCode - Código HTTP.
+     * @param {string} bodyText - Cuerpo de la respuesta.
+     * @returns {GeminiApiError}
+     */
+    static fromResponse(statusCode, bodyText) {
+        let errorBody = bodyText;
+        try {
+            errorBody = JSON.parse(bodyText);
+        } catch (e) {
+            // El cuerpo no es JSON; se conserva como texto.
+        }
+        const apiError = (errorBody && errorBody.error) || {};
+        const status = apiError.status || null;
+        const message = apiError.message || `La API respondió con el código ${statusCode}.`;
+        const reasons = (apiError.details || []).map(detail => detail.reason).filter(reason => reason);
+        const details = { statusCode: statusCode, status: status, errorBody: errorBody };
+
+        if (statusCode === 401 || statusCode === 403 || status === 'UNAUTHENTICATED' || status === 'PERMISSION_DENIED' ||
+            reasons.indexOf('API_KEY_INVALID') !== -1) {
+            return new GeminiAuthError(message, details);
+        }
+        if (statusCode === 429 || status === 'RESOURCE_EXHAUSTED') {
+            return new GeminiQuotaError(message, details);
+        }
+        if (statusCode >= 500) {
+            return new GeminiServerError(message, details);
+        }
+        if (statusCode >= 400) {
+            return new GeminiInvalidRequestError(message, details);
+        }
+        return new GeminiApiError(message, details);
+    }
+}
+
+/**
+ * @class GeminiAuthError
+ * @description Clave API inválida, ausente o sin permisos (401/403, API_KEY_INVALID).
+ */
+class GeminiAuthError extends GeminiApiError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'GeminiAuthError';
+    }
+}
+
+/**
+ * @class GeminiQuotaError
+ * @description Límite de cuota o de frecuencia superado (429, RESOURCE_EXHAUSTED).
+ */
+class GeminiQuotaError extends GeminiApiError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'GeminiQuotaError';
+    }
+}
+
+/**
+ * @class GeminiInvalidRequestError
+ * @description Solicitud rechazada por la API (400/404): esquemas de herramientas inválidos, modelo inexistente, etc.
+ */
+class GeminiInvalidRequestError extends GeminiApiError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'GeminiInvalidRequestError';
+    }
+}
+
+/**
+ * @class GeminiServerError
+ * @description Error del servidor o sobrecarga (5xx) que persistió tras los reintentos.
+ */
+class GeminiServerError extends GeminiApiError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'GeminiServerError';
+    }
+}
+
+/**
+ * @class GeminiBlockedError
+ * @description El prompt fue bloqueado por los filtros de seguridad (`promptFeedback.blockReason`). Lo lanza `sendMessage`;
+ * `runWithTools` y `ask` lo convierten en un resultado con `stopReason: 'BLOCKED'`.
+ */
+class GeminiBlockedError extends GeminiApiError {
+
+    /**
+     * @param {string} message - Descripción del error.
+     * @param {Object} [details={}] - Igual que GeminiApiError, más:
+     * @param {string} [details.blockReason] - Motivo del bloqueo (ej. 'SAFETY').
+     * @param {Array<Object>} [details.safetyRatings] - Valoraciones de seguridad del prompt.
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'GeminiBlockedError';
+        this.blockReason = details.blockReason || null;
+        this.safetyRatings = details.safetyRatings || [];
+    }
+}
+
+/**
+ * @class GeminiBudgetError
+ * @description La solicitud no se envió porque se alcanzó un presupuesto de tokens con acción 'refuse' (ver UsageTracker).
+ */
+class GeminiBudgetError extends GeminiApiError {
+
+    /**
+     * @param {string} message - Descripción del error.
+     * @param {Object} [details={}] - Igual que GeminiApiError, más:
+     * @param {Object} [details.budget] - El presupuesto alcanzado.
+     * @param {number} [details.usedTokens] - Tokens consumidos en el periodo del presupuesto.
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'GeminiBudgetError';
+        this.budget = details.budget || null;
+        this.usedTokens = details.usedTokens || 0;
+    }
+}
+
+/**
+ * @class GeminiNetworkError
+ * @description No se obtuvo respuesta: excepción de UrlFetchApp, tiempo de espera agotado o respuesta no interpretable.
+ */
+class GeminiNetworkError extends GeminiApiError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'GeminiNetworkError';
+    }
+}
@@ -0,0 +1,269 @@
+/**
+ * Transportes HTTP para grabar y reproducir las llamadas a la API.
+ *
+ * Un transporte es cualquier objeto con el método `fetch(url, options)` de UrlFetchApp (UrlFetchApp es el transporte por
+ * defecto). GeminiChatAPI, GeminiEmbeddings y GeminiFilesApi aceptan `options.transport`, de modo que un flujo completo
+ * puede grabarse una vez contra la API real y reproducirse después sin red.
+ *
+ * Formato de un fixture (archivo JSON con un array):
+ *   `{ request: { method, url, payload }, response: { code, headers, body } }`
+ * La clave API de la URL y las cabeceras de autorización no se guardan.
+ */
+
+/**
+ * @class RecordingTransport
+ * @description Envía las solicitudes con otro transporte (por defecto, UrlFetchApp) y guarda cada par solicitud/respuesta.
+ */
+class RecordingTransport {
+
+    /**
+     * @param {Object} [innerTransport=UrlFetchApp] - Transporte que realiza las llamadas reales.
+     */
+    constructor(innerTransport = null) {
+        this.inner = innerTransport || UrlFetchApp;
+        this.fixtures = [];
+    }
+
+    fetch(url, options = {}) {
+        const response = this.inner.fetch(url, options);
+        const headers = (typeof response.getAllHeaders === 'function' ? response.getAllHeaders() : response.getHeaders()) || {};
+        this.fixtures.push({
+            request: HttpFixtures.describeRequest(url, options),
+            response: {
+                code: response.getResponseCode(),
+                headers: headers,
+                body: response.getContentText()
+            }
+        });
+        return response;
+    }
+
+    /**
+     * @returns {Array<Object>} Los fixtures grabados hasta ahora.
+     */
+    getFixtures() {
+        return this.fixtures.slice();
+    }
+
+    /**
+     * Guarda los fixtures como archivo JSON en una carpeta de Drive, reemplazando el contenido si el archivo ya existe.
+     * @param {string} folderId - ID de la carpeta.
+     * @param {string} fileName - Nombre del archivo (ej. "toolsFlow.json").
+     * @returns {string} El ID del archivo.
+     */
+    saveToDrive(folderId, fileName) {
+        const folder = DriveApp.getFolderById(folderId);
+        const content = JSON.stringify(this.fixtures, null, 2);
+        const existing = folder.getFilesByName(fileName);
+        const file = existing.hasNext() ? existing.next().setContent(content) : folder.createFile(fileName, content, 'application/json');
+        StructuredLogger.getDefault().info(`Fixtures guardados en Drive: ${fileName} (${this.fixtures.length} llamadas).`);
+        return file.getId();
+    }
+}
+
+/**
+ * @class ReplayTransport
+ * @description Responde con fixtures grabados, sin red. Una solicitud sin fixture que la cubra lanza ReplayMismatchError,
+ * de modo que los cambios en la orquestación (más llamadas, payloads distintos) se detectan como fallos.
+ */
+class ReplayTransport {
+
+    /**
+     * @param {Array<Object>} fixtures - Fixtures grabados por RecordingTransport.
+     * @param {Object} [options={}] - Opciones.
+     * @param {string} [options.mode='sequence'] - 'sequence': las respuestas se sirven en orden y solo se comprueba la URL.
+     * 'match': se busca el primer fixture sin usar con el mismo método, URL y payload.
+     */
+    constructor(fixtures, options = {}) {
+        if (!Array.isArray(fixtures)) {
+            throw new Error("Los fixtures deben ser un array.");
+        }
+        if (['sequence', 'match'].indexOf(options.mode || 'sequence') === -1) {
+            throw new Error(`Modo de reproducción desconocido: "${options.mode}". Usa 'sequence' o 'match'.`);
+        }
+        this.fixtures = fixtures;
+        this.mode = options.mode || 'sequence';
+        this.used = fixtures.map(() => false);
+        this.requests = [];
+    }
+
+    /**
+     * Crea un transporte a partir de un archivo JSON de Drive.
+     * @param {string} fileId - ID del archivo de fixtures.
+     * @param {Object} [options={}] - Opciones del constructor.
+     * @returns {ReplayTransport}
+     */
+    static fromDriveFile(fileId, options = {}) {
+        return new ReplayTransport(JSON.parse(DriveApp.getFileById(fileId).getBlob().getDataAsString()), options);
+    }
+
+    fetch(url, options = {}) {
+        const request = HttpFixtures.describeRequest(url, options);
+        this.requests.push(request);
+        const index = this.mode === 'match' ? this._findMatch(request) : this.used.indexOf(false);
+
+        if (index === -1) {
+            throw new ReplayMismatchError(`No hay fixture para la solicitud ${this.requests.length}: ${request.method.toUpperCase()} ${request.url}`,
+                { requestIndex: this.requests.length, request: request });
+        }
+        const fixture = this.fixtures[index];
+        if (this.mode === 'sequence' && fixture.request.url !== request.url) {
+            throw new ReplayMismatchError(`La solicitud ${this.requests.length} no coincide con el fixture: se esperaba ${fixture.request.url} ` +
+                `y se recibió ${request.url}.`, { requestIndex: this.requests.length, request: request, expected: fixture.request });
+        }
+        this.used[index] = true;
+        return new FixtureResponse(fixture.response);
+    }
+
+    /**
+     * @returns {number} Fixtures que aún no se han servido.
+     */
+    remaining() {
+        return this.used.filter(used => !used).length;
+    }
+
+    /**
+     * Comprueba que se hayan servido todos los fixtures (el flujo hizo todas las llamadas grabadas).
+     * @throws {ReplayMismatchError} Si quedan fixtures sin usar.
+     */
+    assertAllUsed() {
+        const remaining = this.remaining();
+        if (remaining > 0) {
+            throw new ReplayMismatchError(`Quedan ${remaining} fixtures sin usar: el flujo hizo menos llamadas de las grabadas.`);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _findMatch(request) {
+        const key = HttpFixtures.requestKey(request);
+        for (let i = 0; i < this.fixtures.length; i++) {
+            if (!this.used[i] && HttpFixtures.requestKey(this.fixtures[i].request) === key) {
+                return i;
+            }
+        }
+        return -1;
+    }
+}
+
+/**
+ * @class ReplayMismatchError
+ * @description Las solicitudes de un flujo reproducido no coinciden con los fixtures. No es un error de la API: los
+ * reintentos y las llamadas auxiliares lo propagan sin envolverlo, para que la prueba falle con el motivo real.
+ */
+class ReplayMismatchError extends Error {
+
+    /**
+     * @param {string} message - Descripción de la discrepancia.
+     * @param {Object} [details={}] - Detalles.
+     * @param {number} [details.requestIndex] - Número de la solicitud (desde 1).
+     * @param {Object} [details.request] - Solicitud recibida (`{ method, url, payload }`).
+     * @param {Object} [details.expected] - Solicitud grabada en el fixture que le correspondía.
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'ReplayMismatchError';
+        this.requestIndex = details.requestIndex !== undefined ? details.requestIndex : null;
+        this.request = details.request || null;
+        this.expected = details.expected || null;
+    }
+}
+
+/**
+ * @class FixtureResponse
+ * @description Respuesta reproducida con la interfaz de HTTPResponse de UrlFetchApp.
+ */
+class FixtureResponse {
+
+    /**
+     * @param {{code: number, headers: Object, body: string}} response
+     */
+    constructor(response) {
+        this.code = response.code;
+        this.headers = response.headers || {};
+        this.body = response.body || '';
+    }
+
+    getResponseCode() {
+        return this.code;
+    }
+
+    getContentText() {
+        return this.body;
+    }
+
+    getHeaders() {
+        return this.headers;
+    }
+
+    getAllHeaders() {
+        return this.headers;
+    }
+}
+
+/**
+ * @class HttpFixtures
+ * @description Utilidades compartidas por los transportes de grabación y reproducción.
+ */
+class HttpFixtures {
+
+    /**
+     * Descripción serializable de una solicitud, sin la clave API y con el payload JSON interpretado.
+     * @param {string} url
+     * @param {Object} options - Opciones de UrlFetchApp.fetch.
+     * @returns {{method: string, url: string, payload: *}}
+     */
+    static describeRequest(url, options) {
+        let payload = options.payload !== undefined ? options.payload : null;
+        if (typeof payload === 'string') {
+            try {
+                payload = JSON.parse(payload);
+            } catch (e) {
+                // Payload de texto no JSON; se conserva tal cual.
+            }
+        } else if (payload !== null && typeof payload === 'object' && typeof payload.length === 'number') {
+            payload = `(binario: ${payload.length} bytes)`;
+        }
+        return {
+            method: (options.method || 'get').toLowerCase(),
+            url: HttpFixtures.redactUrl(url),
+            payload: payload
+        };
+    }
+
+    /**
+     * Sustituye el valor del parámetro `key` de una URL.
+     * @param {string} url
+     * @returns {string}
+     */
+    static redactUrl(url) {
+        return String(url).replace(/([?&]key=)[^&]*/, '$1REDACTED');
+    }
+
+    /**
+     * Clave canónica de una solicitud, con las propiedades de los objetos ordenadas.
+     * @param {Object} request - Resultado de `describeRequest`.
+     * @returns {string}
+     */
+    static requestKey(request) {
+        return JSON.stringify([request.method, request.url, HttpFixtures._canonical(request.payload)]);
+    }
+
+    /**
+     * @private
+     */
+    static _canonical(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => HttpFixtures._canonical(item));
+        }
+        if (value && typeof value === 'object') {
+            const sorted = {};
+            Object.keys(value).sort().forEach(key => {
+                sorted[key] = HttpFixtures._canonical(value[key]);
+            });
+            return sorted;
+        }
+        return value;
+    }
+}
@@ -0,0 +1,338 @@
+/**
+ * Partes multimedia (imágenes, PDF, audio, etc.) en los mensajes del usuario.
+ */
+
+/**
+ * @class MediaParts
+ * @description Convierte el contenido multimedia de los mensajes del usuario en partes persistibles.
+ *
+ * `addMessage('user', content)` acepta, además de texto, un array que mezcle:
+ *   - Textos: 'texto' o `{ text }`.
+ *   - Blobs de Apps Script (ej. `UrlFetchApp.fetch(url).getBlob()`, `Utilities.newBlob(...)`).
+ *   - Archivos de Drive: `{ driveFileId: 'ID' }` o un objeto File de DriveApp.
+ *   - Datos en base64: `{ data: 'iVBORw0...', mimeType: 'image/png' }` (o `{ inlineData: { data, mimeType } }`).
+ *   - Archivos ya subidos a la Files API de Gemini: `{ fileUri, mimeType }`.
+ *
+ * El contexto persistido solo guarda referencias, nunca el contenido en base64:
+ *   - `{ driveFile: { fileId, mimeType, name, sizeBytes } }` para archivos de Drive (los documentos de Google, con
+ *     `sizeBytes` nulo y `maxBytes`). Los Blobs y los datos en base64 se guardan como archivo en `media.driveFolderId` si
+ *     se configuró esa carpeta.
+ *   - `{ fileData: { fileUri, mimeType } }` para archivos de la Files API. Sin carpeta de Drive, los Blobs y los datos en
+ *     base64 se suben a la Files API; como esos archivos caducan a las 48 horas, la parte guarda también
+ *     `expirationTime` y, una vez caducada, se envía como una nota de texto en lugar del archivo. Para conservar los
+ *     adjuntos en conversaciones largas, configura `driveFolderId`.
+ *
+ * Al enviar, el proveedor resuelve las referencias de Drive: como `inlineData` si el archivo no supera su `inlineMaxBytes`,
+ * o subiéndolo a la Files API y enviándolo como `fileData` si es mayor.
+ */
+class MediaParts {
+
+    /**
+     * Opciones por defecto de `options.media` de GeminiChatAPI.
+     * - maxBytes: tamaño máximo de un archivo adjunto. 50 MB es el límite de carga útil de UrlFetchApp.
+     * - driveFolderId: carpeta donde se guardan los Blobs y datos en base64 adjuntados. Sin carpeta se suben a la Files API.
+     */
+    static get DEFAULT_OPTIONS() {
+        return {
+            maxBytes: 50 * 1024 * 1024,
+            driveFolderId: null
+        };
+    }
+
+    /**
+     * Tamaño máximo por defecto de un archivo enviado como `inlineData`. La API limita la solicitud completa a 20 MB y el
+     * base64 ocupa un tercio más, por lo que se reserva margen para el resto del historial.
+     */
+    static get DEFAULT_INLINE_MAX_BYTES() {
+        return 4 * 1024 * 1024;
+    }
+
+    /**
+     * Indica si el contenido de un mensaje de usuario es multimodal (un array de partes o una sola parte no textual).
+     * @param {*} content
+     * @returns {boolean}
+     */
+    static isMediaContent(content) {
+        return Array.isArray(content) || MediaParts._isBlob(content) || MediaParts._isDriveFile(content) ||
+            (content !== null && typeof content === 'object' &&
+                (content.driveFileId || content.fileUri || content.inlineData || (content.data && content.mimeType)));
+    }
+
+    /**
+     * Convierte el contenido de un mensaje de usuario en partes persistibles (texto y referencias).
+     * @param {*} content - Texto, parte o array de partes (ver la descripción del archivo).
+     * @param {Object} options - Opciones `media` de la instancia (`maxBytes`, `driveFolderId`).
+     * @param {Object} [uploader] - Proveedor con `uploadFile(blob)`, usado si no hay carpeta de Drive.
+     * @returns {Array<Object>} Las partes del mensaje.
+     * @throws {Error} Si un archivo supera `maxBytes`, falta el tipo MIME o no hay dónde guardar un Blob.
+     */
+    static toStoredParts(content, options, uploader = null) {
+        const items = Array.isArray(content) ? content : [content];
+        return items.map(item => {
+            if (typeof item === 'string') {
+                return { text: item };
+            }
+            if (item && typeof item.text === 'string') {
+                return { text: item.text };
+            }
+            if (MediaParts._isDriveFile(item)) {
+                return MediaParts.driveFileReference(item.getId(), options);
+            }
+            if (item && item.driveFileId) {
+                return MediaParts.driveFileReference(item.driveFileId, options);
+            }
+            if (item && item.fileUri) {
+                if (!item.mimeType) {
+                    throw new Error(`Falta el tipo MIME del archivo ${item.fileUri}.`);
+                }
+                return { fileData: { fileUri: item.fileUri, mimeType: item.mimeType } };
+            }
+
+            let blob;
+            if (MediaParts._isBlob(item)) {
+                blob = item;
+            } else if (item && (item.inlineData || item.data)) {
+                const inline = item.inlineData || item;
+                if (!inline.mimeType) {
+                    throw new Error("Los datos en base64 requieren 'mimeType'.");
+                }
+                MediaParts._checkSize(MediaParts.base64Size(inline.data), options, 'Los datos en base64');
+                blob = Utilities.newBlob(Utilities.base64Decode(inline.data), inline.mimeType, item.name || 'adjunto');
+            } else {
+                throw new Error(`Parte de mensaje no reconocida: ${JSON.stringify(item)}`);
+            }
+            return MediaParts._storeBlob(blob, options, uploader);
+        });
+    }
+
+    /**
+     * Crea la referencia a un archivo de Drive, comprobando su tamaño.
+     * Los documentos de Google (Docs, Sheets, Slides) se envían convertidos a PDF. Como `getSize()` devuelve 0 para ellos
+     * y exportarlos solo para medirlos es lento, su tamaño queda sin conocer (`sizeBytes` nulo) y la referencia guarda
+     * `maxBytes` para comprobarlo al enviarlos, cuando se exportan (ver `driveFileBlob`).
+     * @param {string} fileId - ID del archivo.
+     * @param {Object} options - Opciones `media` (`maxBytes`).
+     * @returns {{driveFile: {fileId: string, mimeType: string, name: string, sizeBytes: (number|null), maxBytes: (number|undefined)}}}
+     */
+    static driveFileReference(fileId, options) {
+        const file = DriveApp.getFileById(fileId);
+        if (file.getMimeType().indexOf('application/vnd.google-apps.') === 0) {
+            const maxBytes = options.maxBytes || MediaParts.DEFAULT_OPTIONS.maxBytes;
+            return { driveFile: { fileId: fileId, mimeType: 'application/pdf', name: file.getName(), sizeBytes: null, maxBytes: maxBytes } };
+        }
+        const sizeBytes = file.getSize();
+        MediaParts._checkSize(sizeBytes, options, `El archivo "${file.getName()}"`);
+        return { driveFile: { fileId: fileId, mimeType: file.getMimeType(), name: file.getName(), sizeBytes: sizeBytes } };
+    }
+
+    /**
+     * Contenido de un archivo de Drive referenciado con `driveFileReference`, para enviarlo. Los documentos de Google se
+     * exportan a PDF y se comprueba su tamaño contra el `maxBytes` de la referencia.
+     * @param {Object} reference - La parte `driveFile`.
+     * @param {GoogleAppsScript.Drive.File} [file] - El archivo, si ya se obtuvo.
+     * @returns {GoogleAppsScript.Base.Blob}
+     * @throws {Error} Si el PDF exportado supera `maxBytes`.
+     */
+    static driveFileBlob(reference, file = null) {
+        const driveFile = file || DriveApp.getFileById(reference.fileId);
+        if (reference.sizeBytes !== null && reference.sizeBytes !== undefined) {
+            return driveFile.getBlob();
+        }
+        const blob = driveFile.getAs(reference.mimeType);
+        MediaParts._checkSize(blob.getBytes().length, { maxBytes: reference.maxBytes }, `El archivo "${reference.name}" exportado a PDF`);
+        return blob;
+    }
+
+    /**
+     * Indica si una parte es multimedia (referencia o datos).
+     * @param {Object} part
+     * @returns {boolean}
+     */
+    static isMediaPart(part) {
+        return !!(part && (part.driveFile || part.fileData || part.inlineData));
+    }
+
+    /**
+     * Indica si una parte `fileData` subida por MediaParts caducó o va a caducar en los próximos minutos
+     * (`EXPIRATION_MARGIN_MS`). Las partes sin `expirationTime` (URIs indicadas por el usuario) no caducan.
+     * @param {Object} part
+     * @returns {boolean}
+     */
+    static isExpired(part) {
+        if (!part || !part.fileData || !part.expirationTime) {
+            return false;
+        }
+        const expiresAt = Date.parse(part.expirationTime);
+        return !isNaN(expiresAt) && expiresAt - MediaParts.EXPIRATION_MARGIN_MS <= Date.now();
+    }
+
+    /**
+     * Antelación con la que se da por caducado un archivo de la Files API, para que no caduque durante el envío.
+     */
+    static get EXPIRATION_MARGIN_MS() {
+        return 10 * 60 * 1000;
+    }
+
+    /**
+     * Descripción breve de una parte multimedia, para transcripciones y logs.
+     * @param {Object} part
+     * @returns {string}
+     */
+    static describe(part) {
+        if (part.driveFile) {
+            return `archivo ${part.driveFile.name} (${part.driveFile.mimeType})`;
+        }
+        if (part.fileData) {
+            return `archivo ${part.fileData.fileUri} (${part.fileData.mimeType})`;
+        }
+        return `archivo (${part.inlineData.mimeType})`;
+    }
+
+    /**
+     * Bytes que ocupan unos datos en base64 una vez decodificados.
+     * @param {string} base64
+     * @returns {number}
+     */
+    static base64Size(base64) {
+        const clean = String(base64 || '').replace(/\s/g, '');
+        const padding = clean.endsWith('==') ? 2 : (clean.endsWith('=') ? 1 : 0);
+        return Math.floor(clean.length * 3 / 4) - padding;
+    }
+
+    /**
+     * Guarda un Blob en la carpeta de Drive configurada o lo sube a la Files API.
+     * @private
+     */
+    static _storeBlob(blob, options, uploader) {
+        MediaParts._checkSize(blob.getBytes().length, options, `El archivo "${blob.getName() || 'adjunto'}"`);
+        if (!blob.getContentType()) {
+            throw new Error(`Falta el tipo MIME del archivo "${blob.getName() || 'adjunto'}".`);
+        }
+        if (options.driveFolderId) {
+            const file = DriveApp.getFolderById(options.driveFolderId).createFile(blob);
+            StructuredLogger.getDefault().info(`Adjunto guardado en Drive: ${file.getName()} (${file.getId()}).`);
+            return MediaParts.driveFileReference(file.getId(), options);
+        }
+        if (uploader && typeof uploader.uploadFile === 'function') {
+            const uploaded = uploader.uploadFile(blob);
+            return { fileData: { fileUri: uploaded.uri, mimeType: uploaded.mimeType }, expirationTime: uploaded.expirationTime };
+        }
+        throw new Error("No hay dónde guardar el adjunto: configura options.media.driveFolderId " +
+            "(el proveedor actual no admite la Files API).");
+    }
+
+    /**
+     * @private
+     */
+    static _checkSize(sizeBytes, options, label) {
+        const maxBytes = options.maxBytes || MediaParts.DEFAULT_OPTIONS.maxBytes;
+        if (sizeBytes > maxBytes) {
+            throw new Error(`${label} ocupa ${sizeBytes} bytes y supera el máximo de ${maxBytes} bytes.`);
+        }
+    }
+
+    /**
+     * @private
+     */
+    static _isBlob(value) {
+        return !!value && typeof value.getBytes === 'function' && typeof value.getContentType === 'function';
+    }
+
+    /**
+     * @private
+     */
+    static _isDriveFile(value) {
+        return !!value && typeof value.getId === 'function' && typeof value.getBlob === 'function';
+    }
+}
+
+/**
+ * @class GeminiFilesApi
+ * @description Sube archivos a la Files API de Gemini (carga reanudable en dos pasos) y espera a que estén listos.
+ * Los archivos subidos se referencian con `fileData.fileUri` y caducan a las 48 horas.
+ */
+class GeminiFilesApi {
+
+    /**
+     * @param {string} apiKey - Tu clave API de Gemini.
+     * @param {Object} [options={}] - Opciones.
+     * @param {string} [options.baseUrl='https://generativelanguage.googleapis.com'] - Origen de la API.
+     * @param {number} [options.processingTimeoutMs=60000] - Espera máxima a que un archivo pase a ACTIVE (ej. vídeos).
+     * @param {Object} [options.transport] - Transporte HTTP (ver HttpTransport.js). Por defecto, UrlFetchApp.
+     */
+    constructor(apiKey, options = {}) {
+        if (!apiKey) {
+            throw new Error("La clave API de Gemini es requerida.");
+        }
+        this.apiKey = apiKey;
+        this.baseUrl = (options.baseUrl || 'https://generativelanguage.googleapis.com').replace(/\/+$/, '');
+        this.processingTimeoutMs = options.processingTimeoutMs || 60000;
+        this.transport = options.transport || null;
+    }
+
+    /**
+     * Sube un Blob y espera a que la API lo procese.
+     * @param {GoogleAppsScript.Base.Blob} blob - El archivo.
+     * @returns {{name: string, uri: string, mimeType: string, sizeBytes: number, expirationTime: string}}
+     * @throws {GeminiApiError} Si la carga o el procesamiento fallan.
+     */
+    upload(blob) {
+        const bytes = blob.getBytes();
+        const startResponse = this._fetch(`${this.baseUrl}/upload/v1beta/files?key=${this.apiKey}`, {
+            method: 'post',
+            contentType: 'application/json',
+            headers: {
+                'X-Goog-Upload-Protocol': 'resumable',
+                'X-Goog-Upload-Command': 'start',
+                'X-Goog-Upload-Header-Content-Length': String(bytes.length),
+                'X-Goog-Upload-Header-Content-Type': blob.getContentType()
+            },
+            payload: JSON.stringify({ file: { displayName: blob.getName() || 'adjunto' } })
+        });
+        const headers = startResponse.getAllHeaders ? startResponse.getAllHeaders() : startResponse.getHeaders();
+        const uploadUrlHeader = Object.keys(headers).filter(name => name.toLowerCase() === 'x-goog-upload-url')[0];
+        if (!uploadUrlHeader) {
+            throw new GeminiApiError("La Files API no devolvió la URL de carga.", { errorBody: startResponse.getContentText() });
+        }
+
+        const uploadResponse = this._fetch(headers[uploadUrlHeader], {
+            method: 'post',
+            headers: { 'X-Goog-Upload-Offset': '0', 'X-Goog-Upload-Command': 'upload, finalize' },
+            payload: bytes
+        });
+        let file = JSON.parse(uploadResponse.getContentText()).file;
+        StructuredLogger.getDefault().info(`Archivo subido a la Files API: ${file.name} (${bytes.length} bytes, estado ${file.state}).`);
+
+        const startTime = Date.now();
+        while (file.state === 'PROCESSING') {
+            if (Date.now() - startTime > this.processingTimeoutMs) {
+                throw new GeminiApiError(`El archivo ${file.name} sigue en proceso tras ${this.processingTimeoutMs} ms.`);
+            }
+            Utilities.sleep(2000);
+            file = JSON.parse(this._fetch(`${this.baseUrl}/v1beta/${file.name}?key=${this.apiKey}`, { method: 'get' }).getContentText());
+        }
+        if (file.state === 'FAILED') {
+            throw new GeminiApiError(`La Files API no pudo procesar el archivo ${file.name}.`, { errorBody: file });
+        }
+        return {
+            name: file.name,
+            uri: file.uri,
+            mimeType: file.mimeType,
+            sizeBytes: Number(file.sizeBytes),
+            expirationTime: file.expirationTime
+        };
+    }
+
+    /**
+     * @private
+     */
+    _fetch(url, options) {
+        const response = (this.transport || UrlFetchApp).fetch(url, Object.assign({ muteHttpExceptions: true }, options));
+        const responseCode = response.getResponseCode();
+        if (responseCode < 200 || responseCode >= 300) {
+            StructuredLogger.getDefault().error(`Error de la Files API: código ${responseCode}.`, { body: response.getContentText() });
+            throw GeminiApiError.fromResponse(responseCode, response.getContentText());
+        }
+        return response;
+    }
+}
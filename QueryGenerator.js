@@ -0,0 +1,224 @@
+/**
+ * @class QueryGenerator
+ * @description Convierte preguntas en lenguaje natural en consultas sobre un QuerySchema: expresiones QUERY() de Google
+ * Sheets o SELECT de SQL. Cada consulta generada se valida con QueryValidator (solo lectura, tablas y columnas existentes)
+ * y, si se configuró `executeQuery`, se ejecuta. Si la validación o la ejecución fallan, el error se devuelve al modelo para
+ * que corrija la consulta.
+ *
+ * Usa el historial del GeminiChatAPI recibido, de modo que las correcciones ven los intentos anteriores. Conviene dedicarle
+ * una instancia (o una sesión) propia.
+ */
+class QueryGenerator {
+
+    /**
+     * @param {GeminiChatAPI} chatClient - Cliente de chat usado para generar las consultas.
+     * @param {QuerySchema} schema - Esquema de los datos.
+     * @param {Object} [options={}] - Opciones.
+     * @param {number} [options.maxRepairAttempts=2] - Correcciones permitidas tras el primer intento.
+     * @param {Function} [options.executeQuery] - `(query, schema) => rows`. Ejecuta la consulta validada; si lanza un error,
+     * el mensaje se envía al modelo como una corrección más. Para 'sheets' puede usarse `SheetsQueryRunner`.
+     */
+    constructor(chatClient, schema, options = {}) {
+        if (!chatClient) {
+            throw new Error("Se requiere un cliente de chat.");
+        }
+        if (!(schema instanceof QuerySchema)) {
+            throw new Error("Se requiere un QuerySchema.");
+        }
+        this.chat = chatClient;
+        this.schema = schema;
+        this.maxRepairAttempts = options.maxRepairAttempts !== undefined ? options.maxRepairAttempts : 2;
+        this.executeQuery = options.executeQuery || null;
+    }
+
+    /**
+     * Esquema de la respuesta estructurada que se pide al modelo.
+     */
+    static get RESPONSE_SCHEMA() {
+        return {
+            type: "object",
+            properties: {
+                query: { type: "string", description: "La consulta, sin explicaciones ni bloques de código." },
+                explanation: { type: "string", description: "Explicación breve de la consulta para el usuario." }
+            },
+            required: ["query", "explanation"]
+        };
+    }
+
+    /**
+     * Genera (y opcionalmente ejecuta) la consulta que responde a una pregunta.
+     * @param {string} question - La pregunta del usuario.
+     * @param {Object} [options={}] - Opciones.
+     * @param {Object} [options.apiOptions={}] - Opciones para sendMessage (ej. temperature).
+     * @returns {{ok: boolean, query: (string|null), formula: (string|null), explanation: (string|null), rows: (Array|undefined),
+     * errors: Array<string>, attempts: number}} `formula` es la fórmula =QUERY(...) lista para una celda (solo en 'sheets').
+     * Si `ok` es false, `query` contiene el último intento y `errors` los motivos del rechazo.
+     */
+    generate(question, options = {}) {
+        if (!question || !question.trim()) {
+            throw new Error("La pregunta está vacía.");
+        }
+        let prompt = this._buildPrompt(question);
+        let query = null;
+        let explanation = null;
+        let errors = [];
+
+        for (let attempt = 1; attempt <= this.maxRepairAttempts + 1; attempt++) {
+            const structured = this.chat.generateStructured(prompt, QueryGenerator.RESPONSE_SCHEMA, {
+                maxRepairAttempts: 1,
+                apiOptions: options.apiOptions || {}
+            });
+            if (!structured.ok) {
+                errors = structured.errors.map(error => `${error.path}: ${error.message}`);
+                StructuredLogger.getDefault().warn(`QueryGenerator: respuesta no válida en el intento ${attempt}: ${errors.join(' | ')}`);
+                prompt = this._buildRepairPrompt(query, errors);
+                continue;
+            }
+
+            query = QueryGenerator.cleanQuery(structured.data.query);
+            explanation = structured.data.explanation;
+            errors = QueryValidator.validate(query, this.schema).errors;
+
+            let rows;
+            if (errors.length === 0 && this.executeQuery) {
+                try {
+                    rows = this.executeQuery(query, this.schema);
+                } catch (e) {
+                    errors = [`Error al ejecutar la consulta: ${e.message}`];
+                }
+            }
+
+            if (errors.length === 0) {
+                const result = {
+                    ok: true,
+                    query: query,
+                    formula: this.schema.dialect === 'sheets' ? QueryGenerator.toFormula(query, this.schema) : null,
+                    explanation: explanation,
+                    errors: [],
+                    attempts: attempt
+                };
+                if (rows !== undefined) {
+                    result.rows = rows;
+                }
+                return result;
+            }
+
+            StructuredLogger.getDefault().warn(`QueryGenerator: consulta rechazada en el intento ${attempt}: ${errors.join(' | ')}`);
+            prompt = this._buildRepairPrompt(query, errors);
+        }
+
+        return {
+            ok: false,
+            query: query,
+            formula: null,
+            explanation: explanation,
+            errors: errors,
+            attempts: this.maxRepairAttempts + 1
+        };
+    }
+
+    /**
+     * Construye la fórmula =QUERY() para una consulta de Sheets, escapando las comillas dobles.
+     * @param {string} query - Texto de la consulta.
+     * @param {QuerySchema} schema - Esquema 'sheets'.
+     * @returns {string}
+     */
+    static toFormula(query, schema) {
+        return `=QUERY(${schema.tables[0].range}, "${query.replace(/"/g, '""')}", 1)`;
+    }
+
+    /**
+     * Quita bloques de código Markdown, una fórmula =QUERY() envolvente y espacios sobrantes.
+     * @param {string} query
+     * @returns {string}
+     */
+    static cleanQuery(query) {
+        let clean = String(query || '').trim()
+            .replace(/^```[a-z]*\s*/i, '')
+            .replace(/\s*```$/, '')
+            .trim();
+        const formula = /^=?\s*QUERY\s*\([^,]+,\s*"([\s\S]*)"\s*(?:,\s*-?\d+\s*)?\)$/i.exec(clean);
+        if (formula) {
+            clean = formula[1].replace(/""/g, '"').trim();
+        }
+        return clean;
+    }
+
+    /**
+     * @private
+     */
+    _buildPrompt(question) {
+        const instructions = this.schema.dialect === 'sheets'
+            ? "Escribe el texto de consulta para la función QUERY() de Google Sheets (lenguaje de consultas de la API de " +
+              "Visualización). Referencia las columnas por su letra (A, B, ...), nunca por el encabezado. Usa comillas simples " +
+              "para los textos y date 'yyyy-mm-dd' para las fechas. Devuelve solo el texto de la consulta, sin la fórmula =QUERY()."
+            : "Escribe una única sentencia SELECT de SQL estándar. Usa solo las tablas y columnas del esquema y AS para los alias. " +
+              "No modifiques datos: nada de INSERT, UPDATE, DELETE ni DDL.";
+        return `${instructions}\n\nEsquema:\n${this.schema.describe()}\n\nPregunta: ${question}`;
+    }
+
+    /**
+     * @private
+     */
+    _buildRepairPrompt(query, errors) {
+        const previous = query ? `La consulta anterior fue rechazada:\n${query}\n\n` : "La respuesta anterior fue rechazada.\n\n";
+        return `${previous}Errores:\n${errors.map(error => `- ${error}`).join('\n')}\n\n` +
+            "Corrige la consulta usando solo las tablas y columnas del esquema.";
+    }
+}
+
+/**
+ * @class SheetsQueryRunner
+ * @description Ejecuta consultas QUERY() escribiendo la fórmula en una pestaña temporal de la misma hoja de cálculo y
+ * leyendo el resultado. Se usa como `executeQuery` de QueryGenerator para que los errores de la fórmula (ej. #VALUE!)
+ * vuelvan al modelo como correcciones.
+ */
+class SheetsQueryRunner {
+
+    /**
+     * @param {string} spreadsheetId - ID de la hoja de cálculo que contiene los datos.
+     * @param {Object} [options={}] - Opciones.
+     * @param {number} [options.maxRows=500] - Filas máximas que se leen del resultado.
+     */
+    constructor(spreadsheetId, options = {}) {
+        if (!spreadsheetId) {
+            throw new Error("El ID de la hoja de cálculo es requerido.");
+        }
+        this.spreadsheetId = spreadsheetId;
+        this.maxRows = options.maxRows || 500;
+    }
+
+    /**
+     * @param {string} query - Texto de la consulta validada.
+     * @param {QuerySchema} schema - Esquema 'sheets'.
+     * @returns {Array<Array<string>>} Las filas del resultado (valores mostrados), con la fila de encabezados.
+     */
+    run(query, schema) {
+        const spreadsheet = SpreadsheetApp.openById(this.spreadsheetId);
+        const sheet = spreadsheet.insertSheet(`_query_${Utilities.getUuid().substring(0, 8)}`);
+        try {
+            sheet.getRange(1, 1).setFormula(QueryGenerator.toFormula(query, schema));
+            SpreadsheetApp.flush();
+            const first = sheet.getRange(1, 1).getDisplayValue();
+            if (/^#[A-Z0-9\/!?]+/.test(first)) {
+                throw new Error(`QUERY() devolvió ${first}. Revisa los tipos de las columnas y la sintaxis de la consulta.`);
+            }
+            const lastRow = Math.min(sheet.getLastRow(), this.maxRows);
+            const lastColumn = sheet.getLastColumn();
+            if (lastRow === 0 || lastColumn === 0) {
+                return [];
+            }
+            return sheet.getRange(1, 1, lastRow, lastColumn).getDisplayValues();
+        } finally {
+            spreadsheet.deleteSheet(sheet);
+        }
+    }
+
+    /**
+     * Devuelve una función compatible con la opción `executeQuery` de QueryGenerator.
+     * @returns {Function}
+     */
+    asExecutor() {
+        return (query, schema) => this.run(query, schema);
+    }
+}
@@ -0,0 +1,192 @@
+/**
+ * @class QuerySchema
+ * @description Describe los datos sobre los que QueryGenerator genera consultas: tablas, columnas, tipos y filas de ejemplo.
+ * Dialectos soportados:
+ *   - 'sheets': la función QUERY() de Google Sheets. Las columnas se identifican por su letra (A, B, ...).
+ *   - 'sql': SELECT de SQL estándar sobre tablas definidas con CREATE TABLE o a mano.
+ */
+class QuerySchema {
+
+    /**
+     * @param {string} dialect - 'sheets' o 'sql'.
+     * @param {Array<Object>} tables - Tablas: `{ name, columns: [{ name, type, id? }], sampleRows?: Array<Array<*>>, range? }`.
+     * En 'sheets', `id` es la letra de la columna y `range` el rango A1 de los datos (ej. "'Ventas'!A1:F").
+     */
+    constructor(dialect, tables) {
+        if (QuerySchema.DIALECTS.indexOf(dialect) === -1) {
+            throw new Error(`Dialecto desconocido: "${dialect}". Usa: ${QuerySchema.DIALECTS.join(', ')}.`);
+        }
+        if (!Array.isArray(tables) || tables.length === 0) {
+            throw new Error("El esquema debe tener al menos una tabla.");
+        }
+        this.dialect = dialect;
+        this.tables = tables.map(table => Object.assign({ sampleRows: [] }, table));
+    }
+
+    static get DIALECTS() {
+        return ['sheets', 'sql'];
+    }
+
+    /**
+     * Crea el esquema de una pestaña de Google Sheets a partir de su fila de encabezados y algunas filas de ejemplo.
+     * @param {string} spreadsheetId - ID de la hoja de cálculo.
+     * @param {string} [sheetName] - Nombre de la pestaña. Por defecto, la primera.
+     * @param {Object} [options={}] - Opciones.
+     * @param {number} [options.sampleRowCount=3] - Filas de ejemplo que se muestran al modelo.
+     * @returns {QuerySchema}
+     */
+    static fromSheet(spreadsheetId, sheetName = null, options = {}) {
+        const sampleRowCount = options.sampleRowCount !== undefined ? options.sampleRowCount : 3;
+        const spreadsheet = SpreadsheetApp.openById(spreadsheetId);
+        const sheet = sheetName ? spreadsheet.getSheetByName(sheetName) : spreadsheet.getSheets()[0];
+        if (!sheet) {
+            throw new Error(`No se encontró la pestaña "${sheetName}" en la hoja ${spreadsheetId}.`);
+        }
+        const lastColumn = sheet.getLastColumn();
+        if (lastColumn === 0) {
+            throw new Error(`La pestaña "${sheet.getName()}" está vacía.`);
+        }
+        const rowCount = Math.min(sheet.getLastRow(), sampleRowCount + 1);
+        const values = sheet.getRange(1, 1, rowCount, lastColumn).getValues();
+        const headers = values[0];
+        const samples = values.slice(1);
+
+        const columns = headers.map((header, index) => ({
+            id: QuerySchema.columnLetter(index),
+            name: String(header || QuerySchema.columnLetter(index)),
+            type: QuerySchema._inferType(samples.map(row => row[index]))
+        }));
+        const lastLetter = QuerySchema.columnLetter(lastColumn - 1);
+        return new QuerySchema('sheets', [{
+            name: sheet.getName(),
+            range: `'${sheet.getName().replace(/'/g, "''")}'!A1:${lastLetter}`,
+            columns: columns,
+            sampleRows: samples.map(row => row.map(cell => cell instanceof Date ? Utilities.formatDate(cell, 'UTC', 'yyyy-MM-dd') : cell))
+        }]);
+    }
+
+    /**
+     * Crea un esquema SQL a partir de sentencias CREATE TABLE.
+     * @param {string} ddl - Una o varias sentencias CREATE TABLE.
+     * @returns {QuerySchema}
+     */
+    static fromSqlDefinitions(ddl) {
+        const tables = [];
+        const pattern = /CREATE\s+(?:TEMP(?:ORARY)?\s+)?TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?([\w."`\[\]]+)\s*\(/gi;
+        let match;
+        while ((match = pattern.exec(ddl)) !== null) {
+            const bodyStart = pattern.lastIndex;
+            let depth = 1;
+            let index = bodyStart;
+            while (index < ddl.length && depth > 0) {
+                if (ddl[index] === '(') depth++;
+                if (ddl[index] === ')') depth--;
+                index++;
+            }
+            const body = ddl.substring(bodyStart, index - 1);
+            const columns = QuerySchema._splitTopLevel(body)
+                .map(definition => definition.trim())
+                .filter(definition => definition && !/^(PRIMARY|FOREIGN|CONSTRAINT|UNIQUE|KEY|INDEX|CHECK)\b/i.test(definition))
+                .map(definition => {
+                    const parts = definition.split(/\s+/);
+                    return { name: QuerySchema.unquoteIdentifier(parts[0]), type: (parts[1] || '').toLowerCase() };
+                });
+            const qualifiedName = QuerySchema.unquoteIdentifier(match[1]);
+            tables.push({ name: qualifiedName.split('.').pop(), columns: columns });
+            pattern.lastIndex = index;
+        }
+        if (tables.length === 0) {
+            throw new Error("No se encontraron sentencias CREATE TABLE en la definición.");
+        }
+        return new QuerySchema('sql', tables);
+    }
+
+    /**
+     * Busca una tabla por nombre, sin distinguir mayúsculas.
+     * @param {string} name
+     * @returns {Object|null}
+     */
+    getTable(name) {
+        const lower = String(name).toLowerCase();
+        return this.tables.filter(table => table.name.toLowerCase() === lower)[0] || null;
+    }
+
+    /**
+     * Descripción en texto del esquema, para incluir en el prompt del modelo.
+     * @returns {string}
+     */
+    describe() {
+        return this.tables.map(table => {
+            const header = this.dialect === 'sheets'
+                ? `Hoja "${table.name}" (rango ${table.range}). Columnas (letra = encabezado, tipo):`
+                : `Tabla ${table.name}. Columnas (nombre, tipo):`;
+            const columns = table.columns.map(column => this.dialect === 'sheets'
+                ? `  ${column.id} = ${column.name} (${column.type})`
+                : `  ${column.name} (${column.type || 'sin tipo'})`).join('\n');
+            const samples = table.sampleRows.length > 0
+                ? `\nFilas de ejemplo:\n${table.sampleRows.map(row => '  ' + JSON.stringify(row)).join('\n')}`
+                : '';
+            return `${header}\n${columns}${samples}`;
+        }).join('\n\n');
+    }
+
+    /**
+     * Convierte un índice de columna (0 = A) en su letra de hoja de cálculo.
+     * @param {number} index
+     * @returns {string}
+     */
+    static columnLetter(index) {
+        let letter = '';
+        let n = index + 1;
+        while (n > 0) {
+            const remainder = (n - 1) % 26;
+            letter = String.fromCharCode(65 + remainder) + letter;
+            n = Math.floor((n - 1) / 26);
+        }
+        return letter;
+    }
+
+    /**
+     * Quita comillas, acentos graves o corchetes de un identificador SQL (también en nombres calificados).
+     * @param {string} identifier
+     * @returns {string}
+     */
+    static unquoteIdentifier(identifier) {
+        return String(identifier).replace(/["`\[\]]/g, '');
+    }
+
+    /**
+     * @private
+     */
+    static _inferType(values) {
+        const present = values.filter(value => value !== '' && value !== null && value !== undefined);
+        if (present.length === 0) return 'string';
+        if (present.every(value => value instanceof Date)) return 'date';
+        if (present.every(value => typeof value === 'number')) return 'number';
+        if (present.every(value => typeof value === 'boolean')) return 'boolean';
+        return 'string';
+    }
+
+    /**
+     * Divide un texto por comas que no estén dentro de paréntesis.
+     * @private
+     */
+    static _splitTopLevel(text) {
+        const parts = [];
+        let depth = 0;
+        let current = '';
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (char === '(') depth++;
+            if (char === ')') depth--;
+            if (char === ',' && depth === 0) {
+                parts.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        parts.push(current);
+        return parts;
+    }
+}
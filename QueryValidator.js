@@ -0,0 +1,405 @@
+/**
+ * @class QueryValidator
+ * @description Analiza las consultas generadas antes de ejecutarlas. Comprueba que sean de solo lectura y que las tablas y
+ * columnas referenciadas existan en el QuerySchema. El análisis es léxico (tokens), suficiente para consultas SELECT y
+ * QUERY() habituales; no pretende ser un parser completo de cada dialecto.
+ */
+class QueryValidator {
+
+    /**
+     * Valida una consulta contra un esquema.
+     * @param {string} query - La consulta generada (SELECT de SQL o texto de consulta de QUERY()).
+     * @param {QuerySchema} schema - El esquema de los datos.
+     * @returns {{valid: boolean, errors: Array<string>}}
+     */
+    static validate(query, schema) {
+        if (typeof query !== 'string' || !query.trim()) {
+            return { valid: false, errors: ["La consulta está vacía."] };
+        }
+        let errors;
+        try {
+            errors = schema.dialect === 'sheets'
+                ? QueryValidator._validateSheetsQuery(query, schema)
+                : QueryValidator._validateSql(query, schema);
+        } catch (e) {
+            errors = [e.message];
+        }
+        return { valid: errors.length === 0, errors: errors };
+    }
+
+    /**
+     * Palabras que convierten una consulta en una operación de escritura o administración.
+     */
+    static get SQL_FORBIDDEN_KEYWORDS() {
+        return [
+            'INSERT', 'UPDATE', 'DELETE', 'MERGE', 'UPSERT', 'DROP', 'ALTER', 'CREATE', 'TRUNCATE', 'RENAME', 'GRANT',
+            'REVOKE', 'EXEC', 'EXECUTE', 'CALL', 'ATTACH', 'DETACH', 'PRAGMA', 'COPY', 'LOCK', 'VACUUM', 'SET', 'INTO',
+            'LOAD', 'OUTFILE', 'DUMPFILE', 'COMMIT', 'ROLLBACK', 'BEGIN'
+        ];
+    }
+
+    /**
+     * Funciones con efectos secundarios (esperas, secuencias, acceso a archivos o a otras conexiones) que no se permiten
+     * aunque la consulta sea un SELECT. Los nombres terminados en '*' son prefijos.
+     */
+    static get SQL_FORBIDDEN_FUNCTIONS() {
+        return [
+            'sleep', 'pg_sleep*', 'benchmark', 'nextval', 'setval', 'lo_*', 'pg_read_*', 'pg_ls_*', 'pg_stat_file',
+            'pg_terminate_backend', 'pg_cancel_backend', 'pg_reload_conf', 'pg_advisory_*', 'pg_try_advisory_*',
+            'set_config', 'dblink*', 'load_file', 'xp_*', 'sys_exec', 'sys_eval', 'get_lock', 'release_lock'
+        ];
+    }
+
+    /**
+     * Palabras reservadas de SQL que pueden aparecer en un SELECT y no son columnas.
+     */
+    static get SQL_KEYWORDS() {
+        return [
+            'SELECT', 'FROM', 'WHERE', 'AND', 'OR', 'NOT', 'IN', 'IS', 'NULL', 'LIKE', 'ILIKE', 'BETWEEN', 'EXISTS', 'AS',
+            'ON', 'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS', 'NATURAL', 'USING', 'GROUP', 'BY', 'ORDER',
+            'ASC', 'DESC', 'NULLS', 'FIRST', 'LAST', 'HAVING', 'LIMIT', 'OFFSET', 'FETCH', 'NEXT', 'ROWS', 'ROW', 'ONLY',
+            'TOP', 'DISTINCT', 'ALL', 'UNION', 'INTERSECT', 'EXCEPT', 'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'WITH',
+            'RECURSIVE', 'OVER', 'PARTITION', 'WINDOW', 'RANGE', 'PRECEDING', 'FOLLOWING', 'UNBOUNDED', 'CURRENT', 'TRUE',
+            'FALSE', 'INTERVAL', 'DATE', 'TIME', 'TIMESTAMP', 'CAST', 'ESCAPE', 'FILTER', 'WITHIN', 'COLLATE', 'ANY',
+            'SOME', 'LATERAL', 'VALUES', 'INT', 'INTEGER', 'BIGINT', 'SMALLINT', 'VARCHAR', 'CHAR', 'TEXT', 'NUMERIC',
+            'DECIMAL', 'FLOAT', 'REAL', 'DOUBLE', 'PRECISION', 'BOOLEAN', 'TABLE', 'YEAR', 'MONTH', 'DAY', 'HOUR', 'MINUTE', 'SECOND',
+            'FOR', 'BOTH', 'LEADING', 'TRAILING'
+        ];
+    }
+
+    /**
+     * Palabras reservadas del lenguaje de consultas de QUERY() (Google Visualization API Query Language).
+     */
+    static get SHEETS_KEYWORDS() {
+        return [
+            'select', 'where', 'group', 'by', 'pivot', 'order', 'limit', 'offset', 'label', 'format', 'options', 'and',
+            'or', 'not', 'asc', 'desc', 'is', 'null', 'contains', 'starts', 'ends', 'with', 'matches', 'like', 'true',
+            'false', 'date', 'datetime', 'timeofday', 'timestamp', 'no_values', 'no_format'
+        ];
+    }
+
+    /**
+     * Divide una consulta en tokens. Los literales de texto se sustituyen por un marcador y los comentarios se descartan.
+     * @param {string} query
+     * @returns {Array<{type: string, value: string}>} `type` es 'word', 'quoted', 'string', 'number' o 'symbol'.
+     */
+    static tokenize(query) {
+        const tokens = [];
+        const pattern = /--[^\n]*|\/\*[\s\S]*?\*\/|'(?:[^']|'')*'|"(?:[^"]|"")*"|`[^`]*`|\[[^\]]*\]|[A-Za-z_][\w$]*|\d+(?:\.\d+)?|<>|<=|>=|!=|\|\||::|\S/g;
+        let match;
+        while ((match = pattern.exec(query)) !== null) {
+            const value = match[0];
+            if (value.indexOf('--') === 0 || value.indexOf('/*') === 0) {
+                continue;
+            }
+            if (value[0] === "'") {
+                tokens.push({ type: 'string', value: value });
+            } else if (value[0] === '"' || value[0] === '`' || value[0] === '[') {
+                tokens.push({ type: 'quoted', value: value });
+            } else if (/^[A-Za-z_]/.test(value)) {
+                tokens.push({ type: 'word', value: value });
+            } else if (/^\d/.test(value)) {
+                tokens.push({ type: 'number', value: value });
+            } else {
+                tokens.push({ type: 'symbol', value: value });
+            }
+        }
+        return tokens;
+    }
+
+    /**
+     * @private
+     */
+    static _validateSql(sql, schema) {
+        const errors = [];
+        // En SQL las comillas dobles delimitan identificadores; se tratan como palabras sin comillas.
+        const tokens = QueryValidator.tokenize(sql).map(token => token.type === 'quoted'
+            ? { type: 'word', value: QuerySchema.unquoteIdentifier(token.value), quoted: true }
+            : token);
+        const upper = token => token && token.type === 'word' && !token.quoted ? token.value.toUpperCase() : null;
+
+        const semicolons = tokens.filter(token => token.value === ';').length;
+        const endsWithSemicolon = tokens.length > 0 && tokens[tokens.length - 1].value === ';';
+        if (semicolons > 1 || (semicolons === 1 && !endsWithSemicolon)) {
+            errors.push("Solo se permite una sentencia.");
+        }
+        if (['SELECT', 'WITH'].indexOf(upper(tokens[0])) === -1) {
+            errors.push("La consulta debe empezar con SELECT o WITH.");
+        }
+        const forbidden = tokens.map(upper).filter(word => QueryValidator.SQL_FORBIDDEN_KEYWORDS.indexOf(word) !== -1);
+        if (forbidden.length > 0) {
+            errors.push(`La consulta debe ser de solo lectura; contiene: ${forbidden.filter((w, i) => forbidden.indexOf(w) === i).join(', ')}.`);
+        }
+        const forbiddenFunctions = tokens
+            .filter((token, index) => token.type === 'word' && tokens[index + 1] && tokens[index + 1].value === '(' &&
+                QueryValidator._isForbiddenFunction(token.value))
+            .map(token => token.value.toLowerCase());
+        if (forbiddenFunctions.length > 0) {
+            errors.push(`La consulta usa funciones no permitidas: ${forbiddenFunctions.filter((w, i) => forbiddenFunctions.indexOf(w) === i).join(', ')}.`);
+        }
+
+        // FROM y JOIN solo introducen tablas en la consulta principal o en subconsultas; dentro de los paréntesis de una
+        // función o expresión forman parte de su sintaxis (EXTRACT(YEAR FROM fecha), SUBSTRING(texto FROM 2)).
+        const inClause = QueryValidator._sqlClauseLevels(tokens, upper);
+        const isTableKeyword = index => inClause[index] && (upper(tokens[index]) === 'FROM' || upper(tokens[index]) === 'JOIN');
+
+        const keywords = QueryValidator.SQL_KEYWORDS;
+        const isKeyword = token => !token.quoted &&
+            (keywords.indexOf(upper(token)) !== -1 || QueryValidator.SQL_FORBIDDEN_KEYWORDS.indexOf(upper(token)) !== -1);
+        const cteNames = [];
+        const tableAliases = {};
+        // Alias de las subconsultas de FROM/JOIN (tablas derivadas): sus columnas no están en el esquema.
+        const derivedAliases = [];
+        // Alias de columna por ámbito (consulta o subconsulta): solo son visibles en su ámbito y, si el ámbito es una tabla
+        // derivada, en la consulta que la contiene (son sus columnas).
+        const scoping = QueryValidator._sqlScopes(tokens, upper);
+        const selectAliases = scoping.scopes.map(() => []);
+        const addAlias = (index, alias) => selectAliases[scoping.tokens[index].scope].push(alias.toLowerCase());
+        const isVisibleAlias = (index, alias) => {
+            const scope = scoping.tokens[index].scope;
+            return scoping.scopes.some((candidate, candidateScope) => selectAliases[candidateScope].indexOf(alias) !== -1 &&
+                (candidateScope === scope || (candidate.derived && candidate.parent === scope)));
+        };
+
+        tokens.forEach((token, index) => {
+            const previousToken = tokens[index - 1];
+            const previous = upper(previousToken);
+            const next = tokens[index + 1];
+            if (token.type !== 'word') return;
+            // Nombre de CTE: WITH nombre AS ( ... ) o , nombre AS ( ... )
+            if ((previous === 'WITH' || previous === 'RECURSIVE' || (previousToken && previousToken.value === ',' && cteNames.length > 0)) &&
+                upper(next) === 'AS' && tokens[index + 2] && tokens[index + 2].value === '(') {
+                cteNames.push(token.value.toLowerCase());
+            }
+            if (previous === 'AS' && !(next && next.value === '(')) {
+                addAlias(index, token.value);
+            }
+            // Alias sin AS en la lista de SELECT: `SUM(monto) total`, `precio p`, `CASE ... END tramo`, seguido de ',', FROM,
+            // ')' o el final. Fuera de ella (WHERE, ORDER BY...) dos palabras seguidas no definen un alias.
+            if (!scoping.tokens[index].selectList) return;
+            const endsExpression = previousToken && (previousToken.value === ')' || previous === 'END' ||
+                ['number', 'string'].indexOf(previousToken.type) !== -1 || (previousToken.type === 'word' && !isKeyword(previousToken)));
+            const endsItem = !next || [',', ')', ';'].indexOf(next.value) !== -1 || upper(next) === 'FROM';
+            if (endsExpression && endsItem && !isKeyword(token)) {
+                addAlias(index, token.value);
+            }
+        });
+
+        // Tablas: después de FROM/JOIN, y listas separadas por comas en FROM.
+        for (let index = 0; index < tokens.length; index++) {
+            if (!isTableKeyword(index)) continue;
+            const keyword = upper(tokens[index]);
+            let position = index + 1;
+            while (position < tokens.length) {
+                if (upper(tokens[position]) === 'LATERAL') position++;
+                const token = tokens[position];
+                if (token && token.value === '(') {
+                    // Tabla derivada: ( SELECT ... ) [AS] alias. Sus tablas y columnas se validan al recorrer la subconsulta.
+                    position = QueryValidator._closingParenthesis(tokens, position) + 1;
+                    if (upper(tokens[position]) === 'AS') position++;
+                    const aliasToken = tokens[position];
+                    if (aliasToken && aliasToken.type === 'word' && !isKeyword(aliasToken)) {
+                        derivedAliases.push(aliasToken.value.toLowerCase());
+                        position++;
+                    }
+                    if (keyword === 'FROM' && tokens[position] && tokens[position].value === ',') {
+                        position++;
+                        continue;
+                    }
+                    break;
+                }
+                if (!token || token.type !== 'word') break;
+                let name = token.value;
+                while (tokens[position + 1] && tokens[position + 1].value === '.' && tokens[position + 2] && tokens[position + 2].type === 'word') {
+                    position += 2;
+                    name = tokens[position].value;
+                }
+                const lowerName = name.toLowerCase();
+                if (cteNames.indexOf(lowerName) === -1 && !schema.getTable(name)) {
+                    errors.push(`Tabla desconocida: ${name}. Tablas disponibles: ${schema.tables.map(table => table.name).join(', ')}.`);
+                }
+                tableAliases[lowerName] = lowerName;
+                position++;
+                if (upper(tokens[position]) === 'AS') position++;
+                const aliasToken = tokens[position];
+                if (aliasToken && aliasToken.type === 'word' && keywords.indexOf(upper(aliasToken)) === -1 &&
+                    QueryValidator.SQL_FORBIDDEN_KEYWORDS.indexOf(upper(aliasToken)) === -1) {
+                    tableAliases[aliasToken.value.toLowerCase()] = lowerName;
+                    position++;
+                }
+                if (keyword === 'FROM' && tokens[position] && tokens[position].value === ',') {
+                    position++;
+                    continue;
+                }
+                break;
+            }
+        }
+
+        const referencedTables = Object.keys(tableAliases)
+            .map(alias => schema.getTable(tableAliases[alias]))
+            .filter(table => table);
+        const hasColumn = (table, column) => table.columns.some(c => c.name.toLowerCase() === column.toLowerCase());
+
+        tokens.forEach((token, index) => {
+            if (token.type !== 'word') return;
+            const previous = tokens[index - 1];
+            const next = tokens[index + 1];
+            const word = token.value;
+            const lowerWord = word.toLowerCase();
+
+            if (next && next.value === '.') {
+                // Referencia calificada: alias.columna. Las de tablas derivadas no se comprueban.
+                const column = tokens[index + 2];
+                if (!column || column.value === '*' || derivedAliases.indexOf(lowerWord) !== -1) return;
+                const targetName = tableAliases[lowerWord];
+                const table = targetName ? schema.getTable(targetName) : null;
+                if (table && column.type === 'word' && !hasColumn(table, column.value)) {
+                    errors.push(`Columna desconocida: ${word}.${column.value} (tabla ${table.name}).`);
+                }
+                return;
+            }
+            if (previous && previous.value === '.') return;
+            if (!token.quoted && (keywords.indexOf(word.toUpperCase()) !== -1 || QueryValidator.SQL_FORBIDDEN_KEYWORDS.indexOf(word.toUpperCase()) !== -1)) return;
+            if (next && next.value === '(') return; // Función
+            if (tableAliases[lowerWord] || cteNames.indexOf(lowerWord) !== -1 || isVisibleAlias(index, lowerWord) ||
+                derivedAliases.indexOf(lowerWord) !== -1) return;
+            if (previous && isTableKeyword(index - 1)) return;
+            if (cteNames.length > 0) return; // Las columnas de los CTE no se conocen de antemano.
+            if (!referencedTables.some(table => hasColumn(table, word))) {
+                errors.push(`Columna desconocida: ${word}.`);
+            }
+        });
+
+        return errors.filter((error, index) => errors.indexOf(error) === index);
+    }
+
+    /**
+     * Indica, para cada token, si está en la consulta principal o dentro de una subconsulta (paréntesis que empiezan con
+     * SELECT o WITH), y no dentro de los paréntesis de una función o expresión.
+     * @private
+     * @returns {Array<boolean>}
+     */
+    static _sqlClauseLevels(tokens, upper) {
+        const stack = [];
+        return tokens.map((token, index) => {
+            const inClause = stack.length === 0 || stack[stack.length - 1];
+            if (token.value === '(') {
+                stack.push(['SELECT', 'WITH'].indexOf(upper(tokens[index + 1])) !== -1);
+            } else if (token.value === ')') {
+                stack.pop();
+            }
+            return inClause;
+        });
+    }
+
+    /**
+     * Ámbito de cada token: la consulta o subconsulta a la que pertenece (los paréntesis de funciones y expresiones no abren
+     * ámbito) y si está en la lista de SELECT de esa consulta. Un ámbito `derived` es una tabla derivada (subconsulta de
+     * FROM/JOIN) cuyo `parent` es la consulta que la contiene.
+     * @private
+     * @returns {{tokens: Array<{scope: number, selectList: boolean}>, scopes: Array<{parent: number, derived: boolean}>}}
+     */
+    static _sqlScopes(tokens, upper) {
+        const otherClauses = ['WHERE', 'GROUP', 'HAVING', 'ORDER', 'LIMIT', 'OFFSET', 'UNION', 'INTERSECT', 'EXCEPT', 'QUALIFY', 'WINDOW'];
+        const scopes = [{ parent: -1, derived: false }];
+        const stack = [{ scope: 0, query: true, clause: null }];
+        const scoped = tokens.map((token, index) => {
+            const frame = stack[stack.length - 1];
+            const word = upper(token);
+            if (frame.query && word === 'SELECT') {
+                frame.clause = 'select';
+            } else if (frame.query && word === 'FROM') {
+                frame.clause = 'from';
+            } else if (frame.query && otherClauses.indexOf(word) !== -1) {
+                frame.clause = 'other';
+            }
+            const info = { scope: frame.scope, selectList: frame.query && frame.clause === 'select' && word !== 'SELECT' };
+            if (token.value === '(') {
+                if (['SELECT', 'WITH'].indexOf(upper(tokens[index + 1])) !== -1) {
+                    const previousToken = tokens[index - 1];
+                    const derived = frame.query && frame.clause === 'from' && !!previousToken &&
+                        (['FROM', 'JOIN', 'LATERAL'].indexOf(upper(previousToken)) !== -1 || previousToken.value === ',');
+                    scopes.push({ parent: frame.scope, derived: derived });
+                    stack.push({ scope: scopes.length - 1, query: true, clause: null });
+                } else {
+                    stack.push({ scope: frame.scope, query: false, clause: null });
+                }
+            } else if (token.value === ')' && stack.length > 1) {
+                stack.pop();
+            }
+            return info;
+        });
+        return { tokens: scoped, scopes: scopes };
+    }
+
+    /**
+     * Posición del ')' que cierra el '(' de `openIndex`, o el último token si la consulta no lo cierra.
+     * @private
+     */
+    static _closingParenthesis(tokens, openIndex) {
+        let depth = 0;
+        for (let index = openIndex; index < tokens.length; index++) {
+            if (tokens[index].value === '(') {
+                depth++;
+            } else if (tokens[index].value === ')' && --depth === 0) {
+                return index;
+            }
+        }
+        return tokens.length - 1;
+    }
+
+    /**
+     * @private
+     */
+    static _isForbiddenFunction(name) {
+        const lowerName = name.toLowerCase();
+        return QueryValidator.SQL_FORBIDDEN_FUNCTIONS.some(entry => entry[entry.length - 1] === '*'
+            ? lowerName.indexOf(entry.slice(0, -1)) === 0
+            : lowerName === entry);
+    }
+
+    /**
+     * @private
+     */
+    static _validateSheetsQuery(query, schema) {
+        const errors = [];
+        const table = schema.tables[0];
+        const columnIds = table.columns.map(column => column.id);
+        const tokens = QueryValidator.tokenize(query);
+        const clauses = ['select', 'where', 'group', 'pivot', 'order', 'limit', 'offset', 'label', 'format', 'options'];
+
+        if (!tokens[0] || tokens[0].type !== 'word' || clauses.indexOf(tokens[0].value.toLowerCase()) === -1) {
+            errors.push(`La consulta debe empezar con una cláusula de QUERY(): ${clauses.join(', ')}.`);
+        }
+        if (tokens.some(token => token.value === ';')) {
+            errors.push("QUERY() no admite ';'.");
+        }
+        if (tokens.some(token => token.type === 'quoted' && token.value[0] === '"')) {
+            errors.push("Usa comillas simples para los textos; las comillas dobles rompen la fórmula.");
+        }
+
+        tokens.forEach((token, index) => {
+            const next = tokens[index + 1];
+            let identifier = null;
+            if (token.type === 'quoted' && token.value[0] === '`') {
+                identifier = token.value.slice(1, -1);
+            } else if (token.type === 'word') {
+                if (QueryValidator.SHEETS_KEYWORDS.indexOf(token.value.toLowerCase()) !== -1) return;
+                if (next && next.value === '(') return; // Función (sum, count, year, ...)
+                identifier = token.value;
+            }
+            if (identifier === null) return;
+
+            const colMatch = /^Col(\d+)$/.exec(identifier);
+            if (colMatch) {
+                if (Number(colMatch[1]) < 1 || Number(colMatch[1]) > columnIds.length) {
+                    errors.push(`Columna desconocida: ${identifier}. La hoja tiene ${columnIds.length} columnas.`);
+                }
+            } else if (columnIds.indexOf(identifier) === -1) {
+                errors.push(`Columna desconocida: ${identifier}. Usa las letras de columna: ${columnIds.join(', ')}.`);
+            }
+        });
+
+        return errors.filter((error, index) => errors.indexOf(error) === index);
+    }
+}
@@ -0,0 +1,318 @@
+/**
+ * @class TextChunker
+ * @description Divide un texto en fragmentos de tamaño acotado con solapamiento, cortando preferentemente en párrafos,
+ * líneas, frases o palabras para no partir ideas a la mitad.
+ */
+class TextChunker {
+
+    /**
+     * @param {Object} [options={}] - Opciones.
+     * @param {number} [options.chunkSize=1000] - Tamaño máximo de cada fragmento en caracteres.
+     * @param {number} [options.chunkOverlap=200] - Caracteres que comparten dos fragmentos consecutivos.
+     */
+    constructor(options = {}) {
+        this.chunkSize = options.chunkSize || 1000;
+        this.chunkOverlap = options.chunkOverlap !== undefined ? options.chunkOverlap : 200;
+        if (this.chunkOverlap >= this.chunkSize) {
+            throw new Error("El solapamiento debe ser menor que el tamaño del fragmento.");
+        }
+    }
+
+    /**
+     * @param {string} text - El texto a dividir.
+     * @returns {Array<string>} Los fragmentos, en orden.
+     */
+    split(text) {
+        const clean = (text || '').replace(/\r\n/g, '\n').trim();
+        const chunks = [];
+        let start = 0;
+        while (start < clean.length) {
+            let end = Math.min(start + this.chunkSize, clean.length);
+            if (end < clean.length) {
+                end = this._findBreak(clean, start, end);
+            }
+            const chunk = clean.substring(start, end).trim();
+            if (chunk) {
+                chunks.push(chunk);
+            }
+            if (end >= clean.length) {
+                break;
+            }
+            // El siguiente fragmento empieza `chunkOverlap` caracteres antes, alineado al inicio de una palabra.
+            let next = end - this.chunkOverlap;
+            const space = clean.indexOf(' ', next);
+            if (space !== -1 && space < end) {
+                next = space + 1;
+            }
+            start = Math.max(next, start + 1);
+        }
+        return chunks;
+    }
+
+    /**
+     * Busca el mejor punto de corte antes de `end`, sin bajar de la mitad del tamaño del fragmento.
+     * @private
+     */
+    _findBreak(text, start, end) {
+        const minEnd = start + Math.floor(this.chunkSize / 2);
+        const separators = ['\n\n', '\n', '. ', ' '];
+        for (let i = 0; i < separators.length; i++) {
+            const index = text.lastIndexOf(separators[i], end - separators[i].length);
+            if (index >= minEnd) {
+                return index + separators[i].length;
+            }
+        }
+        return end;
+    }
+}
+
+/**
+ * @class RagPipeline
+ * @description Generación aumentada por recuperación: ingiere fuentes (DocumentSources.js), las divide en fragmentos,
+ * genera sus embeddings (GeminiEmbeddings) y los guarda en un almacén de vectores (VectorStore.js). Las consultas recuperan
+ * los fragmentos más similares y se usan para fundamentar la respuesta de GeminiChatAPI, ya sea inyectándolos en el prompt
+ * o exponiéndolos como la herramienta `searchDocuments`. Las respuestas incluyen citas a los fragmentos usados.
+ */
+class RagPipeline {
+
+    /**
+     * @param {GeminiEmbeddings} embeddings - Cliente de embeddings.
+     * @param {Object} vectorStore - Almacén de vectores (InMemoryVectorStore, SheetVectorStore u otro con la misma interfaz).
+     * @param {Object} [options={}] - Opciones.
+     * @param {number} [options.chunkSize=1000] - Ver TextChunker.
+     * @param {number} [options.chunkOverlap=200] - Ver TextChunker.
+     * @param {number} [options.topK=4] - Fragmentos recuperados por consulta.
+     * @param {number} [options.minScore=0] - Similitud mínima para considerar un fragmento relevante.
+     */
+    constructor(embeddings, vectorStore, options = {}) {
+        if (!embeddings || !vectorStore) {
+            throw new Error("Se requieren un cliente de embeddings y un almacén de vectores.");
+        }
+        this.embeddings = embeddings;
+        this.vectorStore = vectorStore;
+        this.chunker = new TextChunker(options);
+        this.topK = options.topK || 4;
+        this.minScore = options.minScore || 0;
+        this._citations = [];
+    }
+
+    /**
+     * Ingiere una fuente: lee sus documentos, los fragmenta, genera los embeddings y los guarda.
+     * Los fragmentos anteriores de cada documento se reemplazan (`replaceSource`, o `removeBySource` y `upsert` en los
+     * almacenes sin ese método) una vez generados los embeddings nuevos, de modo que si falla la llamada a la API el
+     * documento conserva su versión anterior.
+     * @param {Object} source - Fuente con método `read()` (TextSource, GoogleDocSource, GoogleSheetSource...).
+     * @returns {{documents: number, chunks: number}} Totales ingeridos.
+     */
+    ingest(source) {
+        let chunkCount = 0;
+        const documents = source.read();
+        documents.forEach(document => {
+            const chunks = this.chunker.split(document.text);
+            if (chunks.length === 0) {
+                this.vectorStore.removeBySource(document.sourceId);
+                StructuredLogger.getDefault().warn(`Documento vacío, no se ingiere: ${document.sourceId}`);
+                return;
+            }
+            const vectors = this.embeddings.embedDocuments(chunks, chunks.map(() => document.title));
+            const records = chunks.map((text, index) => ({
+                id: `${document.sourceId}#${index}`,
+                sourceId: document.sourceId,
+                title: document.title,
+                chunkIndex: index,
+                text: text,
+                metadata: document.metadata || {},
+                vector: vectors[index]
+            }));
+            if (typeof this.vectorStore.replaceSource === 'function') {
+                this.vectorStore.replaceSource(document.sourceId, records);
+            } else {
+                this.vectorStore.removeBySource(document.sourceId);
+                this.vectorStore.upsert(records);
+            }
+            chunkCount += chunks.length;
+            StructuredLogger.getDefault().info(`Documento ingerido: ${document.sourceId} (${chunks.length} fragmentos).`);
+        });
+        return { documents: documents.length, chunks: chunkCount };
+    }
+
+    /**
+     * Recupera los fragmentos más similares a una consulta.
+     * @param {string} query - La consulta.
+     * @param {number} [k=this.topK] - Número de fragmentos.
+     * @param {Function} [filter] - Predicado opcional sobre el registro (ej. `r => r.metadata.type === 'google_doc'`).
+     * @returns {Array<{id: string, sourceId: string, title: string, chunkIndex: number, text: string, metadata: Object, score: number}>}
+     */
+    retrieve(query, k = this.topK, filter = null) {
+        const queryVector = this.embeddings.embedQuery(query);
+        return this.vectorStore.search(queryVector, k, filter)
+            .filter(result => result.score >= this.minScore)
+            .map(result => ({
+                id: result.record.id,
+                sourceId: result.record.sourceId,
+                title: result.record.title,
+                chunkIndex: result.record.chunkIndex,
+                text: result.record.text,
+                metadata: result.record.metadata,
+                score: result.score
+            }));
+    }
+
+    /**
+     * Responde una pregunta fundamentada en los documentos ingeridos.
+     * @param {GeminiChatAPI} chatClient - Cliente de chat (la pregunta y la respuesta quedan en su historial).
+     * @param {string} question - La pregunta del usuario.
+     * @param {Object} [options={}] - Opciones.
+     * @param {string} [options.mode='inject'] - 'inject' añade los fragmentos al prompt; 'tool' expone `searchDocuments`
+     * para que el modelo busque por su cuenta (requiere `toolExecutor`).
+     * @param {number} [options.k=this.topK] - Fragmentos por búsqueda.
+     * @param {ToolExecutor} [options.toolExecutor] - Executor para el modo 'tool'. Sus herramientas se envían al modelo solo
+     * durante esta respuesta; al terminar, el cliente recupera las herramientas que tenía.
+     * @param {Object} [options.apiOptions={}] - Opciones para `sendMessage`.
+     * @param {number} [options.maxToolRounds=3] - Rondas máximas en el modo 'tool'.
+     * @param {number} [options.maxContinuations=0] - Continuaciones de una respuesta cortada (ver `GeminiChatAPI.runWithTools`).
+     * @returns {{text: (string|null), citations: Array<Object>, retrieved: Array<Object>, toolTrace: Array<Object>,
+     * stopReason: string}} `citations` contiene los fragmentos citados en la respuesta (`[n]`); `retrieved`, todos los
+     * recuperados; `stopReason`, el motivo de fin del turno (ej. 'TEXT' o 'BLOCKED').
+     */
+    answer(chatClient, question, options = {}) {
+        const mode = options.mode || 'inject';
+        const k = options.k || this.topK;
+        this._citations = [];
+
+        let text;
+        let stopReason;
+        let toolTrace = [];
+        if (mode === 'tool') {
+            if (!options.toolExecutor) {
+                throw new Error("El modo 'tool' requiere un ToolExecutor.");
+            }
+            this.registerSearchTool(options.toolExecutor, { k: k });
+            // Las herramientas del executor solo se envían en esta respuesta; después se restauran las del cliente.
+            const previousTools = [].concat(chatClient.tools || []);
+            chatClient.setTools(options.toolExecutor.getFunctionDeclarations());
+            let result;
+            try {
+                result = chatClient.runWithTools(
+                    `${question}\n\n(Busca la información con searchDocuments y cita cada dato con la referencia del fragmento, por ejemplo [1].)`,
+                    options.toolExecutor,
+                    { maxToolRounds: options.maxToolRounds || 3, maxContinuations: options.maxContinuations, apiOptions: options.apiOptions || {} }
+                );
+            } finally {
+                chatClient.setTools(previousTools);
+            }
+            text = result.text;
+            toolTrace = result.toolTrace;
+            stopReason = result.stopReason;
+        } else if (mode === 'inject') {
+            this._registerCitations(this.retrieve(question, k));
+            const result = chatClient.ask(this._buildGroundedPrompt(question, this._citations), {
+                maxContinuations: options.maxContinuations,
+                apiOptions: options.apiOptions || {}
+            });
+            text = result.text;
+            stopReason = result.stopReason;
+        } else {
+            throw new Error(`Modo de RAG desconocido: "${mode}". Usa 'inject' o 'tool'.`);
+        }
+
+        return {
+            text: text,
+            citations: RagPipeline.extractCitations(text, this._citations),
+            retrieved: this._citations.slice(),
+            toolTrace: toolTrace,
+            stopReason: stopReason
+        };
+    }
+
+    /**
+     * Define la herramienta `searchDocuments` en un ToolExecutor. Cada fragmento devuelto recibe una referencia numérica
+     * (`ref`) que el modelo usa para citar; las referencias se conservan durante la respuesta en curso.
+     * @param {ToolExecutor} toolExecutor - Executor donde se define la herramienta.
+     * @param {Object} [options={}] - Opciones.
+     * @param {number} [options.k=this.topK] - Fragmentos por búsqueda si el modelo no indica otro número.
+     * @returns {ToolExecutor} El mismo executor.
+     */
+    registerSearchTool(toolExecutor, options = {}) {
+        const defaultK = options.k || this.topK;
+        return toolExecutor.defineTool({
+            name: "searchDocuments",
+            description: "Busca en la base documental los fragmentos más relevantes para una consulta. " +
+                "Devuelve fragmentos con una referencia numérica 'ref' para citarlos como [ref].",
+            parameters: {
+                type: "object",
+                properties: {
+                    query: { type: "string", description: "La consulta de búsqueda, en lenguaje natural." },
+                    k: { type: "integer", description: "Número de fragmentos a devolver." }
+                },
+                required: ["query"]
+            },
+            implementation: ({ query, k }) => {
+                const citations = this._registerCitations(this.retrieve(query, k || defaultK));
+                return {
+                    results: citations.map(citation => ({
+                        ref: citation.ref,
+                        title: citation.title,
+                        text: citation.text,
+                        score: Number(citation.score.toFixed(4))
+                    }))
+                };
+            }
+        });
+    }
+
+    /**
+     * Obtiene los fragmentos citados en un texto con marcas `[n]` (también `[1, 3]`).
+     * @param {string|null} text - La respuesta del modelo.
+     * @param {Array<Object>} citations - Fragmentos con referencia `ref`.
+     * @returns {Array<Object>} Los fragmentos citados, en orden de referencia, sin el vector.
+     */
+    static extractCitations(text, citations) {
+        if (!text) {
+            return [];
+        }
+        const refs = [];
+        (text.match(/\[(\d+(?:\s*,\s*\d+)*)\]/g) || []).forEach(marker => {
+            marker.replace(/[\[\]\s]/g, '').split(',').forEach(ref => {
+                const number = parseInt(ref, 10);
+                if (refs.indexOf(number) === -1) {
+                    refs.push(number);
+                }
+            });
+        });
+        return citations
+            .filter(citation => refs.indexOf(citation.ref) !== -1)
+            .sort((a, b) => a.ref - b.ref);
+    }
+
+    /**
+     * Asigna referencias numéricas a los fragmentos nuevos de la respuesta en curso.
+     * @private
+     * @returns {Array<Object>} Los fragmentos recibidos, con su `ref`.
+     */
+    _registerCitations(chunks) {
+        return chunks.map(chunk => {
+            const existing = this._citations.filter(citation => citation.id === chunk.id)[0];
+            if (existing) {
+                return existing;
+            }
+            const citation = Object.assign({ ref: this._citations.length + 1 }, chunk);
+            this._citations.push(citation);
+            return citation;
+        });
+    }
+
+    /**
+     * @private
+     */
+    _buildGroundedPrompt(question, citations) {
+        if (citations.length === 0) {
+            return `${question}\n\n(No se encontraron documentos relevantes. Si no puedes responder con seguridad, indícalo.)`;
+        }
+        const context = citations.map(citation => `[${citation.ref}] (${citation.title})\n${citation.text}`).join('\n\n');
+        return "Responde a la pregunta usando solo los siguientes fragmentos de documentos. " +
+            "Cita cada dato con la referencia del fragmento entre corchetes, por ejemplo [1]. " +
+            "Si la información no está en los fragmentos, dilo.\n\n" +
+            `${context}\n\nPregunta: ${question}`;
+    }
+}
@@ -0,0 +1,111 @@
+/**
+ * @class SchemaValidator
+ * @description Valida valores contra los esquemas de parámetros usados por Gemini en `functionDeclarations`
+ * (subconjunto de OpenAPI: `type`, `properties`, `required`, `enum`, `items`, `nullable`).
+ * Los tipos se comparan sin distinguir mayúsculas, ya que Gemini acepta tanto 'object' como 'OBJECT'.
+ */
+class SchemaValidator {
+
+    /**
+     * Valida un valor contra un esquema.
+     * @param {*} value - El valor a validar (ej. `functionCall.args`).
+     * @param {Object} schema - El esquema de Gemini (ej. `functionDeclaration.parameters`).
+     * @param {string} [path=''] - Ruta del valor dentro del objeto raíz, usada en los mensajes de error.
+     * @returns {Array<{path: string, message: string}>} Lista de violaciones. Vacía si el valor es válido.
+     */
+    static validate(value, schema, path = '') {
+        const errors = [];
+        if (!schema || typeof schema !== 'object') {
+            return errors;
+        }
+        const label = path || '(raíz)';
+
+        if (value === null || value === undefined) {
+            if (value === null && schema.nullable) {
+                return errors;
+            }
+            errors.push({ path: label, message: "Se esperaba un valor pero no se recibió ninguno." });
+            return errors;
+        }
+
+        const expectedType = schema.type ? String(schema.type).toLowerCase() : null;
+        if (expectedType && !SchemaValidator._matchesType(value, expectedType)) {
+            errors.push({
+                path: label,
+                message: `Se esperaba tipo '${expectedType}' pero se recibió '${SchemaValidator._describeType(value)}'.`
+            });
+            return errors;
+        }
+
+        if (Array.isArray(schema.enum) && schema.enum.length > 0 && schema.enum.indexOf(value) === -1) {
+            errors.push({
+                path: label,
+                message: `El valor ${JSON.stringify(value)} no está entre los permitidos: ${schema.enum.map(v => JSON.stringify(v)).join(', ')}.`
+            });
+        }
+
+        if (expectedType === 'object' || (!expectedType && schema.properties)) {
+            const properties = schema.properties || {};
+            (schema.required || []).forEach(field => {
+                if (value[field] === undefined) {
+                    errors.push({ path: SchemaValidator._join(path, field), message: "Campo requerido ausente." });
+                }
+            });
+            Object.keys(properties).forEach(field => {
+                if (value[field] !== undefined) {
+                    errors.push(...SchemaValidator.validate(value[field], properties[field], SchemaValidator._join(path, field)));
+                }
+            });
+        }
+
+        if (expectedType === 'array' && schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...SchemaValidator.validate(item, schema.items, `${path}[${index}]`));
+            });
+        }
+
+        return errors;
+    }
+
+    /**
+     * Comprueba si un valor corresponde a un tipo de esquema.
+     * @private
+     */
+    static _matchesType(value, expectedType) {
+        switch (expectedType) {
+            case 'string':
+                return typeof value === 'string';
+            case 'number':
+                return typeof value === 'number' && isFinite(value);
+            case 'integer':
+                return typeof value === 'number' && Number.isInteger(value);
+            case 'boolean':
+                return typeof value === 'boolean';
+            case 'array':
+                return Array.isArray(value);
+            case 'object':
+                return typeof value === 'object' && !Array.isArray(value);
+            default:
+                // Tipos desconocidos no se validan para no bloquear esquemas más nuevos de la API.
+                return true;
+        }
+    }
+
+    /**
+     * Devuelve el nombre de tipo de un valor en términos del esquema.
+     * @private
+     */
+    static _describeType(value) {
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+        return typeof value;
+    }
+
+    /**
+     * Une una ruta base con el nombre de un campo.
+     * @private
+     */
+    static _join(path, field) {
+        return path ? `${path}.${field}` : field;
+    }
+}
@@ -0,0 +1,424 @@
+/**
+ * Registro estructurado de la biblioteca.
+ *
+ * Cada entrada es un objeto `{ timestamp, level, message, correlationId, ...campos, data }` que se envía a uno o varios
+ * destinos (LoggerSink, ConsoleSink, SheetSink o cualquier objeto con `write(entry)` y, opcionalmente, `flush()`).
+ * Antes de escribirse, el mensaje y los datos pasan por la redacción: los campos sensibles (claves API, cabeceras de
+ * autorización, contraseñas y los campos personales configurados) y los patrones de credenciales conocidos se sustituyen
+ * por `[REDACTED]`.
+ *
+ * Las clases de la biblioteca escriben en `StructuredLogger.getDefault()` (GeminiChatAPI también acepta `options.logger`).
+ * Para cambiar el nivel o los destinos de todo el proyecto basta con llamar a `StructuredLogger.configure` al inicio:
+ *   StructuredLogger.configure({ level: 'debug', sinks: [new ConsoleSink()], redactFields: ['email'] });
+ */
+
+/**
+ * @class StructuredLogger
+ * @description Registro con niveles (debug, info, warn, error), redacción de secretos e identificadores de correlación.
+ * El identificador de correlación activo (ver `withCorrelationId`) se añade a todas las entradas, de modo que un turno de
+ * conversación puede seguirse a través de sus llamadas a la API y a herramientas.
+ */
+class StructuredLogger {
+
+    /**
+     * @param {Object} [options={}] - Opciones.
+     * @param {string} [options.level='info'] - Nivel mínimo que se registra: 'debug', 'info', 'warn' o 'error'.
+     * @param {Array<Object>} [options.sinks] - Destinos de las entradas. Por defecto, un LoggerSink.
+     * @param {Array<string>} [options.redactFields=[]] - Campos adicionales cuyo valor se oculta (ej. datos personales como
+     * 'email' o 'phone'), además de `DEFAULT_REDACT_FIELDS`. No distinguen mayúsculas.
+     * @param {Array<RegExp>} [options.redactPatterns=[]] - Patrones adicionales que se ocultan en cualquier texto. Deben
+     * llevar el indicador `g`.
+     * @param {number} [options.maxStringLength=2000] - Longitud máxima de cada texto de `data`; el resto se recorta.
+     * @param {Object} [options.fields={}] - Campos fijos que se añaden a todas las entradas (ej. `{ component: 'sidebar' }`).
+     */
+    constructor(options = {}) {
+        this.config = {
+            level: StructuredLogger._validateLevel(options.level || 'info'),
+            sinks: options.sinks || [new LoggerSink()],
+            redactFields: StructuredLogger.DEFAULT_REDACT_FIELDS.concat(options.redactFields || []).map(field => field.toLowerCase()),
+            redactPatterns: StructuredLogger.DEFAULT_REDACT_PATTERNS.concat(options.redactPatterns || []),
+            maxStringLength: options.maxStringLength || 2000,
+            secrets: []
+        };
+        this.fields = options.fields || {};
+    }
+
+    /**
+     * Niveles y su prioridad.
+     */
+    static get LEVELS() {
+        return { debug: 10, info: 20, warn: 30, error: 40 };
+    }
+
+    /**
+     * Campos cuyo valor se oculta siempre, en cualquier nivel de anidación de `data`. Solo nombres propios de credenciales:
+     * nombres genéricos como `key` o `tokens` (claves de caché, recuentos de tokens) se añaden con `redactFields`.
+     */
+    static get DEFAULT_REDACT_FIELDS() {
+        return [
+            'apiKey', 'api_key', 'x-goog-api-key', 'authorization', 'accessToken', 'refreshToken', 'password', 'secret',
+            'sharedSecret'
+        ];
+    }
+
+    /**
+     * Patrones de credenciales que se ocultan en cualquier texto: parámetro `key` de una URL, cabecera Bearer y claves de
+     * Google (`AIza...`) y OpenAI (`sk-...`).
+     */
+    static get DEFAULT_REDACT_PATTERNS() {
+        return [
+            /(?<=[?&]key=)[^&\s"']+/g,
+            /(?<=Bearer\s+)[A-Za-z0-9._~+\/-]+=*/g,
+            /AIza[0-9A-Za-z_-]{35}/g,
+            /sk-[A-Za-z0-9_-]{20,}/g
+        ];
+    }
+
+    /**
+     * Texto que sustituye a los valores ocultos.
+     */
+    static get REDACTED() {
+        return '[REDACTED]';
+    }
+
+    /**
+     * Registro compartido por las clases de la biblioteca. Se crea con las opciones por defecto la primera vez.
+     * @returns {StructuredLogger}
+     */
+    static getDefault() {
+        if (!StructuredLogger._defaultLogger) {
+            StructuredLogger._defaultLogger = new StructuredLogger();
+        }
+        return StructuredLogger._defaultLogger;
+    }
+
+    /**
+     * Sustituye el registro compartido por uno nuevo con estas opciones.
+     * @param {Object} options - Opciones del constructor.
+     * @returns {StructuredLogger} El nuevo registro compartido.
+     */
+    static configure(options) {
+        StructuredLogger._defaultLogger = new StructuredLogger(options);
+        return StructuredLogger._defaultLogger;
+    }
+
+    /**
+     * Ejecuta `callback` con un identificador de correlación activo. Si ya hay uno activo y no se indica otro, se conserva,
+     * de modo que las operaciones anidadas (un turno dentro de una solicitud web) comparten el mismo identificador.
+     * @param {string|null} correlationId - Identificador a usar, o null para reutilizar el activo o generar uno nuevo.
+     * @param {Function} callback - Recibe el identificador activo.
+     * @returns {*} Lo que devuelva `callback`.
+     */
+    static withCorrelationId(correlationId, callback) {
+        const previous = StructuredLogger._correlationId || null;
+        StructuredLogger._correlationId = correlationId || previous || Utilities.getUuid();
+        try {
+            return callback(StructuredLogger._correlationId);
+        } finally {
+            StructuredLogger._correlationId = previous;
+        }
+    }
+
+    /**
+     * @returns {string|null} El identificador de correlación activo.
+     */
+    static getCorrelationId() {
+        return StructuredLogger._correlationId || null;
+    }
+
+    debug(message, data) {
+        this._write('debug', message, data);
+    }
+
+    info(message, data) {
+        this._write('info', message, data);
+    }
+
+    warn(message, data) {
+        this._write('warn', message, data);
+    }
+
+    error(message, data) {
+        this._write('error', message, data);
+    }
+
+    /**
+     * @param {string} level
+     * @returns {boolean} true si las entradas de ese nivel se registran.
+     */
+    isEnabled(level) {
+        return StructuredLogger.LEVELS[level] >= StructuredLogger.LEVELS[this.config.level];
+    }
+
+    /**
+     * Cambia el nivel mínimo. Afecta también a los registros derivados con `child`.
+     * @param {string} level - 'debug', 'info', 'warn' o 'error'.
+     */
+    setLevel(level) {
+        this.config.level = StructuredLogger._validateLevel(level);
+    }
+
+    /**
+     * Crea un registro que comparte destinos, nivel y redacción con este y añade campos fijos a sus entradas.
+     * @param {Object} fields - Campos a añadir (ej. `{ sessionId: 'ventas' }`).
+     * @returns {StructuredLogger}
+     */
+    child(fields) {
+        const child = Object.create(StructuredLogger.prototype);
+        child.config = this.config;
+        child.fields = Object.assign({}, this.fields, fields);
+        return child;
+    }
+
+    /**
+     * Registra un valor secreto (ej. la clave API) para ocultarlo en cualquier texto, tenga el formato que tenga.
+     * @param {string} value - El secreto. Los valores de menos de 6 caracteres se ignoran.
+     */
+    addSecret(value) {
+        if (typeof value === 'string' && value.length >= 6 && this.config.secrets.indexOf(value) === -1) {
+            this.config.secrets.push(value);
+        }
+    }
+
+    /**
+     * Vacía los destinos con búfer (ej. SheetSink).
+     */
+    flush() {
+        this.config.sinks.forEach(sink => {
+            if (typeof sink.flush === 'function') {
+                sink.flush();
+            }
+        });
+    }
+
+    /**
+     * Devuelve una copia de `value` con los campos sensibles y los secretos ocultos y los textos largos recortados.
+     * @param {*} value
+     * @returns {*}
+     */
+    redact(value) {
+        return this._redactValue(value, 0, false);
+    }
+
+    /**
+     * @private
+     */
+    _write(level, message, data) {
+        if (!this.isEnabled(level)) {
+            return;
+        }
+        const entry = {
+            timestamp: new Date().toISOString(),
+            level: level,
+            message: this._redactText(String(message))
+        };
+        const correlationId = StructuredLogger.getCorrelationId();
+        if (correlationId) {
+            entry.correlationId = correlationId;
+        }
+        Object.assign(entry, this._redactValue(this.fields, 0, false));
+        if (data !== undefined) {
+            entry.data = this.redact(data);
+        }
+
+        this.config.sinks.forEach(sink => {
+            try {
+                sink.write(entry);
+            } catch (e) {
+                // Un destino que falla (ej. hoja eliminada) no debe interrumpir la operación que se estaba registrando.
+                Logger.log(`No se pudo escribir en un destino del registro: ${e.message}`);
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    _redactValue(value, depth, truncate = true) {
+        if (typeof value === 'string') {
+            const text = this._redactText(value);
+            return truncate && text.length > this.config.maxStringLength
+                ? `${text.substring(0, this.config.maxStringLength)}… (${text.length} caracteres)`
+                : text;
+        }
+        if (value === null || typeof value !== 'object') {
+            return value;
+        }
+        if (depth >= 8) {
+            return '[…]';
+        }
+        if (value instanceof Error || Object.prototype.toString.call(value) === '[object Error]') {
+            return { name: value.name, message: this._redactText(value.message) };
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this._redactValue(item, depth + 1));
+        }
+        const copy = {};
+        Object.keys(value).forEach(field => {
+            copy[field] = this.config.redactFields.indexOf(field.toLowerCase()) !== -1 && value[field] !== null && value[field] !== undefined
+                ? StructuredLogger.REDACTED
+                : this._redactValue(value[field], depth + 1);
+        });
+        return copy;
+    }
+
+    /**
+     * @private
+     */
+    _redactText(text) {
+        let redacted = text;
+        this.config.secrets.forEach(secret => {
+            redacted = redacted.split(secret).join(StructuredLogger.REDACTED);
+        });
+        this.config.redactPatterns.forEach(pattern => {
+            redacted = redacted.replace(pattern, StructuredLogger.REDACTED);
+        });
+        return redacted;
+    }
+
+    /**
+     * @private
+     */
+    static _validateLevel(level) {
+        if (!StructuredLogger.LEVELS[level]) {
+            throw new Error(`Nivel de registro desconocido: "${level}". Usa 'debug', 'info', 'warn' o 'error'.`);
+        }
+        return level;
+    }
+
+    /**
+     * Línea de texto de una entrada: nivel, identificador de correlación, mensaje y el resto de campos como JSON.
+     * @param {Object} entry
+     * @returns {string}
+     */
+    static formatLine(entry) {
+        const extra = Object.assign({}, entry);
+        ['timestamp', 'level', 'message', 'correlationId'].forEach(field => delete extra[field]);
+        return `[${entry.level.toUpperCase()}]` +
+            (entry.correlationId ? ` [${entry.correlationId}]` : '') +
+            ` ${entry.message}` +
+            (Object.keys(extra).length > 0 ? ` ${JSON.stringify(extra)}` : '');
+    }
+}
+
+/**
+ * @class LoggerSink
+ * @description Escribe cada entrada como una línea en el Logger de Apps Script (registro de ejecuciones del editor).
+ */
+class LoggerSink {
+
+    write(entry) {
+        Logger.log(StructuredLogger.formatLine(entry));
+    }
+}
+
+/**
+ * @class ConsoleSink
+ * @description Escribe cada entrada como objeto con `console`, de modo que Cloud Logging la guarda con sus campos
+ * (`jsonPayload`) y con la severidad del nivel.
+ */
+class ConsoleSink {
+
+    write(entry) {
+        const method = entry.level === 'debug' ? 'log' : entry.level;
+        console[method](entry);
+    }
+}
+
+/**
+ * @class SheetSink
+ * @description Añade cada entrada como una fila de una hoja de cálculo: fecha, nivel, correlación, mensaje y el resto de
+ * campos en JSON. Con `bufferSize` mayor que 1 las filas se escriben por lotes; llama a `flush()` (o al `flush()` del
+ * registro) al terminar la ejecución para no perder las últimas.
+ */
+class SheetSink {
+
+    /**
+     * @param {string|GoogleAppsScript.Spreadsheet.Sheet} target - ID de la hoja de cálculo o la hoja en la que escribir.
+     * @param {Object} [options={}] - Opciones.
+     * @param {string} [options.sheetName='Logs'] - Hoja que se usa (y se crea si no existe) cuando `target` es un ID.
+     * @param {number} [options.bufferSize=1] - Filas que se acumulan antes de escribir.
+     */
+    constructor(target, options = {}) {
+        if (!target) {
+            throw new Error("SheetSink requiere el ID de una hoja de cálculo o una hoja.");
+        }
+        this.target = target;
+        this.sheetName = options.sheetName || 'Logs';
+        this.bufferSize = options.bufferSize || 1;
+        this.rows = [];
+        this.sheet = null;
+    }
+
+    /**
+     * Columnas de la hoja.
+     */
+    static get HEADERS() {
+        return ['timestamp', 'level', 'correlationId', 'message', 'data'];
+    }
+
+    write(entry) {
+        const extra = Object.assign({}, entry);
+        ['timestamp', 'level', 'correlationId', 'message'].forEach(field => delete extra[field]);
+        const json = Object.keys(extra).length > 0 ? JSON.stringify(extra) : '';
+        // El mensaje se recorta dejando sitio para el apóstrofo que puede añadir SheetCells.asText.
+        const message = String(entry.message === undefined ? '' : entry.message).substring(0, SheetCells.MAX_CHARS - 1);
+        this.rows.push([entry.timestamp, entry.level, SheetCells.asText(entry.correlationId), SheetCells.asText(message),
+            json.substring(0, SheetCells.MAX_CHARS - 1000)]);
+        if (this.rows.length >= this.bufferSize) {
+            this.flush();
+        }
+    }
+
+    flush() {
+        if (this.rows.length === 0) {
+            return;
+        }
+        const sheet = this._getSheet();
+        sheet.getRange(sheet.getLastRow() + 1, 1, this.rows.length, SheetSink.HEADERS.length).setValues(this.rows);
+        this.rows = [];
+    }
+
+    /**
+     * @private
+     */
+    _getSheet() {
+        if (!this.sheet) {
+            if (typeof this.target !== 'string') {
+                this.sheet = this.target;
+            } else {
+                const spreadsheet = SpreadsheetApp.openById(this.target);
+                this.sheet = spreadsheet.getSheetByName(this.sheetName) || spreadsheet.insertSheet(this.sheetName);
+            }
+            if (this.sheet.getLastRow() === 0) {
+                this.sheet.appendRow(SheetSink.HEADERS);
+            }
+        }
+        return this.sheet;
+    }
+}
+
+/**
+ * @class SheetCells
+ * @description Reglas de escritura de texto en celdas de Google Sheets, compartidas por SheetSink y SheetVectorStore.
+ */
+class SheetCells {
+
+    /**
+     * Número máximo de caracteres de una celda.
+     */
+    static get MAX_CHARS() {
+        return 50000;
+    }
+
+    /**
+     * Evita que un texto se interprete como fórmula: si empieza por =, +, - o @ se le antepone un apóstrofo, que Sheets no
+     * incluye en el valor de la celda (getValues devuelve el texto original).
+     * @param {*} value - Valor que se escribe como texto (null y undefined se escriben como cadena vacía).
+     * @returns {string}
+     */
+    static asText(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /^[=+\-@]/.test(text) ? `'${text}` : text;
+    }
+}
@@ -0,0 +1,285 @@
+/**
+ * @class ToolExecutor
+ * @description Registra y ejecuta las funciones (herramientas) que Gemini puede invocar durante una conversación.
+ * Antes de ejecutar una herramienta valida `functionCall.args` contra el esquema `parameters` declarado;
+ * las violaciones se devuelven como un objeto de error que el modelo puede leer y corregir.
+ */
+class ToolExecutor {
+
+    /**
+     * Constructor de la clase ToolExecutor.
+     */
+    constructor() {
+        this.tools = {};
+        this.schemas = {};
+        this.declarations = {};
+        this.policies = {};
+    }
+
+    /**
+     * Define una herramienta completa en un solo lugar: declaración para Gemini e implementación.
+     * Es la forma recomendada de registrar herramientas, ya que evita que el esquema y la implementación se desincronicen.
+     * @param {Object} definition - Definición de la herramienta.
+     * @param {string} definition.name - Nombre de la función.
+     * @param {string} definition.description - Descripción que verá el modelo.
+     * @param {Object} [definition.parameters] - Esquema de parámetros. Por defecto, un objeto sin propiedades.
+     * @param {Function} definition.implementation - Función real de JavaScript. Recibe el objeto `args` de la llamada.
+     * @param {boolean} [definition.requiresApproval] - Política de ejecución (ver `setPolicy`).
+     * @param {number} [definition.maxCallsPerTurn] - Política de ejecución (ver `setPolicy`).
+     * @param {number} [definition.maxCallsPerSession] - Política de ejecución (ver `setPolicy`).
+     * @param {number} [definition.timeoutMs] - Política de ejecución (ver `setPolicy`).
+     * @returns {ToolExecutor} La propia instancia, para encadenar definiciones.
+     */
+    defineTool(definition) {
+        if (!definition || typeof definition !== 'object') {
+            throw new Error("La definición de la herramienta debe ser un objeto.");
+        }
+        if (!definition.description) {
+            throw new Error(`La herramienta '${definition.name}' requiere una 'description'.`);
+        }
+        const parameters = definition.parameters || { type: 'object', properties: {}, required: [] };
+        this.registerTool(definition.name, definition.implementation, parameters);
+        this.declarations[definition.name] = {
+            name: definition.name,
+            description: definition.description,
+            parameters: parameters
+        };
+        const policy = {};
+        ToolExecutor.POLICY_KEYS.forEach(key => {
+            if (definition[key] !== undefined) {
+                policy[key] = definition[key];
+            }
+        });
+        if (Object.keys(policy).length > 0) {
+            this.setPolicy(definition.name, policy);
+        }
+        return this;
+    }
+
+    /**
+     * Campos de la política de ejecución de una herramienta.
+     */
+    static get POLICY_KEYS() {
+        return ['requiresApproval', 'maxCallsPerTurn', 'maxCallsPerSession', 'timeoutMs'];
+    }
+
+    /**
+     * Establece la política de ejecución de una herramienta, que aplica `GeminiChatAPI.runWithTools`.
+     * @param {string} functionName - Nombre de la herramienta.
+     * @param {Object} policy - Política (los campos omitidos conservan su valor).
+     * @param {boolean} [policy.requiresApproval=false] - Si es true, la conversación se pausa hasta que se apruebe o rechace
+     * la llamada (para herramientas que envían correos, escriben en Sheets o hacen pagos).
+     * @param {number} [policy.maxCallsPerTurn] - Máximo de ejecuciones en un mismo turno de `runWithTools`.
+     * @param {number} [policy.maxCallsPerSession] - Máximo de ejecuciones en toda la sesión.
+     * @param {number} [policy.timeoutMs] - Duración máxima esperada de una ejecución. Con `toolTimeBudgetMs` en
+     * `runWithTools`, la llamada no se ejecuta si lo que queda del presupuesto del turno es menor (el modelo recibe
+     * TIME_BUDGET_EXCEEDED). Apps Script no puede interrumpir una función síncrona, y cuando termina sus efectos (correo,
+     * escritura, pago) ya se produjeron: si la ejecución lo supera se registra un aviso y el resultado se devuelve igualmente.
+     * @returns {ToolExecutor} La propia instancia.
+     */
+    setPolicy(functionName, policy) {
+        Object.keys(policy).forEach(key => {
+            if (ToolExecutor.POLICY_KEYS.indexOf(key) === -1) {
+                throw new Error(`Campo de política desconocido para '${functionName}': "${key}".`);
+            }
+            if (key !== 'requiresApproval' && policy[key] !== null && !(Number.isInteger(policy[key]) && policy[key] > 0)) {
+                throw new Error(`'${key}' de '${functionName}' debe ser un entero mayor que 0.`);
+            }
+        });
+        this.policies[functionName] = Object.assign({}, this.policies[functionName] || {}, policy);
+        return this;
+    }
+
+    /**
+     * @param {string} functionName - Nombre de la herramienta.
+     * @returns {{requiresApproval: boolean, maxCallsPerTurn: (number|null), maxCallsPerSession: (number|null),
+     * timeoutMs: (number|null)}} La política de la herramienta, con los valores por defecto.
+     */
+    getPolicy(functionName) {
+        return Object.assign(
+            { requiresApproval: false, maxCallsPerTurn: null, maxCallsPerSession: null, timeoutMs: null },
+            this.policies[functionName] || {}
+        );
+    }
+
+    /**
+     * Genera el payload de herramientas para `GeminiChatAPI.setTools` a partir de las declaraciones conocidas.
+     * @returns {Array<Object>} `[{ functionDeclarations: [...] }]`
+     */
+    getFunctionDeclarations() {
+        return [
+            {
+                functionDeclarations: Object.keys(this.declarations).map(name => this.declarations[name])
+            }
+        ];
+    }
+
+    /**
+     * Comprueba que las herramientas declaradas y las implementadas coincidan. Pensado para ejecutarse al inicio,
+     * antes de la primera llamada al modelo.
+     * @param {Array<Object>|Object} [toolsPayload] - Payload a contrastar (ej. el pasado a `setTools`).
+     * Si se omite, se usan las declaraciones registradas en esta instancia.
+     * @param {Object} [options={}] - Opciones de la verificación.
+     * @param {boolean} [options.throwOnMismatch=false] - Si es true, lanza un error cuando hay diferencias.
+     * @returns {{ok: boolean, declaredButNotImplemented: Array<string>, implementedButNotDeclared: Array<string>}}
+     */
+    verifyTools(toolsPayload = null, options = {}) {
+        const declaredNames = toolsPayload
+            ? ToolExecutor._extractDeclarations(toolsPayload).map(declaration => declaration.name)
+            : Object.keys(this.declarations);
+        const implementedNames = Object.keys(this.tools);
+
+        const report = {
+            declaredButNotImplemented: declaredNames.filter(name => implementedNames.indexOf(name) === -1),
+            implementedButNotDeclared: implementedNames.filter(name => declaredNames.indexOf(name) === -1)
+        };
+        report.ok = report.declaredButNotImplemented.length === 0 && report.implementedButNotDeclared.length === 0;
+
+        if (!report.ok) {
+            const message = `Herramientas inconsistentes. Declaradas sin implementar: [${report.declaredButNotImplemented.join(', ')}]. ` +
+                `Implementadas sin declarar: [${report.implementedButNotDeclared.join(', ')}].`;
+            StructuredLogger.getDefault().warn(message);
+            if (options.throwOnMismatch) {
+                throw new Error(message);
+            }
+        }
+        return report;
+    }
+
+    /**
+     * Registra una función disponible para Gemini.
+     * @param {string} functionName - Nombre de la función definido en el esquema (ej. "getWeather").
+     * @param {Function} implementation - Función real de JavaScript. Recibe el objeto `args` de la llamada.
+     * @param {Object} [parametersSchema] - Esquema `parameters` de la declaración, usado para validar los argumentos.
+     */
+    registerTool(functionName, implementation, parametersSchema = null) {
+        if (!functionName || typeof functionName !== 'string') {
+            throw new Error("El nombre de la herramienta es requerido.");
+        }
+        if (typeof implementation !== 'function') {
+            throw new Error(`La implementación de '${functionName}' debe ser una función.`);
+        }
+        this.tools[functionName] = implementation;
+        if (parametersSchema) {
+            this.schemas[functionName] = parametersSchema;
+        }
+        StructuredLogger.getDefault().debug(`Herramienta '${functionName}' registrada.`);
+    }
+
+    /**
+     * Registra los esquemas de parámetros a partir del payload de herramientas de Gemini,
+     * el mismo que se pasa a `GeminiChatAPI.setTools` (ej. el resultado de `toolFunctionsV2()`).
+     * @param {Array<Object>|Object} toolsPayload - `[{ functionDeclarations: [...] }]`, `{ functionDeclarations: [...] }`
+     * o `{ functionDeclaration: {...} }`.
+     */
+    registerDeclarations(toolsPayload) {
+        ToolExecutor._extractDeclarations(toolsPayload).forEach(declaration => {
+            this.schemas[declaration.name] = declaration.parameters || { type: 'object', properties: {} };
+            this.declarations[declaration.name] = declaration;
+        });
+    }
+
+    /**
+     * Valida los argumentos de una llamada contra el esquema registrado de la herramienta.
+     * @param {string} functionName - Nombre de la herramienta.
+     * @param {Object} args - Argumentos recibidos del modelo.
+     * @returns {Array<{path: string, message: string}>} Violaciones encontradas. Vacío si no hay esquema o los argumentos son válidos.
+     */
+    validateArguments(functionName, args) {
+        const schema = this.schemas[functionName];
+        if (!schema) {
+            return [];
+        }
+        return SchemaValidator.validate(args || {}, schema);
+    }
+
+    /**
+     * Interpreta los argumentos en JSON de una llamada a herramienta (ej. `function.arguments` de un proveedor compatible con
+     * OpenAI). Si no son un JSON válido, por ejemplo porque la respuesta se cortó por max_tokens, se registra un aviso y la
+     * llamada queda sin argumentos; la validación contra el esquema se encarga de pedir al modelo que la repita.
+     * @param {string|Object} args - Argumentos en JSON. Un objeto se devuelve tal cual.
+     * @param {string} [functionName] - Nombre de la herramienta, para el aviso.
+     * @param {StructuredLogger} [logger] - Registro del aviso. Por defecto, `StructuredLogger.getDefault()`.
+     * @returns {Object}
+     */
+    static parseArguments(args, functionName = null, logger = null) {
+        if (args && typeof args === 'object') {
+            return args;
+        }
+        try {
+            return args ? JSON.parse(args) : {};
+        } catch (e) {
+            (logger || StructuredLogger.getDefault()).warn(`Argumentos de '${functionName || 'herramienta'}' con JSON no válido ` +
+                `(${e.message}); se usan argumentos vacíos.`, { arguments: args });
+            return {};
+        }
+    }
+
+    /**
+     * Ejecuta una herramienta previamente registrada.
+     * @param {{name: string, args: Object}} geminiFunctionCall - La parte `functionCall` emitida por Gemini.
+     * @returns {*} El valor devuelto por la implementación, `{ error: { code: 'INVALID_ARGUMENTS', ... } }`
+     * si los argumentos no cumplen el esquema.
+     * @throws {Error} Si la herramienta no está registrada o su ejecución falla.
+     */
+    executeToolCall(geminiFunctionCall) {
+        if (!geminiFunctionCall || !geminiFunctionCall.name) {
+            throw new Error("La llamada a herramienta debe incluir 'name'.");
+        }
+        const functionName = geminiFunctionCall.name;
+        const implementation = this.tools[functionName];
+        if (!implementation) {
+            throw new Error(`La herramienta '${functionName}' no está registrada.`);
+        }
+
+        const args = geminiFunctionCall.args || {};
+        const violations = this.validateArguments(functionName, args);
+        if (violations.length > 0) {
+            StructuredLogger.getDefault().warn(`Argumentos inválidos para '${functionName}'.`, { violations: violations });
+            return {
+                error: {
+                    code: 'INVALID_ARGUMENTS',
+                    message: `Los argumentos de '${functionName}' no cumplen el esquema declarado. Corrige los campos indicados y vuelve a llamar a la herramienta.`,
+                    violations: violations
+                }
+            };
+        }
+
+        const timeoutMs = this.getPolicy(functionName).timeoutMs;
+        try {
+            // Los argumentos salen de la conversación (correos, nombres, importes): sus valores solo se registran en debug.
+            StructuredLogger.getDefault().info(`Ejecutando herramienta '${functionName}'.`, { argumentNames: Object.keys(args) });
+            StructuredLogger.getDefault().debug(`Argumentos de '${functionName}'.`, { args: args });
+            const startTime = Date.now();
+            const result = implementation(args);
+            const elapsedMs = Date.now() - startTime;
+            if (timeoutMs && elapsedMs > timeoutMs) {
+                // Descartar el resultado haría que el modelo repitiera una llamada que ya tuvo efecto.
+                StructuredLogger.getDefault().warn(`'${functionName}' tardó ${elapsedMs} ms (límite: ${timeoutMs} ms).`, { slow: true });
+            }
+            return result;
+        } catch (e) {
+            StructuredLogger.getDefault().error(`Error al ejecutar '${functionName}': ${e.message}`);
+            throw new Error(`Error al ejecutar la herramienta '${functionName}': ${e.message}`);
+        }
+    }
+
+    /**
+     * Obtiene la lista plana de declaraciones de un payload de herramientas en cualquiera de sus formatos.
+     * @private
+     */
+    static _extractDeclarations(toolsPayload) {
+        const entries = Array.isArray(toolsPayload) ? toolsPayload : [toolsPayload];
+        const declarations = [];
+        entries.forEach(entry => {
+            if (!entry) return;
+            const entryDeclarations = entry.functionDeclarations || (entry.functionDeclaration ? [entry.functionDeclaration] : []);
+            entryDeclarations.forEach(declaration => {
+                if (declaration && declaration.name) {
+                    declarations.push(declaration);
+                }
+            });
+        });
+        return declarations;
+    }
+}
@@ -0,0 +1,417 @@
+/**
+ * @class UsageTracker
+ * @description Contabiliza los tokens de cada llamada (`usageMetadata`) y los acumula por sesión, por usuario y por día en
+ * un adaptador de almacenamiento. También evalúa presupuestos antes de cada envío: si se alcanzó un límite, la solicitud
+ * se rechaza (GeminiBudgetError) o se envía a un modelo más barato.
+ *
+ * Formato guardado:
+ *   - `GEMINI_CHAT_USAGE`: `{ total: T, sessions: { id: T }, users: { id: T }, days: ['yyyy-MM-dd', ...] }`, los totales
+ *     históricos y la lista de días con detalle guardado.
+ *   - `GEMINI_CHAT_USAGE_yyyy-MM-dd`: `{ total: T, users: { id: T }, sessions: { id: T }, models: { name: T } }`, el
+ *     detalle de un día. Cada día va en su propia clave para que un registro solo reescriba el día en curso y los totales.
+ * donde T es `{ calls, promptTokens, candidatesTokens, totalTokens }`. Los totales de `sessions` y `users` llevan además
+ * `lastUsedAt` ('yyyy-MM-dd'), con el que se descartan los inactivos durante más de `retentionDays`; así el tamaño
+ * guardado depende de la actividad reciente y no crece indefinidamente.
+ */
+class UsageTracker {
+
+    /**
+     * @param {Object} storage - Adaptador de almacenamiento (ver ContextStorage.js).
+     * @param {Object} [options={}] - Opciones.
+     * @param {Array<Object>} [options.budgets=[]] - Presupuestos: `{ scope, period, maxTokens, action, fallbackModel }`.
+     *   - scope: 'user', 'session' o 'global'.
+     *   - period: 'day' (se reinicia cada día) o 'total'.
+     *   - action: 'refuse' (lanza GeminiBudgetError) o 'downgrade' (usa `fallbackModel` para la llamada).
+     * @param {number} [options.retentionDays=90] - Días de detalle diario que se conservan. Las sesiones y usuarios sin
+     * consumo en ese plazo también se eliminan de los totales históricos.
+     * @param {string} [options.timeZone] - Zona horaria de los días. Por defecto, la del script.
+     * @param {string|Object|boolean} [options.lock='script'] - Bloqueo con el que se serializan los registros: 'user',
+     * 'script' o 'document' (LockService), un objeto Lock propio o `false` para no bloquear.
+     * @param {number} [options.lockTimeoutMs=10000] - Espera máxima para obtener el bloqueo.
+     */
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.budgets = (options.budgets || []).map(budget => UsageTracker._validateBudget(budget));
+        this.retentionDays = options.retentionDays || 90;
+        this.timeZone = options.timeZone || Session.getScriptTimeZone();
+        this.lock = new StorageLock(
+            options.lock !== undefined ? options.lock : 'script',
+            options.lockTimeoutMs || 10000,
+            'del registro de consumo'
+        );
+        // Consumos que no se pudieron guardar: se reintentan en el siguiente registro y cuentan en los presupuestos.
+        this.unsavedUsage = [];
+        this.lastRecordError = null;
+        this._USAGE_KEY = 'GEMINI_CHAT_USAGE';
+    }
+
+    /**
+     * Registra el consumo de una llamada. La lectura y la escritura del registro se hacen bajo el bloqueo, para no perder
+     * los consumos que otras ejecuciones registren a la vez. Si el guardado falla, el consumo queda en `unsavedUsage`:
+     * `checkBudgets` lo sigue contando y el siguiente registro vuelve a intentar guardarlo.
+     * @param {Object} usageMetadata - `usageMetadata` de la respuesta (promptTokenCount, candidatesTokenCount, totalTokenCount).
+     * @param {Object} context - `{ sessionId, userId, model }`.
+     * @returns {{promptTokens: number, candidatesTokens: number, totalTokens: number}} El consumo registrado.
+     * @throws {Error} Si no se obtuvo el bloqueo en `lockTimeoutMs` o falló el guardado (el error queda en `lastRecordError`).
+     */
+    record(usageMetadata, context) {
+        const usage = UsageTracker.fromUsageMetadata(usageMetadata);
+        this.unsavedUsage.push({
+            day: this._today(),
+            sessionId: context.sessionId,
+            userId: context.userId,
+            model: context.model,
+            usage: usage
+        });
+        try {
+            this.lock.run(() => this._saveUnsavedUsage());
+            this.lastRecordError = null;
+        } catch (e) {
+            this.lastRecordError = e;
+            throw e;
+        }
+        return usage;
+    }
+
+    /**
+     * Suma al registro guardado los consumos pendientes y lo guarda: primero los días modificados y después los totales.
+     * @private
+     */
+    _saveUnsavedUsage() {
+        const data = this._load();
+        const dayEntries = {};
+        if (data.legacyDays) {
+            // Registro anterior con todos los días en la misma clave: cada día pasa a su propia clave.
+            data.days.forEach(day => this._dayEntry(data, dayEntries, day));
+            delete data.legacyDays;
+        }
+        this.unsavedUsage.forEach(entry => UsageTracker._apply(data, this._dayEntry(data, dayEntries, entry.day), entry));
+
+        this._prune(data).forEach(day => {
+            delete dayEntries[day];
+            this.storage.remove(this._dayStorageKey(day));
+        });
+        Object.keys(dayEntries).forEach(day => this.storage.save(this._dayStorageKey(day), JSON.stringify(dayEntries[day])));
+        this.storage.save(this._USAGE_KEY, JSON.stringify(data));
+        this.unsavedUsage = [];
+    }
+
+    /**
+     * Evalúa los presupuestos antes de un envío. Incluye los consumos de esta instancia que no se pudieron guardar.
+     * @param {Object} context - `{ sessionId, userId, model }`.
+     * @returns {{model: string, downgradedBy: (Object|null)}} El modelo a usar y, si se cambió, el presupuesto que lo causó.
+     * @throws {GeminiBudgetError} Si se alcanzó un presupuesto con acción 'refuse'.
+     */
+    checkBudgets(context) {
+        if (this.budgets.length === 0) {
+            return { model: context.model, downgradedBy: null };
+        }
+        const data = this._load();
+        const dayEntries = {};
+        const todayEntry = this._dayEntry(data, dayEntries, this._today());
+        this.unsavedUsage.forEach(entry => UsageTracker._apply(data, this._dayEntry(data, dayEntries, entry.day), entry));
+        let model = context.model;
+        let downgradedBy = null;
+        this.budgets.forEach(budget => {
+            const used = this._usedTokens(data, todayEntry, budget, context);
+            if (used < budget.maxTokens) {
+                return;
+            }
+            const scopeLabel = budget.scope === 'global'
+                ? 'global'
+                : (budget.scope === 'user' ? `usuario "${context.userId}"` : `sesión "${context.sessionId}"`);
+            if (budget.action === 'refuse') {
+                throw new GeminiBudgetError(
+                    `Presupuesto de tokens agotado (${scopeLabel}, ${budget.period === 'day' ? 'diario' : 'total'}): ` +
+                    `${used} de ${budget.maxTokens}.`,
+                    { budget: budget, usedTokens: used }
+                );
+            }
+            if (!downgradedBy) {
+                model = budget.fallbackModel;
+                downgradedBy = budget;
+                StructuredLogger.getDefault().warn(`Presupuesto alcanzado (${scopeLabel}: ${used} de ${budget.maxTokens} tokens). Se usará el modelo ${model}.`);
+            }
+        });
+        return { model: model, downgradedBy: downgradedBy };
+    }
+
+    /**
+     * Resume el consumo registrado.
+     * @param {Object} [options={}] - Opciones.
+     * @param {number} [options.days=7] - Días recientes incluidos en `byDay` y en los totales del periodo.
+     * @param {string} [options.userId] - Limita el informe a un usuario.
+     * @returns {{from: string, to: string, totals: Object, byDay: Array<Object>, byUser: Array<Object>,
+     * bySession: Array<Object>, byModel: Array<Object>}} Listas ordenadas de mayor a menor consumo (byDay, por fecha).
+     */
+    report(options = {}) {
+        const days = options.days || 7;
+        const data = this._load();
+        const dates = [];
+        for (let i = days - 1; i >= 0; i--) {
+            dates.push(this._dayKey(new Date(Date.now() - i * 86400000)));
+        }
+
+        const totals = UsageTracker._emptyTotals();
+        const byUser = {};
+        const bySession = {};
+        const byModel = {};
+        const byDay = dates.map(date => {
+            const entry = data.days.indexOf(date) !== -1 ? this._loadDay(data, date) : null;
+            const dayTotals = UsageTracker._emptyTotals();
+            if (entry) {
+                Object.keys(entry.users).forEach(userId => {
+                    if (!options.userId || options.userId === userId) {
+                        UsageTracker._accumulate(dayTotals, entry.users[userId]);
+                        UsageTracker._add(byUser, userId, entry.users[userId]);
+                    }
+                });
+                if (!options.userId) {
+                    Object.keys(entry.sessions).forEach(id => UsageTracker._add(bySession, id, entry.sessions[id]));
+                    Object.keys(entry.models).forEach(name => UsageTracker._add(byModel, name, entry.models[name]));
+                }
+            }
+            UsageTracker._accumulate(totals, dayTotals);
+            return Object.assign({ date: date }, dayTotals);
+        });
+
+        const ranked = (map, key) => Object.keys(map)
+            .map(id => Object.assign({ [key]: id }, map[id]))
+            .sort((a, b) => b.totalTokens - a.totalTokens);
+        return {
+            from: dates[0],
+            to: dates[dates.length - 1],
+            totals: totals,
+            byDay: byDay,
+            byUser: ranked(byUser, 'userId'),
+            bySession: ranked(bySession, 'sessionId'),
+            byModel: ranked(byModel, 'model')
+        };
+    }
+
+    /**
+     * Consumo acumulado (histórico) de una sesión o un usuario.
+     * @param {string} scope - 'session' o 'user'.
+     * @param {string} id - ID de la sesión o del usuario.
+     * @returns {Object} `{ calls, promptTokens, candidatesTokens, totalTokens, lastUsedAt? }`.
+     */
+    getTotals(scope, id) {
+        const data = this._load();
+        const map = scope === 'user' ? data.users : data.sessions;
+        return Object.assign(UsageTracker._emptyTotals(), map[id] || {});
+    }
+
+    /**
+     * Normaliza `usageMetadata` de la API.
+     * @param {Object} [usageMetadata]
+     * @returns {{promptTokens: number, candidatesTokens: number, totalTokens: number}}
+     */
+    static fromUsageMetadata(usageMetadata) {
+        const metadata = usageMetadata || {};
+        const promptTokens = metadata.promptTokenCount || 0;
+        const candidatesTokens = metadata.candidatesTokenCount || 0;
+        return {
+            promptTokens: promptTokens,
+            candidatesTokens: candidatesTokens,
+            totalTokens: metadata.totalTokenCount || promptTokens + candidatesTokens
+        };
+    }
+
+    /**
+     * @private
+     */
+    _usedTokens(data, todayEntry, budget, context) {
+        if (budget.period === 'day') {
+            const entry = todayEntry;
+            if (budget.scope === 'global') return entry.total.totalTokens;
+            const map = budget.scope === 'user' ? entry.users : entry.sessions;
+            const totals = map[budget.scope === 'user' ? context.userId : context.sessionId];
+            return totals ? totals.totalTokens : 0;
+        }
+        if (budget.scope === 'global') {
+            return data.total.totalTokens;
+        }
+        const map = budget.scope === 'user' ? data.users : data.sessions;
+        const totals = map[budget.scope === 'user' ? context.userId : context.sessionId];
+        return totals ? totals.totalTokens : 0;
+    }
+
+    /**
+     * @private
+     */
+    _load() {
+        try {
+            const stored = this.storage.load(this._USAGE_KEY);
+            if (stored) {
+                const data = JSON.parse(stored);
+                if (!data.total) {
+                    // Registros anteriores sin total global: se reconstruye a partir de los usuarios.
+                    data.total = UsageTracker._emptyTotals();
+                    Object.keys(data.users).forEach(id => UsageTracker._accumulate(data.total, data.users[id]));
+                }
+                if (!Array.isArray(data.days)) {
+                    // Registros anteriores con el detalle de todos los días en esta clave.
+                    data.legacyDays = data.days || {};
+                    data.days = Object.keys(data.legacyDays);
+                }
+                return data;
+            }
+        } catch (e) {
+            StructuredLogger.getDefault().warn(`Error al cargar el consumo de tokens: ${e.message}. Se usará un registro vacío.`);
+        }
+        return { total: UsageTracker._emptyTotals(), sessions: {}, users: {}, days: [] };
+    }
+
+    /**
+     * Lee el detalle guardado de un día.
+     * @private
+     * @returns {Object} `{ total, users, sessions, models }`, vacío si no hay nada guardado o no se puede leer.
+     */
+    _loadDay(data, day) {
+        if (data.legacyDays && data.legacyDays[day]) {
+            return data.legacyDays[day];
+        }
+        try {
+            const stored = this.storage.load(this._dayStorageKey(day));
+            if (stored) {
+                return JSON.parse(stored);
+            }
+        } catch (e) {
+            StructuredLogger.getDefault().warn(`Error al cargar el consumo de tokens del ${day}: ${e.message}. Se usará un registro vacío.`);
+        }
+        return { total: UsageTracker._emptyTotals(), users: {}, sessions: {}, models: {} };
+    }
+
+    /**
+     * Devuelve el detalle de un día desde `dayEntries`, leyéndolo la primera vez y añadiéndolo a `data.days` si es nuevo.
+     * @private
+     */
+    _dayEntry(data, dayEntries, day) {
+        if (!dayEntries[day]) {
+            dayEntries[day] = data.days.indexOf(day) !== -1 ? this._loadDay(data, day)
+                : { total: UsageTracker._emptyTotals(), users: {}, sessions: {}, models: {} };
+            if (data.days.indexOf(day) === -1) {
+                data.days.push(day);
+            }
+        }
+        return dayEntries[day];
+    }
+
+    /**
+     * @private
+     */
+    _dayStorageKey(day) {
+        return `${this._USAGE_KEY}_${day}`;
+    }
+
+    /**
+     * Elimina de `data` los días anteriores a `retentionDays` y los totales de las sesiones y usuarios sin consumo desde
+     * entonces. Los totales sin `lastUsedAt` (registros anteriores) se fechan hoy y caducan dentro de `retentionDays`.
+     * El total global se conserva.
+     * @private
+     * @returns {Array<string>} Los días eliminados, cuyas claves hay que borrar.
+     */
+    _prune(data) {
+        const oldest = this._dayKey(new Date(Date.now() - this.retentionDays * 86400000));
+        const today = this._today();
+        const expiredDays = data.days.filter(day => day < oldest);
+        data.days = data.days.filter(day => day >= oldest);
+        [data.sessions, data.users].forEach(map => {
+            Object.keys(map).forEach(id => {
+                const lastUsedAt = map[id].lastUsedAt || (map[id].lastUsedAt = today);
+                if (lastUsedAt < oldest) {
+                    delete map[id];
+                }
+            });
+        });
+        return expiredDays;
+    }
+
+    /**
+     * @private
+     */
+    _today() {
+        return this._dayKey(new Date());
+    }
+
+    /**
+     * @private
+     */
+    _dayKey(date) {
+        return Utilities.formatDate(date, this.timeZone, 'yyyy-MM-dd');
+    }
+
+    /**
+     * @private
+     */
+    static _validateBudget(budget) {
+        if (['user', 'session', 'global'].indexOf(budget.scope) === -1) {
+            throw new Error(`Ámbito de presupuesto desconocido: "${budget.scope}". Usa 'user', 'session' o 'global'.`);
+        }
+        const normalized = Object.assign({ period: 'day', action: 'refuse' }, budget);
+        if (['day', 'total'].indexOf(normalized.period) === -1) {
+            throw new Error(`Periodo de presupuesto desconocido: "${normalized.period}". Usa 'day' o 'total'.`);
+        }
+        if (!(normalized.maxTokens > 0)) {
+            throw new Error("El presupuesto requiere 'maxTokens' mayor que 0.");
+        }
+        if (normalized.action === 'downgrade' && !normalized.fallbackModel) {
+            throw new Error("Un presupuesto con acción 'downgrade' requiere 'fallbackModel'.");
+        }
+        if (['refuse', 'downgrade'].indexOf(normalized.action) === -1) {
+            throw new Error(`Acción de presupuesto desconocida: "${normalized.action}". Usa 'refuse' o 'downgrade'.`);
+        }
+        return normalized;
+    }
+
+    /**
+     * @private
+     */
+    static _emptyTotals() {
+        return { calls: 0, promptTokens: 0, candidatesTokens: 0, totalTokens: 0 };
+    }
+
+    /**
+     * Suma `usage` a `totals`. Un `usage` sin `calls` cuenta como una llamada.
+     * @private
+     */
+    static _accumulate(totals, usage) {
+        totals.calls += usage.calls !== undefined ? usage.calls : 1;
+        totals.promptTokens += usage.promptTokens;
+        totals.candidatesTokens += usage.candidatesTokens;
+        totals.totalTokens += usage.totalTokens;
+    }
+
+    /**
+     * Suma un consumo pendiente (`{ day, sessionId, userId, model, usage }`) a los totales y al detalle de su día.
+     * @private
+     */
+    static _apply(data, dayEntry, entry) {
+        UsageTracker._accumulate(data.total, entry.usage);
+        UsageTracker._markUsed(UsageTracker._add(data.sessions, entry.sessionId, entry.usage), entry.day);
+        UsageTracker._markUsed(UsageTracker._add(data.users, entry.userId, entry.usage), entry.day);
+        UsageTracker._accumulate(dayEntry.total, entry.usage);
+        UsageTracker._add(dayEntry.users, entry.userId, entry.usage);
+        UsageTracker._add(dayEntry.sessions, entry.sessionId, entry.usage);
+        UsageTracker._add(dayEntry.models, entry.model, entry.usage);
+    }
+
+    /**
+     * @private
+     */
+    static _markUsed(totals, day) {
+        if (!totals.lastUsedAt || totals.lastUsedAt < day) {
+            totals.lastUsedAt = day;
+        }
+    }
+
+    /**
+     * @private
+     */
+    static _add(map, id, usage) {
+        const key = id || 'anonymous';
+        const totals = map[key] || (map[key] = UsageTracker._emptyTotals());
+        UsageTracker._accumulate(totals, usage);
+        return totals;
+    }
+}
@@ -0,0 +1,283 @@
+/**
+ * Almacenes de vectores para el pipeline de RAG.
+ *
+ * Todo almacén implementa la misma interfaz:
+ *   - upsert(records)                 → Guarda registros `{id, sourceId, title, chunkIndex, text, metadata, vector}`.
+ *   - removeBySource(sourceId)        → Elimina los fragmentos de una fuente.
+ *   - replaceSource(sourceId, records) → Sustituye los fragmentos de una fuente por `records` (para reingerirla).
+ *   - search(queryVector, k, filter)  → {Array<{record: Object, score: number}>} Los k registros más similares.
+ *   - size()                          → {number} Número de registros.
+ */
+
+/**
+ * @class InMemoryVectorStore
+ * @description Almacén en memoria. No persiste entre ejecuciones; útil para pruebas o para corpus pequeños que se
+ * ingieren en la misma ejecución.
+ */
+class InMemoryVectorStore {
+
+    constructor() {
+        this.records = [];
+    }
+
+    upsert(records) {
+        const ids = records.map(record => record.id);
+        this.records = this.records.filter(record => ids.indexOf(record.id) === -1).concat(records);
+    }
+
+    removeBySource(sourceId) {
+        this.records = this.records.filter(record => record.sourceId !== sourceId);
+    }
+
+    replaceSource(sourceId, records) {
+        this.removeBySource(sourceId);
+        this.upsert(records);
+    }
+
+    /**
+     * @param {Array<number>} queryVector - Vector de la consulta.
+     * @param {number} [k=5] - Número de resultados.
+     * @param {Function} [filter] - Predicado opcional sobre el registro (ej. por metadatos).
+     */
+    search(queryVector, k = 5, filter = null) {
+        return VectorMath.topK(this.records, queryVector, k, filter);
+    }
+
+    size() {
+        return this.records.length;
+    }
+}
+
+/**
+ * @class SheetVectorStore
+ * @description Almacén persistente en una pestaña de Google Sheets: una fila por fragmento con su texto, metadatos y vector
+ * (JSON). La búsqueda lee toda la pestaña, por lo que es adecuado para corpus de hasta unos miles de fragmentos. Las
+ * escrituras solo tocan las filas afectadas: los fragmentos nuevos se añaden al final, los existentes se sobrescriben en su
+ * fila y los de una fuente eliminada se borran con sus filas.
+ */
+class SheetVectorStore {
+
+    /**
+     * @param {string} spreadsheetId - ID de la hoja de cálculo.
+     * @param {string} [sheetName='VectorStore'] - Pestaña donde se guardan los vectores. Se crea si no existe.
+     */
+    constructor(spreadsheetId, sheetName = 'VectorStore') {
+        if (!spreadsheetId) {
+            throw new Error("El ID de la hoja de cálculo es requerido.");
+        }
+        this.spreadsheetId = spreadsheetId;
+        this.sheetName = sheetName;
+        this._HEADERS = ['id', 'sourceId', 'title', 'chunkIndex', 'text', 'metadata', 'vector'];
+    }
+
+    /**
+     * Número máximo de caracteres de una celda de Google Sheets.
+     */
+    static get MAX_CELL_CHARS() {
+        return SheetCells.MAX_CHARS;
+    }
+
+    /**
+     * @throws {Error} Si algún registro no cabe en las celdas de Sheets. Se comprueba antes de escribir nada.
+     */
+    upsert(records) {
+        if (records.length === 0) return;
+        this._writeRows(records, records.map(record => this._toRow(record)));
+    }
+
+    removeBySource(sourceId) {
+        const sheet = this._getSheet();
+        const sourceIds = this._readColumn(sheet, 2);
+        // De abajo arriba, borrando cada bloque de filas contiguas de la fuente de una vez.
+        for (let end = sourceIds.length - 1; end >= 0; end--) {
+            if (sourceIds[end] !== sourceId) continue;
+            let start = end;
+            while (start > 0 && sourceIds[start - 1] === sourceId) {
+                start--;
+            }
+            sheet.deleteRows(start + 2, end - start + 1);
+            end = start;
+        }
+    }
+
+    /**
+     * @throws {Error} Si algún registro no cabe en las celdas de Sheets. Se comprueba antes de borrar los fragmentos anteriores.
+     */
+    replaceSource(sourceId, records) {
+        const rows = records.map(record => this._toRow(record));
+        this.removeBySource(sourceId);
+        if (records.length > 0) {
+            this._writeRows(records, rows);
+        }
+    }
+
+    search(queryVector, k = 5, filter = null) {
+        return VectorMath.topK(this._readRecords(), queryVector, k, filter);
+    }
+
+    size() {
+        return Math.max(0, this._getSheet().getLastRow() - 1);
+    }
+
+    /**
+     * @private
+     */
+    _getSheet() {
+        const spreadsheet = SpreadsheetApp.openById(this.spreadsheetId);
+        let sheet = spreadsheet.getSheetByName(this.sheetName);
+        if (!sheet) {
+            sheet = spreadsheet.insertSheet(this.sheetName);
+            sheet.getRange(1, 1, 1, this._HEADERS.length).setValues([this._HEADERS]);
+        }
+        return sheet;
+    }
+
+    /**
+     * Lee los registros de la pestaña. Las filas con metadatos o vector ilegibles (editadas a mano o recortadas) se omiten
+     * con un aviso que indica su número de fila, para que una fila dañada no impida las búsquedas.
+     * @private
+     */
+    _readRecords() {
+        const sheet = this._getSheet();
+        const lastRow = sheet.getLastRow();
+        if (lastRow < 2) {
+            return [];
+        }
+        const records = [];
+        sheet.getRange(2, 1, lastRow - 1, this._HEADERS.length).getValues().forEach((row, offset) => {
+            try {
+                const vector = JSON.parse(row[6]);
+                if (!Array.isArray(vector)) {
+                    throw new Error("el vector no es un array");
+                }
+                records.push({
+                    id: String(row[0]),
+                    sourceId: String(row[1]),
+                    title: String(row[2]),
+                    chunkIndex: Number(row[3]),
+                    text: String(row[4]),
+                    metadata: row[5] ? JSON.parse(row[5]) : {},
+                    vector: vector
+                });
+            } catch (e) {
+                StructuredLogger.getDefault().warn(`Fila ${offset + 2} de "${this.sheetName}" omitida: no se pudo leer (${e.message}).`,
+                    { id: String(row[0]) });
+            }
+        });
+        return records;
+    }
+
+    /**
+     * Lee una columna de datos (sin el encabezado) como texto.
+     * @private
+     * @param {number} column - Número de columna (1 = id).
+     */
+    _readColumn(sheet, column) {
+        const lastRow = sheet.getLastRow();
+        if (lastRow < 2) {
+            return [];
+        }
+        return sheet.getRange(2, column, lastRow - 1, 1).getValues().map(row => String(row[0]));
+    }
+
+    /**
+     * Escribe las filas de `records`: sobrescribe las de los IDs que ya existen y añade el resto al final en una sola llamada.
+     * @private
+     */
+    _writeRows(records, rows) {
+        const sheet = this._getSheet();
+        const ids = this._readColumn(sheet, 1);
+        const storedCount = ids.length;
+        const appended = [];
+        rows.forEach((row, index) => {
+            const id = String(records[index].id);
+            const position = ids.indexOf(id);
+            if (position === -1) {
+                ids.push(id);
+                appended.push(row);
+            } else if (position >= storedCount) {
+                appended[position - storedCount] = row;
+            } else {
+                sheet.getRange(position + 2, 1, 1, this._HEADERS.length).setValues([row]);
+            }
+        });
+        if (appended.length > 0) {
+            sheet.getRange(storedCount + 2, 1, appended.length, this._HEADERS.length).setValues(appended);
+        }
+    }
+
+    /**
+     * Convierte un registro en su fila.
+     * @private
+     * @throws {Error} Si el texto, los metadatos o el vector superan `MAX_CELL_CHARS`.
+     */
+    _toRow(record) {
+        const row = [
+            SheetCells.asText(record.id),
+            SheetCells.asText(record.sourceId),
+            SheetCells.asText(record.title),
+            record.chunkIndex,
+            SheetCells.asText(record.text),
+            JSON.stringify(record.metadata || {}),
+            JSON.stringify(record.vector)
+        ];
+        const limit = SheetVectorStore.MAX_CELL_CHARS;
+        if (row[6].length > limit) {
+            throw new Error(`El vector del fragmento "${record.id}" ocupa ${row[6].length} caracteres y una celda de Sheets admite ` +
+                `${limit}. Usa vectores más pequeños (outputDimensionality de GeminiEmbeddings, 768 por defecto).`);
+        }
+        if (row[4].length > limit) {
+            throw new Error(`El texto del fragmento "${record.id}" ocupa ${row[4].length} caracteres y una celda de Sheets admite ` +
+                `${limit}. Usa fragmentos más pequeños (chunkSize).`);
+        }
+        if (row[5].length > limit) {
+            throw new Error(`Los metadatos del fragmento "${record.id}" ocupan ${row[5].length} caracteres y una celda de Sheets ` +
+                `admite ${limit}.`);
+        }
+        return row;
+    }
+}
+
+/**
+ * @class VectorMath
+ * @description Operaciones vectoriales compartidas por los almacenes.
+ */
+class VectorMath {
+
+    /**
+     * Similitud coseno entre dos vectores.
+     * @param {Array<number>} a
+     * @param {Array<number>} b
+     * @returns {number} Valor entre -1 y 1 (0 si algún vector es nulo o las dimensiones no coinciden).
+     */
+    static cosineSimilarity(a, b) {
+        if (!a || !b || a.length !== b.length) {
+            return 0;
+        }
+        let dot = 0;
+        let normA = 0;
+        let normB = 0;
+        for (let i = 0; i < a.length; i++) {
+            dot += a[i] * b[i];
+            normA += a[i] * a[i];
+            normB += b[i] * b[i];
+        }
+        return normA === 0 || normB === 0 ? 0 : dot / (Math.sqrt(normA) * Math.sqrt(normB));
+    }
+
+    /**
+     * Devuelve los k registros más similares a un vector.
+     * @param {Array<Object>} records - Registros con `vector`.
+     * @param {Array<number>} queryVector - Vector de la consulta.
+     * @param {number} k - Número de resultados.
+     * @param {Function} [filter] - Predicado opcional sobre el registro.
+     * @returns {Array<{record: Object, score: number}>} Ordenados de mayor a menor similitud.
+     */
+    static topK(records, queryVector, k, filter = null) {
+        return records
+            .filter(record => !filter || filter(record))
+            .map(record => ({ record: record, score: VectorMath.cosineSimilarity(queryVector, record.vector) }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, k);
+    }
+}
@@ -8,30 +8,7 @@
  * Se insertan las herramientas dentro de la clase globalToolExecutor
  * para que Gemini pueda invocarlas cuando lo requiera.
  */
-const globalToolExecutor = new ToolExecutor();
-
-// Registrar funciones reales de implementación
-globalToolExecutor.registerTool("getCurrentDate", () => {
-  return new Date().toISOString().split("T")[0]; // YYYY-MM-DD
-});
-
-globalToolExecutor.registerTool("calculateBMI", ({ weight, height }) => {
-  if (!weight || !height) throw new Error("Se requieren peso y altura.");
-  const bmi = weight / (height * height);
-  return { bmi: bmi.toFixed(2), status: bmi < 25 ? "Normal" : "Sobrepeso" };
-});
-
-globalToolExecutor.registerTool("getExchangeRate", ({ fromCurrency, toCurrency }) => {
-  // ⚠️ Este ejemplo es fijo, en producción deberías conectar a una API de tipo de cambio
-  const dummyRates = {
-    "USD_EUR": 0.92,
-    "EUR_USD": 1.08,
-    "USD_MXN": 16.8
-  };
-  const key = `${fromCurrency}_${toCurrency}`;
-  if (!dummyRates[key]) throw new Error(`No se encuentra tipo de cambio para ${fromCurrency} → ${toCurrency}`);
-  return { rate: dummyRates[key], from: fromCurrency, to: toCurrency };
-});
+const globalToolExecutor = defineToolsV2(new ToolExecutor());
 
 /**
  * Orquestador principal que integra Gemini con herramientas V2.
@@ -46,79 +23,61 @@ function testGeminiChatAPIWithToolsFlowV2(promptTexto) {
     return "Error de configuración: Clave API no encontrada.";
   }
 
-  const myToolsSchema = toolFunctionsV2(); // NUEVA versión con getCurrentDate, calculateBMI, getExchangeRate
+  // Esquema generado desde las mismas definiciones que las implementaciones (getCurrentDate, calculateBMI, getExchangeRate)
+  const myToolsSchema = globalToolExecutor.getFunctionDeclarations();
 
   // Instancia de Gemini con contexto inicial
   const geminiClient = new GeminiChatAPI("gemini-2.5-flash", API_KEY, asistamContext());
   geminiClient.setTools(myToolsSchema);
+  // Se contrastan las herramientas que el cliente enviará a Gemini con las implementadas
+  globalToolExecutor.verifyTools(geminiClient.tools, { throwOnMismatch: true });
 
-  // Guardar prompt del usuario
-  geminiClient.addMessage("user", promptTexto);
   Logger.log("📩 Prompt recibido: " + promptTexto);
 
-  // --- 1. Primera llamada a Gemini ---
-  let apiResponse = geminiClient.sendMessage({ tool_config: miToolConfig, temperature: 0.1 });
+  // --- Ciclo completo: llamada al modelo, ejecución de herramientas y respuesta final ---
+  let result;
+  try {
+    result = geminiClient.runWithTools(promptTexto, globalToolExecutor, {
+      maxToolRounds: 5,
+      maxContinuations: 1,
+      apiOptions: { tool_config: miToolConfig, temperature: 0.1 }
+    });
+  } catch (e) {
+    Logger.log(`❌ ${e.name}: ${e.message}`);
+    if (e instanceof GeminiAuthError) return "Error de configuración: la clave API no es válida.";
+    if (e instanceof GeminiQuotaError) return "El servicio está saturado. Inténtalo de nuevo en unos minutos.";
+    if (e instanceof GeminiBudgetError) return "Se alcanzó el límite de uso diario. Inténtalo de nuevo mañana.";
+    if (e instanceof GeminiApiError) return "No se pudo obtener respuesta del modelo.";
+    throw e;
+  }
 
-  if (!apiResponse?.candidates?.length) {
+  result.toolTrace.forEach(entry => {
+    Logger.log(`🛠️ [Ronda ${entry.round}] ${entry.name} → ${JSON.stringify(entry.error ? { error: entry.error } : entry.result)}`);
+  });
+
+  if (result.stopReason === 'NO_RESPONSE') {
     Logger.log("❌ No hubo respuesta de Gemini.");
     return "No se recibió respuesta del modelo.";
   }
 
-  const firstCandidate = apiResponse.candidates[0];
-  const modelParts = firstCandidate.content?.parts || [];
-
-  // Extraer llamadas a funciones y texto
-  const functionCallsFromModel = modelParts.filter(part => part.functionCall);
-  const textResponseFromModel = modelParts.filter(part => part.text).map(p => p.text).join('');
-
-  // --- 2. Procesar llamadas a herramientas ---
-  if (functionCallsFromModel.length > 0) {
-    Logger.log("🛠️ Gemini sugirió llamadas a herramientas.");
-
-    geminiClient.addMessage("model", { tool_calls: functionCallsFromModel.map(fc => ({ function: fc.functionCall })) });
-
-    for (const fcPart of functionCallsFromModel) {
-      const functionCall = fcPart.functionCall;
-
-      try {
-        const toolOutput = globalToolExecutor.executeToolCall(functionCall);
-        Logger.log(`✅ Herramienta ejecutada: ${functionCall.name} → ${JSON.stringify(toolOutput)}`);
-
-        // Añadir resultado al historial
-        geminiClient.addMessage("tool", {
-          functionResponse: {
-            name: functionCall.name,
-            response: toolOutput
-          }
-        });
-
-      } catch (e) {
-        Logger.log(`❌ Error en herramienta ${functionCall.name}: ${e.message}`);
-        geminiClient.addMessage("tool", {
-          functionResponse: {
-            name: functionCall.name,
-            response: { error: e.message }
-          }
-        });
-      }
-    }
+  if (result.stopReason === 'MAX_TOOL_ROUNDS') {
+    return "El modelo no generó una respuesta final después de usar las herramientas.";
+  }
 
-    // --- 3. Segunda llamada a Gemini con los resultados de herramientas ---
-    apiResponse = geminiClient.sendMessage({ tool_config: miToolConfig, temperature: 0.2 });
+  if (result.stopReason === 'BLOCKED') {
+    Logger.log(`⛔ Turno bloqueado: ${result.blockReason || result.finishReason} ${JSON.stringify(result.safetyRatings)}`);
+    return result.finishReason === 'RECITATION'
+      ? "La respuesta se bloqueó porque reproducía contenido protegido. Reformula la pregunta."
+      : "La solicitud fue bloqueada por los filtros de seguridad.";
+  }
 
-    if (apiResponse?.candidates?.[0]?.content?.parts?.some(p => p.text)) {
-      const finalContent = apiResponse.candidates[0].content.parts.filter(p => p.text).map(p => p.text).join('');
-      Logger.log("💬 Respuesta final con herramientas:\n" + finalContent);
-      return finalContent;
-    } else {
-      return "El modelo no generó una respuesta final después de usar las herramientas.";
-    }
+  if (result.stopReason === 'MAX_TOKENS' && result.text) {
+    return result.text + "\n\n(Respuesta incompleta: se alcanzó el límite de longitud.)";
   }
 
-  // --- 4. Si solo hubo texto ---
-  if (textResponseFromModel) {
-    Logger.log("💬 Gemini respondió solo con texto.");
-    return textResponseFromModel;
+  if (result.text) {
+    Logger.log("💬 Respuesta final:\n" + result.text);
+    return result.text;
   }
 
   return "El modelo no pudo generar una respuesta clara.";
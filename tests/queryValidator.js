@@ -0,0 +1,67 @@
+/**
+ * Casos de QueryValidator con SQL: consultas que deben aceptarse y consultas que deben rechazarse con un error concreto.
+ *
+ * Ejecutar desde la raíz del repositorio:
+ *   node tests/queryValidator.js
+ */
+const assert = require('assert');
+const path = require('path');
+const { AppsScriptStandIns } = require('../AppsScriptStandIns.js');
+
+const lib = AppsScriptStandIns.loadInNode(path.join(__dirname, '..'));
+
+const schema = new lib.QuerySchema('sql', [
+    { name: 'ventas', columns: [
+        { name: 'id', type: 'number' }, { name: 'region', type: 'string' }, { name: 'monto', type: 'number' },
+        { name: 'fecha', type: 'date' }, { name: 'cliente_id', type: 'number' }
+    ] },
+    { name: 'clientes', columns: [{ name: 'id', type: 'number' }, { name: 'nombre', type: 'string' }] }
+]);
+
+const accepted = [
+    'SELECT region, SUM(monto) AS total FROM ventas GROUP BY region ORDER BY total DESC',
+    'SELECT region, SUM(monto) total FROM ventas GROUP BY region ORDER BY total',
+    'SELECT t.total FROM (SELECT region, SUM(monto) AS total FROM ventas GROUP BY region) t',
+    'SELECT t.region, t.total FROM (SELECT region, SUM(monto) total FROM ventas GROUP BY region) AS t WHERE t.total > 100',
+    'SELECT total FROM (SELECT region, SUM(monto) total FROM ventas GROUP BY region) t WHERE total > 100 ORDER BY total',
+    'SELECT c.nombre, v.total FROM clientes c JOIN (SELECT cliente_id, SUM(monto) AS total FROM ventas GROUP BY cliente_id) v ON v.cliente_id = c.id',
+    'SELECT v.monto importe, c.nombre FROM ventas v, clientes c WHERE v.cliente_id = c.id',
+    'SELECT CASE WHEN monto > 100 THEN \'alto\' ELSE \'bajo\' END tramo FROM ventas',
+    'SELECT EXTRACT(YEAR FROM fecha) AS anio, COUNT(*) FROM ventas GROUP BY 1',
+    'WITH totales AS (SELECT region, SUM(monto) AS total FROM ventas GROUP BY region) SELECT region FROM totales',
+    'SELECT nombre FROM clientes WHERE id IN (SELECT cliente_id FROM ventas WHERE monto > 10);',
+    'SELECT "region" FROM "ventas" -- DELETE en un comentario'
+];
+
+const rejected = [
+    ['SELECT regoin FROM ventas', 'Columna desconocida: regoin.'],
+    ['SELECT v.importe FROM ventas v', 'Columna desconocida: v.importe (tabla ventas).'],
+    ['SELECT * FROM pedidos', 'Tabla desconocida: pedidos'],
+    ['SELECT t.total FROM (SELECT region FROM pedidos) t', 'Tabla desconocida: pedidos'],
+    ['SELECT region FROM ventas ORDER BY region inexistente', 'Columna desconocida: inexistente.'],
+    ['SELECT region FROM ventas WHERE monto > 0 ORDER BY monto regoin', 'Columna desconocida: regoin.'],
+    ['SELECT region FROM ventas WHERE id IN (SELECT id bogus FROM ventas) AND bogus > 1', 'Columna desconocida: bogus.'],
+    ['SELECT region FROM ventas; SELECT 1', 'Solo se permite una sentencia.'],
+    ['EXPLAIN SELECT region FROM ventas', 'La consulta debe empezar con SELECT o WITH.']
+].concat(
+    lib.QueryValidator.SQL_FORBIDDEN_KEYWORDS.map(keyword => [
+        `SELECT region FROM ventas WHERE ${keyword} region`, `La consulta debe ser de solo lectura; contiene: ${keyword}.`
+    ]),
+    lib.QueryValidator.SQL_FORBIDDEN_FUNCTIONS.map(entry => entry.replace('*', 'x')).map(name => [
+        `SELECT ${name}(1) FROM ventas`, `La consulta usa funciones no permitidas: ${name}.`
+    ])
+);
+
+accepted.forEach(query => {
+    const result = lib.QueryValidator.validate(query, schema);
+    assert.strictEqual(result.errors.join(' | '), '', `Debería aceptarse: ${query}`);
+});
+
+rejected.forEach(([query, expectedError]) => {
+    const result = lib.QueryValidator.validate(query, schema);
+    assert.strictEqual(result.valid, false, `Debería rechazarse: ${query}`);
+    assert.ok(result.errors.some(error => error.indexOf(expectedError) === 0),
+        `${query}\n  esperado: ${expectedError}\n  obtenido: ${result.errors.join(' | ')}`);
+});
+
+console.log(`queryValidator: OK (${accepted.length} aceptadas, ${rejected.length} rechazadas)`);
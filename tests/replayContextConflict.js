@@ -0,0 +1,40 @@
+/**
+ * Dos instancias guardan la misma sesión (como un activador y la barra lateral): los mensajes añadidos por ambas se
+ * fusionan, y reescribir un historial que otra ejecución ya amplió lanza ContextConflictError. El contexto se guarda en
+ * CacheService con fragmentos pequeños, para pasar por getAll/putAll/removeAll.
+ *
+ * Ejecutar desde la raíz del repositorio:
+ *   node tests/replayContextConflict.js
+ */
+const assert = require('assert');
+const path = require('path');
+const { AppsScriptStandIns } = require('../AppsScriptStandIns.js');
+
+const lib = AppsScriptStandIns.loadInNode(path.join(__dirname, '..'), {
+    fixtures: require('./fixtures/contextConflict.json'),
+    replayMode: 'match'
+});
+
+const storage = () => new lib.CacheStorageAdapter(lib.CacheService.getScriptCache(), 21600, 200);
+const chatA = new lib.GeminiChatAPI('gemini-2.5-flash', 'clave-de-prueba', null, undefined, storage(), { sessionId: 'soporte' });
+const chatB = new lib.GeminiChatAPI('gemini-2.5-flash', 'clave-de-prueba', null, undefined, storage(), { sessionId: 'soporte' });
+const texts = chat => chat.getMessages().map(message => message.parts[0].text).join(' | ');
+
+assert.strictEqual(chatA.ask('Hola').text, '¡Hola! ¿En qué puedo ayudarte?');
+
+// chatB cargó la sesión vacía: al guardar su mensaje incorpora los de chatA y envía el historial fusionado.
+const result = chatB.ask('¿Cuál es el horario?');
+assert.strictEqual(result.text, 'Abrimos de 9 a 18 h.');
+assert.strictEqual(texts(chatB), 'Hola | ¡Hola! ¿En qué puedo ayudarte? | ¿Cuál es el horario? | Abrimos de 9 a 18 h.');
+assert.ok(Object.keys(lib.CacheService.getScriptCache().data).some(key => /__1$/.test(key)), 'El contexto debería estar fragmentado.');
+
+// chatA no vio el turno de chatB: vaciar el historial descartaría mensajes ajenos.
+assert.throws(() => chatA.clearMessages(), error => error instanceof lib.ContextConflictError && error.storedRevision > error.expectedRevision);
+chatA.reloadContext();
+assert.strictEqual(texts(chatA), texts(chatB));
+chatA.clearMessages();
+assert.strictEqual(new lib.GeminiChatAPI('gemini-2.5-flash', 'clave-de-prueba', null, undefined, storage(), { sessionId: 'soporte' })
+    .getMessages().length, 0);
+lib.replay.assertAllUsed();
+
+console.log('replayContextConflict: OK');
@@ -0,0 +1,42 @@
+/**
+ * Respuestas que no terminan en STOP: una respuesta cortada por MAX_TOKENS se completa con una continuación, y un prompt
+ * bloqueado (promptFeedback.blockReason) o una respuesta bloqueada (finishReason SAFETY) devuelven BLOCKED y retiran el
+ * turno del historial.
+ *
+ * Ejecutar desde la raíz del repositorio:
+ *   node tests/replayFinishReasons.js
+ */
+const assert = require('assert');
+const path = require('path');
+const { AppsScriptStandIns } = require('../AppsScriptStandIns.js');
+
+const lib = AppsScriptStandIns.loadInNode(path.join(__dirname, '..'), {
+    fixtures: require('./fixtures/finishReasons.json'),
+    replayMode: 'match'
+});
+
+const chat = new lib.GeminiChatAPI('gemini-2.5-flash', 'clave-de-prueba', null, undefined, null, { sessionId: 'cuentos' });
+
+const story = chat.ask('Cuéntame un cuento corto', { maxContinuations: 2, apiOptions: { generationConfig: { maxOutputTokens: 16 } } });
+assert.strictEqual(story.stopReason, 'TEXT');
+assert.strictEqual(story.text, 'Érase una vez un pueblo junto al mar, donde todos pescaban al amanecer.');
+assert.strictEqual(story.continuations, 1);
+assert.strictEqual(chat.getMessages().map(message => message.role).join(' '), 'user model');
+
+const blockedPrompt = chat.ask('Explícame cómo fabricar un arma');
+assert.strictEqual(blockedPrompt.stopReason, 'BLOCKED');
+assert.strictEqual(blockedPrompt.blockReason, 'SAFETY');
+assert.strictEqual(blockedPrompt.text, null);
+
+const blockedResponse = chat.ask('Insulta a mi vecino');
+assert.strictEqual(blockedResponse.stopReason, 'BLOCKED');
+assert.strictEqual(blockedResponse.blockReason, null);
+assert.strictEqual(blockedResponse.finishReason, 'SAFETY');
+
+// Los turnos bloqueados no quedan en el historial guardado.
+const reloaded = new lib.GeminiChatAPI('gemini-2.5-flash', 'clave-de-prueba', null, undefined, null, { sessionId: 'cuentos' });
+assert.strictEqual(reloaded.getMessages().length, 2);
+assert.strictEqual(reloaded.getMessages()[1].parts.map(part => part.text).join(''), story.text);
+lib.replay.assertAllUsed();
+
+console.log('replayFinishReasons: OK');
@@ -0,0 +1,40 @@
+/**
+ * El flujo de runWithTools con OpenAICompatibleProvider: el historial se traduce a mensajes de chat completions
+ * (system, tool_calls y mensajes 'tool' con su tool_call_id) y las respuestas vuelven al formato de Gemini.
+ *
+ * Ejecutar desde la raíz del repositorio:
+ *   node tests/replayOpenAICompatible.js
+ */
+const assert = require('assert');
+const path = require('path');
+const { AppsScriptStandIns } = require('../AppsScriptStandIns.js');
+
+const fixtures = require('./fixtures/openAICompatible.json');
+const lib = AppsScriptStandIns.loadInNode(path.join(__dirname, '..'), {
+    fixtures: fixtures,
+    replayMode: 'match'
+});
+
+const provider = new lib.OpenAICompatibleProvider('clave-de-prueba', { baseUrl: 'https://api.example.com/v1' });
+const executor = lib.defineToolsV2(new lib.ToolExecutor());
+const chat = new lib.GeminiChatAPI('gpt-4o-mini', null, 'Responde en español.', undefined, null, { provider: provider });
+chat.setTools(executor.getFunctionDeclarations());
+
+const result = chat.runWithTools('Peso 70 kg y mido 1,75 m. ¿Cuál es mi IMC?', executor);
+
+assert.strictEqual(result.stopReason, 'TEXT');
+assert.strictEqual(result.text, 'Tu IMC es 22.86, dentro del rango normal.');
+assert.strictEqual(result.usage.totalTokens, 325);
+assert.deepStrictEqual(JSON.parse(JSON.stringify(result.toolTrace)), [
+    { round: 1, name: 'calculateBMI', args: { weight: 70, height: 1.75 }, result: { bmi: '22.86', status: 'Normal' } }
+]);
+
+// La segunda solicitud devuelve la llamada y su resultado con el mismo id que asignó la API.
+const messages = lib.replay.requests[1].payload.messages;
+assert.strictEqual(messages.map(message => message.role).join(' '), 'system user assistant tool');
+assert.strictEqual(messages[2].tool_calls[0].id, 'call_bmi_1');
+assert.strictEqual(messages[3].tool_call_id, 'call_bmi_1');
+assert.deepStrictEqual(JSON.parse(messages[3].content), { bmi: '22.86', status: 'Normal' });
+lib.replay.assertAllUsed();
+
+console.log('replayOpenAICompatible: OK');
@@ -0,0 +1,55 @@
+/**
+ * Una herramienta con requiresApproval pausa el turno con PENDING_APPROVAL; otra instancia de la misma sesión (como la
+ * ejecución que atiende la respuesta del usuario) aprueba o rechaza la llamada y reanuda el turno con resumeWithTools.
+ *
+ * Ejecutar desde la raíz del repositorio:
+ *   node tests/replayToolApproval.js
+ */
+const assert = require('assert');
+const path = require('path');
+const { AppsScriptStandIns } = require('../AppsScriptStandIns.js');
+
+const lib = AppsScriptStandIns.loadInNode(path.join(__dirname, '..'), {
+    fixtures: require('./fixtures/toolApproval.json'),
+    replayMode: 'match'
+});
+
+const sent = [];
+const executor = new lib.ToolExecutor();
+executor.defineTool({
+    name: 'sendEmail', description: 'Envía un correo.', requiresApproval: true,
+    parameters: { type: 'object', properties: { to: { type: 'string' }, subject: { type: 'string' } }, required: ['to', 'subject'] },
+    implementation: ({ to }) => {
+        sent.push(to);
+        return { sent: true, to: to };
+    }
+});
+const chat = new lib.GeminiChatAPI('gemini-2.5-flash', 'clave-de-prueba', null, undefined, null, { sessionId: 'correo' });
+chat.setTools(executor.getFunctionDeclarations());
+
+const paused = chat.runWithTools('Envía el resumen a ana@example.com', executor);
+assert.strictEqual(paused.stopReason, 'PENDING_APPROVAL');
+assert.strictEqual(sent.length, 0);
+
+// La aprobación llega en otra ejecución: la llamada pendiente se lee del contexto guardado.
+const other = new lib.GeminiChatAPI('gemini-2.5-flash', 'clave-de-prueba', null, undefined, null, { sessionId: 'correo' });
+const pending = other.getPendingToolCalls();
+assert.strictEqual(pending.length, 1);
+assert.strictEqual(pending[0].name, 'sendEmail');
+other.approveToolCall(pending[0].id);
+const approved = other.resumeWithTools(executor);
+assert.strictEqual(approved.stopReason, 'TEXT');
+assert.strictEqual(approved.text, 'Listo: envié el resumen a ana@example.com.');
+assert.strictEqual(sent.join(), 'ana@example.com');
+assert.strictEqual(other.getPendingToolCalls().length, 0);
+
+// Una llamada rechazada no se ejecuta; el modelo recibe el motivo (REJECTED_BY_USER) en la respuesta de la herramienta.
+assert.strictEqual(other.runWithTools('Envía también el resumen a luis@example.com', executor).stopReason, 'PENDING_APPROVAL');
+other.rejectToolCall(other.getPendingToolCalls()[0].id, 'No autorizado');
+const rejected = other.resumeWithTools(executor);
+assert.strictEqual(rejected.stopReason, 'TEXT');
+assert.strictEqual(rejected.text, 'No envié el correo a luis@example.com porque no lo autorizaste.');
+assert.strictEqual(sent.join(), 'ana@example.com');
+lib.replay.assertAllUsed();
+
+console.log('replayToolApproval: OK');
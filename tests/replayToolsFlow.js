@@ -0,0 +1,32 @@
+/**
+ * Reproduce un flujo grabado de runWithTools (una llamada a calculateBMI y la respuesta final) sin red.
+ * El modo 'match' exige que cada solicitud coincida en método, URL y payload con la grabada.
+ *
+ * Ejecutar desde la raíz del repositorio:
+ *   node tests/replayToolsFlow.js
+ */
+const assert = require('assert');
+const path = require('path');
+const { AppsScriptStandIns } = require('../AppsScriptStandIns.js');
+
+const lib = AppsScriptStandIns.loadInNode(path.join(__dirname, '..'), {
+    fixtures: require('./fixtures/toolsFlow.json'),
+    replayMode: 'match'
+});
+
+const executor = lib.defineToolsV2(new lib.ToolExecutor());
+const chat = new lib.GeminiChatAPI('gemini-2.5-flash', 'clave-de-prueba');
+chat.setTools(executor.getFunctionDeclarations());
+
+const result = chat.runWithTools('Peso 70 kg y mido 1,75 m. ¿Cuál es mi IMC?', executor);
+
+assert.strictEqual(result.stopReason, 'TEXT');
+assert.strictEqual(result.text, 'Tu IMC es 22.86, dentro del rango normal.');
+assert.strictEqual(result.rounds, 1);
+assert.deepStrictEqual(JSON.parse(JSON.stringify(result.toolTrace)), [
+    { round: 1, name: 'calculateBMI', args: { weight: 70, height: 1.75 }, result: { bmi: '22.86', status: 'Normal' } }
+]);
+assert.strictEqual(chat.messages.map(message => message.role).join(' '), 'user model tool model');
+lib.replay.assertAllUsed();
+
+console.log('replayToolsFlow: OK');
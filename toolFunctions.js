@@ -1,58 +1,85 @@
 /**
- * Diccionario con la definición de funciones para Gemini (versión 2).
+ * Define las herramientas de la versión 2 (esquema e implementación juntos) en un ToolExecutor.
  * Ejemplo con varias herramientas que cubren distintos casos de uso.
+ * @param {ToolExecutor} executor - Instancia donde se registran las herramientas.
+ * @returns {ToolExecutor} La misma instancia, con las herramientas definidas.
  */
-function toolFunctionsV2() {
-  const myTools = [
-    {
-      "functionDeclarations": [
-        {
-          "name": "getCurrentDate",
-          "description": "Devuelve la fecha actual en formato ISO (YYYY-MM-DD).",
-          "parameters": {
-            "type": "object",
-            "properties": {},
-            "required": []
-          }
+function defineToolsV2(executor) {
+  executor.defineTool({
+    name: "getCurrentDate",
+    description: "Devuelve la fecha actual en formato ISO (YYYY-MM-DD).",
+    parameters: {
+      "type": "object",
+      "properties": {},
+      "required": []
+    },
+    implementation: () => {
+      return new Date().toISOString().split("T")[0]; // YYYY-MM-DD
+    }
+  });
+
+  executor.defineTool({
+    name: "calculateBMI",
+    description: "Calcula el índice de masa corporal (IMC) a partir del peso y la altura.",
+    parameters: {
+      "type": "object",
+      "properties": {
+        "weight": {
+          "type": "number",
+          "description": "Peso de la persona en kilogramos."
         },
-        {
-          "name": "calculateBMI",
-          "description": "Calcula el índice de masa corporal (IMC) a partir del peso y la altura.",
-          "parameters": {
-            "type": "object",
-            "properties": {
-              "weight": {
-                "type": "number",
-                "description": "Peso de la persona en kilogramos."
-              },
-              "height": {
-                "type": "number",
-                "description": "Altura de la persona en metros."
-              }
-            },
-            "required": ["weight", "height"]
-          }
+        "height": {
+          "type": "number",
+          "description": "Altura de la persona en metros."
+        }
+      },
+      "required": ["weight", "height"]
+    },
+    implementation: ({ weight, height }) => {
+      // Tipos y campos requeridos ya se validan contra el esquema; aquí solo reglas de dominio.
+      if (height <= 0) throw new Error("La altura debe ser mayor que cero.");
+      const bmi = weight / (height * height);
+      return { bmi: bmi.toFixed(2), status: bmi < 25 ? "Normal" : "Sobrepeso" };
+    }
+  });
+
+  executor.defineTool({
+    name: "getExchangeRate",
+    description: "Obtiene el tipo de cambio entre dos monedas.",
+    parameters: {
+      "type": "object",
+      "properties": {
+        "fromCurrency": {
+          "type": "string",
+          "description": "Código de la moneda de origen (ejemplo: 'USD')."
         },
-        {
-          "name": "getExchangeRate",
-          "description": "Obtiene el tipo de cambio entre dos monedas.",
-          "parameters": {
-            "type": "object",
-            "properties": {
-              "fromCurrency": {
-                "type": "string",
-                "description": "Código de la moneda de origen (ejemplo: 'USD')."
-              },
-              "toCurrency": {
-                "type": "string",
-                "description": "Código de la moneda de destino (ejemplo: 'EUR')."
-              }
-            },
-            "required": ["fromCurrency", "toCurrency"]
-          }
+        "toCurrency": {
+          "type": "string",
+          "description": "Código de la moneda de destino (ejemplo: 'EUR')."
         }
-      ]
+      },
+      "required": ["fromCurrency", "toCurrency"]
+    },
+    implementation: ({ fromCurrency, toCurrency }) => {
+      // ⚠️ Este ejemplo es fijo, en producción deberías conectar a una API de tipo de cambio
+      const dummyRates = {
+        "USD_EUR": 0.92,
+        "EUR_USD": 1.08,
+        "USD_MXN": 16.8
+      };
+      const key = `${fromCurrency}_${toCurrency}`;
+      if (!dummyRates[key]) throw new Error(`No se encuentra tipo de cambio para ${fromCurrency} → ${toCurrency}`);
+      return { rate: dummyRates[key], from: fromCurrency, to: toCurrency };
     }
-  ];
-  return myTools;
+  });
+
+  return executor;
+}
+
+/**
+ * Diccionario con la definición de funciones para Gemini (versión 2).
+ * Se genera a partir de `defineToolsV2`, por lo que siempre coincide con las implementaciones.
+ */
+function toolFunctionsV2() {
+  return defineToolsV2(new ToolExecutor()).getFunctionDeclarations();
 }
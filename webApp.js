@@ -0,0 +1,33 @@
+/**
+ * 🌐 Punto de entrada de la aplicación web (Implementar > Nueva implementación > Aplicación web).
+ * Expone el asistente con las herramientas V2 como API JSON (ver ChatWebApp.js).
+ *
+ * Propiedades de script necesarias:
+ *   - GEMINI_API_KEY: clave de la API de Gemini.
+ *   - CHAT_API_SECRET y/o CHAT_API_TOKENS (JSON `{ "token": "idCliente" }` o `{ "token": { "clientId", "userId" | "userIds" } }`):
+ *     credenciales de los clientes.
+ */
+
+/**
+ * Crea la aplicación web con la configuración del asistente.
+ * @returns {ChatWebApp}
+ */
+function buildChatWebApp() {
+  return new ChatWebApp({
+    model: "gemini-2.5-flash",
+    toolExecutor: defineToolsV2(new ToolExecutor()),
+    runOptions: {
+      maxToolRounds: 5,
+      maxContinuations: 1,
+      apiOptions: { temperature: 0.1 }
+    }
+  });
+}
+
+function doPost(e) {
+  return buildChatWebApp().doPost(e);
+}
+
+function doGet(e) {
+  return buildChatWebApp().doGet(e);
+}